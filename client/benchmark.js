@@ -0,0 +1,213 @@
+/**
+ * Rendering Benchmark
+ * Replays large synthetic histories on a real canvas and times what an undo,
+ * a redo or an edit costs, against repainting everything from history
+ * (open benchmark.html; nothing here talks to the server)
+ */
+
+// Seed of the synthetic histories, so every run draws the same board
+const BENCHMARK_SEED = 42;
+
+// Times each scenario is run (the median is reported)
+const BENCHMARK_RUNS = 7;
+
+// Colors the synthetic operations use
+const BENCHMARK_COLORS = ['#000000', '#e03131', '#1971c2', '#2f9e44', '#f08c00', '#7048e8'];
+
+let benchCanvas;
+let benchHistory;
+
+/**
+ * Set up the canvas and the controls
+ */
+function initBenchmark() {
+  benchCanvas = new CanvasDrawing('drawing-canvas', 'cursor-canvas', 'text-editor');
+  benchHistory = new OperationHistory();
+  benchCanvas.operationsProvider = () => benchHistory.getVisibleOperations();
+  benchCanvas.setReadOnly(true);
+
+  document.getElementById('run-benchmark').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    await runBenchmark(parseInt(document.getElementById('operation-count').value));
+    e.target.disabled = false;
+  });
+}
+
+/**
+ * Build a synthetic history: freehand strokes (some with brushes) and shapes
+ * over two layers, a transform now and then, a fill inside an outline and a
+ * page-sized rectangle near the end (undoing either of those changes the whole view)
+ * @param {number} count - Number of operations
+ * @returns {Array} - Operations as the server sends them
+ */
+function generateHistory(count) {
+  const random = Geometry.random(BENCHMARK_SEED);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const size = { width: 1920, height: 1080 };
+  const operations = [];
+
+  for (let id = 0; id < count; id++) {
+    const base = {
+      id,
+      seq: id + 1,
+      clientId: `bench-${id}`,
+      userId: 'bench',
+      username: 'Benchmark',
+      color: pick(BENCHMARK_COLORS),
+      layerId: random() < 0.7 ? 0 : 1
+    };
+
+    if (id === count - 20) {
+      operations.push({ ...base, type: 'shape', shape: 'rect', lineWidth: 4, fill: false, layerId: 0,
+        start: { x: 760, y: 340 }, end: { x: 1160, y: 740 } });
+    } else if (id === count - 19) {
+      // Floods the outline before it (and the whole page once that is undone)
+      operations.push({ ...base, type: 'fill', layerId: 0, seed: { x: 960, y: 540 }, tolerance: 10,
+        area: { x: 0, y: 0, ...size } });
+    } else if (id === count - 10) {
+      operations.push({ ...base, type: 'shape', shape: 'rect', lineWidth: 4, fill: true,
+        start: { x: 40, y: 40 }, end: { x: size.width - 40, y: size.height - 40 } });
+    } else if (id % 100 === 99) {
+      // Moves one of the last 50 operations (never another transform, nor a fill)
+      let target = id - 1 - Math.floor(random() * 50);
+      if (target % 100 === 99 || operations[target].type === 'fill') target--;
+      operations.push({ ...base, type: 'transform', targetIds: [target],
+        scaleX: 1, scaleY: 1, translateX: random() * 100 - 50, translateY: random() * 100 - 50 });
+    } else if (random() < 0.1) {
+      const start = { x: random() * size.width, y: random() * size.height };
+      operations.push({ ...base, type: 'shape', shape: pick(['line', 'rect', 'ellipse', 'arrow']),
+        lineWidth: 1 + Math.floor(random() * 6), fill: false,
+        start, end: { x: start.x + random() * 200 - 100, y: start.y + random() * 200 - 100 } });
+    } else {
+      // A random walk of 20-60 points
+      const points = [{ x: random() * size.width, y: random() * size.height }];
+      const length = 20 + Math.floor(random() * 40);
+      for (let i = 1; i < length; i++) {
+        const last = points[i - 1];
+        points.push({ x: last.x + random() * 16 - 8, y: last.y + random() * 16 - 8 });
+      }
+      const stroke = { ...base, type: 'stroke', tool: 'brush', lineWidth: 2 + Math.floor(random() * 10), smooth: true, points };
+      if (random() < 0.1) {
+        stroke.brush = pick(Brushes.BRUSHES);
+        stroke.opacity = 0.5;
+      }
+      operations.push(stroke);
+    }
+  }
+  return operations;
+}
+
+/**
+ * Time scenarios on a history of `count` operations and show the results
+ */
+async function runBenchmark(count) {
+  const status = document.getElementById('benchmark-status');
+  status.textContent = `Generating ${count} operations...`;
+  await nextFrame();
+
+  benchHistory.reset(generateHistory(count), count, [
+    { id: 0, name: 'Layer 1', visible: true, locked: false },
+    { id: 1, name: 'Layer 2', visible: true, locked: false }
+  ]);
+  benchCanvas.setLayers(benchHistory.layers);
+  benchCanvas.redrawFromHistory(benchHistory.getVisibleOperations());
+  await nextFrame();
+
+  const operations = benchHistory.operations;
+  const latest = operations[operations.length - 1];
+  const middle = operations[Math.floor(operations.length / 2)];
+  const page = operations[operations.length - 10];
+  const outline = operations[operations.length - 20];
+  const results = [];
+
+  // Each is timed from the same state: `before` gets there and `after` goes back, untimed
+  const scenarios = [
+    { name: 'Repaint everything from history', run: () => benchCanvas.redrawFromHistory(benchHistory.getVisibleOperations()) },
+    { name: 'Undo the latest operation', run: () => undoRedo(latest, true), after: () => undoRedo(latest, false) },
+    { name: 'Redo the latest operation', before: () => undoRedo(latest, true), run: () => undoRedo(latest, false) },
+    { name: 'Undo an operation in the middle', run: () => undoRedo(middle, true), after: () => undoRedo(middle, false) },
+    { name: 'Undo a page-sized rectangle', run: () => undoRedo(page, true), after: () => undoRedo(page, false) },
+    { name: 'Undo the outline a fill is in', run: () => undoRedo(outline, true), after: () => undoRedo(outline, false) },
+    {
+      name: 'Repaint a 200x200 region',
+      run: () => benchCanvas.redrawRegion({ x: 860, y: 440, width: 200, height: 200 }, benchHistory.getVisibleOperations())
+    }
+  ];
+
+  for (const { name, before, run, after } of scenarios) {
+    status.textContent = `Running: ${name}...`;
+    await nextFrame();
+
+    const times = [];
+    for (let i = 0; i < BENCHMARK_RUNS; i++) {
+      if (before) before();
+      times.push(timeRender(run));
+      if (after) after();
+    }
+    results.push({ name, time: median(times) });
+  }
+
+  showResults(count, results);
+  status.textContent = `${count} operations, ${benchCanvas.renderCache.checkpoints.length} checkpoints kept`;
+}
+
+/**
+ * Undo or redo an operation the way an undo/redo event from the server does
+ */
+function undoRedo(operation, undone) {
+  benchHistory.setUndone(operation.id, undone);
+  benchCanvas.redrawChanges(benchHistory.getVisibleOperations());
+}
+
+/**
+ * Time a render, including the GPU finishing it (reading a pixel back waits for that)
+ * @returns {number} - Milliseconds
+ */
+function timeRender(render) {
+  const start = performance.now();
+  render();
+  benchCanvas.layerCanvases.forEach(({ ctx }) => ctx.getImageData(0, 0, 1, 1));
+  return performance.now() - start;
+}
+
+/**
+ * Median of some numbers
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Wait for the next animation frame (lets the page update between scenarios)
+ */
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Fill the results table: each scenario's median time, and how much faster it
+ * is than repainting everything
+ */
+function showResults(count, results) {
+  const body = document.getElementById('benchmark-results');
+  body.innerHTML = '';
+  const full = results[0].time;
+  results.forEach(({ name, time }) => {
+    const row = document.createElement('tr');
+    [name, `${time.toFixed(1)} ms`, `${(full / Math.max(time, 0.01)).toFixed(1)}x`].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  console.table(results.map(({ name, time }) => ({ operations: count, scenario: name, ms: +time.toFixed(2) })));
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initBenchmark);
+} else {
+  initBenchmark();
+}
@@ -0,0 +1,81 @@
+/**
+ * Brush Styles
+ * How each brush type looks, for the canvas and the server's exporter alike
+ *
+ * A brush stroke has a `brush` type, an `opacity` and a `blend` mode (missing
+ * means a round brush, fully opaque, blended normally). Any stroke that isn't
+ * all three defaults is painted opaque on its own first and then composited
+ * onto its layer as a whole, so a semi-transparent stroke doesn't get darker
+ * where it crosses itself. Spray and calligraphy geometry is in Geometry.
+ */
+
+const Brushes = {
+  BRUSHES: ['round', 'marker', 'highlighter', 'pencil', 'spray', 'calligraphy'],
+  // Canvas composite operations and CSS mix-blend-mode values alike ('normal' is source-over)
+  BLEND_MODES: ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten'],
+
+  DEFAULT_BRUSH: 'round',
+  DEFAULT_BLEND_MODE: 'normal',
+
+  // Line caps and joins, the brush's own opacity (the stroke's multiplies it),
+  // and whether paper grain shows through
+  STYLES: {
+    round: { lineCap: 'round', lineJoin: 'round', alpha: 1 },
+    marker: { lineCap: 'butt', lineJoin: 'bevel', alpha: 0.9 },
+    highlighter: { lineCap: 'butt', lineJoin: 'round', alpha: 0.4 },
+    pencil: { lineCap: 'round', lineJoin: 'round', alpha: 0.85, grain: true },
+    spray: { lineCap: 'round', lineJoin: 'round', alpha: 1 },
+    calligraphy: { lineCap: 'round', lineJoin: 'round', alpha: 1 }
+  },
+
+  /**
+   * Brush type of a stroke (eraser strokes are always round)
+   */
+  getBrush(stroke) {
+    return stroke.tool === 'eraser' ? this.DEFAULT_BRUSH : stroke.brush || this.DEFAULT_BRUSH;
+  },
+
+  /**
+   * Caps, joins, opacity and grain of a stroke's brush
+   */
+  getStyle(stroke) {
+    return this.STYLES[this.getBrush(stroke)];
+  },
+
+  /**
+   * Opacity a stroke is composited with: its brush's times its own
+   */
+  getAlpha(stroke) {
+    if (stroke.tool === 'eraser') return 1;
+    return this.getStyle(stroke).alpha * (stroke.opacity !== undefined ? stroke.opacity : 1);
+  },
+
+  /**
+   * Blend mode of a stroke
+   */
+  getBlendMode(stroke) {
+    return stroke.tool === 'eraser' ? this.DEFAULT_BLEND_MODE : stroke.blend || this.DEFAULT_BLEND_MODE;
+  },
+
+  /**
+   * Canvas composite operation for a stroke's blend mode
+   */
+  getCompositeOperation(stroke) {
+    const blend = this.getBlendMode(stroke);
+    return blend === this.DEFAULT_BLEND_MODE ? 'source-over' : blend;
+  },
+
+  /**
+   * Check whether a stroke is painted on its own and composited as a whole
+   * (anything but an opaque round brush blended normally)
+   */
+  isComposited(stroke) {
+    return stroke.tool !== 'eraser' && (this.getBrush(stroke) !== this.DEFAULT_BRUSH ||
+      this.getAlpha(stroke) < 1 || this.getBlendMode(stroke) !== this.DEFAULT_BLEND_MODE);
+  }
+};
+
+// The server validates and exports brush strokes with the same styles (loaded with require())
+if (typeof module !== 'undefined') {
+  module.exports = Brushes;
+}
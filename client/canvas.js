@@ -1,21 +1,141 @@
 /**
  * Canvas Drawing Manager
  * Handles all canvas drawing operations with efficient rendering
+ *
+ * Each layer is drawn on its own canvas, stacked over the drawing canvas
+ * (which only takes pointer events) in layer order, so the browser composites
+ * them and hiding a layer doesn't repaint anything.
+ *
+ * Everything is stored and drawn in world coordinates; the viewport (pan and
+ * zoom) is a transform on every context, and pointer positions are mapped back
+ * into the world before they reach a tool. Each room has a logical document
+ * size that every client fits (letterboxed) to its window, and canvases are
+ * backed at the device pixel ratio so they stay sharp on HiDPI screens.
  */
 
+// Tools that drag out a shape instead of drawing freehand
+const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow'];
+
+// Selection handles: size on screen, how close a press must be, and the smallest scale they allow
+const HANDLE_SIZE = 8;
+const HANDLE_REACH = 8;
+const MIN_SELECTION_SCALE = 0.05;
+
+// How close (in pixels) a click must be to a stroke to select it
+const HIT_TOLERANCE = 4;
+
+// Zoom range, and how fast the wheel zooms
+const MIN_ZOOM = 0.02;
+const MAX_ZOOM = 10;
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+// Points a stroke's other points place to within this many screen pixels (at
+// the zoom it was drawn at) are dropped before it is committed
+const SIMPLIFY_TOLERANCE = 0.5;
+
+// Touches are ignored for this long after a pen was last seen (the palm resting while writing)
+const PALM_REJECTION_MS = 500;
+
+// Matches the server's coordinate limit (LIMITS.MAX_COORDINATE): the view's center stays inside it
+const WORLD_EXTENT = 100000;
+
+// Matches the server's default document size (DrawingState's DEFAULT_DOCUMENT)
+const DEFAULT_DOCUMENT = { width: 1920, height: 1080 };
+
+// Around the document when the window's shape differs from it
+const LETTERBOX_COLOR = '#e9ecef';
+
+// Pencil grain: a tile (in canvas units) of specks taken out of pencil strokes,
+// the share of its pixels that are specks, and the seed that scatters them
+const GRAIN_SIZE = 32;
+const GRAIN_DENSITY = 0.5;
+const GRAIN_SEED = 1;
+
+// Past this many regions changed by one update, they are repainted as one box around them all
+const MAX_DIRTY_REGIONS = 16;
+
 class CanvasDrawing {
-  constructor(canvasId, cursorCanvasId) {
+  constructor(canvasId, cursorCanvasId, textEditorId) {
     this.canvas = document.getElementById(canvasId);
     this.cursorCanvas = document.getElementById(cursorCanvasId);
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: false });
+    this.textEditorElement = document.getElementById(textEditorId);
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: false }); // The document page, and measuring text
     this.cursorCtx = this.cursorCanvas.getContext('2d', { willReadFrequently: false });
     
     // Drawing state
     this.isDrawing = false;
+    this.readOnly = false; // Viewers can't start strokes
     this.currentTool = 'brush';
     this.currentColor = '#000000';
     this.lineWidth = 3;
+    this.fillShapes = false; // Fill rectangles and ellipses with the current color
+    this.fontSize = 24;
+    this.smoothStrokes = true; // New strokes are drawn as curves through their points
+    this.fillTolerance = 20; // How far (in %) colors the fill tool spreads over may be from the one clicked
+    this.brush = Brushes.DEFAULT_BRUSH;
+    this.opacity = 1; // Of new brush strokes, 0.05-1
+    this.blendMode = Brushes.DEFAULT_BLEND_MODE;
     this.currentStroke = [];
+    this.shiftHeld = false; // Constrains shapes being dragged out
+    
+    // Strokes painted on screen but not yet in the server's history
+    this.liveStrokes = new Map(); // key -> {tool, color, lineWidth, points} or a shape operation
+    this.pendingIds = new Set(); // Client IDs of local strokes the server hasn't confirmed
+    
+    // Shapes being dragged out, previewed on the cursor layer
+    this.shapePreviews = new Map(); // 'local' or user ID -> {shape, color, lineWidth, fill, start, end}
+    this.shapePointer = null; // Where the local pointer is, before constraining
+    
+    // Images referenced by image operations, and the one being placed (if any)
+    this.imageStore = new ImageStore();
+    this.imagePlacement = null; // {bitmap, width, height, anchor, pos, onPlace}
+    
+    // What each fill covers, worked out again when what is drawn beneath it changes
+    this.fillCache = new Map(); // fill ID (client ID until committed) -> {signature, image: {canvas, x, y, width, height} | null}
+    this.repaintingView = false; // redrawFromHistory() is repainting everything
+    
+    // What the layers show, indexed by bounds, and checkpoints of their pixels (see RenderCache)
+    this.renderCache = new RenderCache();
+    this.drewPlaceholder = false; // An image wasn't loaded yet during the repaint in progress
+    
+    // Composited brush strokes are painted here before going onto their layer (see Brushes)
+    this.strokeCanvas = null; // {canvas, ctx}, as big as the biggest layer canvas
+    this.grainPattern = null;
+    
+    // The open text editor, if any (editOf and original are set when re-editing a text)
+    this.textEditor = null; // {x, y, fontSize, color, layerId, editOf, original}
+    
+    // The room's layers, bottom to top, and a canvas for each
+    this.layers = []; // [{id, name, visible, locked}]
+    this.layerCanvases = new Map(); // layer ID -> {canvas, ctx}
+    this.activeLayerId = Operations.DEFAULT_LAYER_ID; // Where new strokes, shapes, texts and images go
+    
+    // Selected operations (by ID) and the gesture in progress with the select tool
+    this.selection = new Set();
+    this.selectionGesture = null; // {mode: 'move'|'resize'|'marquee'|'lasso', start, ...}
+    
+    // The object eraser being dragged: what it touches is hidden by a live delete ('erase') until released
+    this.eraseGesture = null; // {last} pointer position
+    
+    // Part of the world on screen: screen = (world - {x, y}) * zoom, in CSS pixels
+    this.viewport = { x: 0, y: 0, zoom: 1 };
+    this.documentSize = { ...DEFAULT_DOCUMENT }; // The room's logical size
+    this.fitted = true; // The view fits the document (and keeps fitting it) until the user pans or zooms
+    this.viewWidth = 0; // Size of the view in CSS pixels
+    this.viewHeight = 0;
+    this.pixelRatio = 1; // Device pixels per CSS pixel of the backing canvases
+    this.spaceHeld = false; // Space-drag pans
+    this.panGesture = null; // {last} screen position while panning
+    this.pinchGesture = null; // {worldCenter, distance, zoom} while two fingers are down
+    
+    // The pointer that started the gesture in progress; others can't continue or end it
+    this.activePointer = null; // {id, type}
+    this.touchPointers = new Map(); // pointer ID -> screen position of each finger down
+    this.lastPenTime = -Infinity; // When a pen last touched or hovered (event time stamp)
+    this.redrawScheduled = false;
+    
+    // Returns the visible operations, for hit testing and repainting around the text editor
+    this.operationsProvider = null;
     
     // Performance optimization
     this.drawingQueue = [];
@@ -25,6 +145,7 @@ class CanvasDrawing {
     
     // Initialize canvas
     this.resizeCanvas();
+    this.fitDocument();
     this.setupEventListeners();
     
     // Start render loop for FPS tracking
@@ -32,308 +153,2428 @@ class CanvasDrawing {
   }
 
   /**
-   * Resize canvas to fit container
+   * Resize canvas to fit container, with a backing store at the device pixel ratio
+   */
+  resizeCanvas() {
+    const container = this.canvas.parentElement;
+    const rect = container.getBoundingClientRect();
+    
+    this.viewWidth = rect.width;
+    this.viewHeight = rect.height;
+    this.pixelRatio = window.devicePixelRatio || 1;
+    
+    // Display size in CSS pixels, backing store in device pixels
+    this.getAllCanvases().forEach(canvas => {
+      canvas.style.width = `${rect.width}px`;
+      canvas.style.height = `${rect.height}px`;
+      canvas.width = Math.round(rect.width * this.pixelRatio);
+      canvas.height = Math.round(rect.height * this.pixelRatio);
+    });
+    
+    // Set rendering properties and the view (resizing resets them)
+    this.getAllContexts().forEach(ctx => {
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      this.applyViewportTransform(ctx);
+    });
+  }
+
+  /**
+   * Every canvas: the page, each layer and the cursor layer
+   */
+  getAllCanvases() {
+    return [this.canvas, ...Array.from(this.layerCanvases.values(), layer => layer.canvas), this.cursorCanvas];
+  }
+
+  /**
+   * Every canvas's context (all of them draw through the viewport)
+   */
+  getAllContexts() {
+    return [this.ctx, ...Array.from(this.layerCanvases.values(), layer => layer.ctx), this.cursorCtx];
+  }
+
+  /**
+   * Resize again when the device pixel ratio changes (browser zoom, or another screen)
+   */
+  watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${this.pixelRatio}dppx)`);
+    query.addEventListener('change', () => {
+      this.handleResize();
+      this.watchPixelRatio();
+    }, { once: true });
+  }
+
+  /**
+   * Setup event listeners for drawing
+   */
+  setupEventListeners() {
+    // Pointer events: mouse, pen and touch alike
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
+    
+    // Keep the focus in the text editor a press opens (pointerdown can't prevent the focus change)
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (this.currentTool === 'text' && !this.readOnly) {
+        e.preventDefault();
+      }
+    });
+    
+    // Text editor: Ctrl+Enter or clicking elsewhere saves, Escape cancels
+    this.textEditorElement.addEventListener('input', () => this.resizeTextEditor());
+    this.textEditorElement.addEventListener('blur', () => this.commitTextEditor());
+    this.textEditorElement.addEventListener('keydown', this.handleTextEditorKey.bind(this));
+    
+    // Shift constrains the shape being dragged out, even without moving the pointer
+    window.addEventListener('keydown', this.handleShiftKey.bind(this));
+    window.addEventListener('keyup', this.handleShiftKey.bind(this));
+    
+    // Space-drag pans, the wheel zooms
+    window.addEventListener('keydown', this.handleSpaceKey.bind(this));
+    window.addEventListener('keyup', this.handleSpaceKey.bind(this));
+    this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+    
+    // Resize
+    window.addEventListener('resize', this.handleResize.bind(this));
+    this.watchPixelRatio();
+  }
+
+  /**
+   * Get the position of a mouse or pointer event on screen, relative to the canvas
+   */
+  getScreenPos(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    };
+  }
+
+  /**
+   * Get the position of a mouse or pointer event in the world
+   */
+  getMousePos(e) {
+    return this.toWorld(this.getScreenPos(e));
+  }
+
+  /**
+   * Get a stroke point for a pointer event: its position in the world, and for
+   * pens their pressure and tilt (mice and fingers report no real pressure, so
+   * their strokes keep an even width)
+   */
+  getPointerPoint(e) {
+    const point = this.getMousePos(e);
+    if (e.pointerType !== 'pen') return point;
+    
+    point.pressure = Math.round(e.pressure * 1000) / 1000;
+    if (e.tiltX || e.tiltY) {
+      point.tiltX = e.tiltX;
+      point.tiltY = e.tiltY;
+    }
+    return point;
+  }
+
+  /**
+   * Check whether a pen is in use: drawing, or seen recently enough that a
+   * touch is more likely the palm than a finger
+   */
+  isPenActive(e) {
+    return (this.activePointer !== null && this.activePointer.type === 'pen') ||
+      e.timeStamp - this.lastPenTime < PALM_REJECTION_MS;
+  }
+
+  /**
+   * Decide whether a pointer going down may start something: a pen takes over
+   * from a finger (or palm) that got there first, touches are ignored while a
+   * pen is in use, and a second finger turns the first one's gesture into a pinch
+   */
+  acceptPointer(e) {
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = e.timeStamp;
+      if (this.activePointer && this.activePointer.type === 'touch') {
+        this.cancelGesture();
+        this.releasePointer();
+      }
+      this.touchPointers.clear();
+      this.pinchGesture = null;
+    } else if (e.pointerType === 'touch') {
+      if (this.isPenActive(e)) return false;
+      
+      this.touchPointers.set(e.pointerId, this.getScreenPos(e));
+      if (this.touchPointers.size === 2) {
+        // Viewers can pinch too
+        this.cancelGesture();
+        this.releasePointer();
+        this.startPinch();
+      }
+      if (this.pinchGesture) return false;
+    }
+    return this.activePointer === null;
+  }
+
+  /**
+   * Make a pointer the one driving the gesture it starts; captured, so the
+   * gesture goes on (and ends) even when the pointer leaves the canvas
+   */
+  capturePointer(e) {
+    this.activePointer = { id: e.pointerId, type: e.pointerType };
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  /**
+   * Forget the active pointer, ending a pan it was driving
+   */
+  releasePointer() {
+    if (this.panGesture) {
+      this.endPan();
+    }
+    this.activePointer = null;
+  }
+
+  /**
+   * Pointer down handler
+   */
+  handlePointerDown(e) {
+    if (!this.acceptPointer(e)) return;
+    
+    // Space-drag or the middle button pans (viewers too)
+    if (this.spaceHeld || e.button === 1) {
+      e.preventDefault();
+      this.capturePointer(e);
+      this.startPan(this.getScreenPos(e));
+      return;
+    }
+    
+    // Only the primary button (or a pen or finger touching) draws
+    if (this.readOnly || e.button !== 0) return;
+    const pos = this.getMousePos(e);
+    
+    if (this.imagePlacement) {
+      this.capturePointer(e);
+      this.imagePlacement.anchor = pos;
+      this.imagePlacement.pos = pos;
+      return;
+    }
+    
+    if (this.currentTool === 'text') {
+      this.openTextEditorAt(pos);
+      return;
+    }
+    
+    if (this.currentTool === 'select') {
+      this.capturePointer(e);
+      this.startSelectionGesture(pos, e);
+      return;
+    }
+    
+    if (this.currentTool === 'object-eraser') {
+      this.capturePointer(e);
+      this.startObjectErase(pos);
+      return;
+    }
+    
+    if (!this.checkActiveLayer()) return;
+    if (this.currentTool === 'fill') {
+      this.fillAt(pos);
+      return;
+    }
+    this.capturePointer(e);
+    this.isDrawing = true;
+    this.startDrawing(this.getPointerPoint(e));
+  }
+
+  /**
+   * Pointer move handler
+   */
+  handlePointerMove(e) {
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = e.timeStamp;
+    }
+    if (this.touchPointers.has(e.pointerId)) {
+      this.touchPointers.set(e.pointerId, this.getScreenPos(e));
+      if (this.pinchGesture) {
+        if (this.touchPointers.size >= 2) {
+          this.continuePinch();
+        }
+        return;
+      }
+    }
+    
+    // Only the pointer that started a gesture continues it; a rejected touch does nothing
+    if (this.activePointer ? e.pointerId !== this.activePointer.id : e.pointerType === 'touch') return;
+    
+    if (this.panGesture) {
+      this.continuePan(this.getScreenPos(e));
+      return;
+    }
+    
+    const pos = this.getMousePos(e);
+    
+    // Emit cursor position for other users
+    if (this.onCursorMove) {
+      this.onCursorMove(pos);
+    }
+    
+    if (this.imagePlacement) {
+      this.imagePlacement.pos = pos;
+    } else if (this.selectionGesture) {
+      this.continueSelectionGesture(pos, e);
+    } else if (this.eraseGesture) {
+      this.continueObjectErase(pos);
+    } else if (this.isDrawing) {
+      // Strokes take every point the browser merged into this event; shapes only need the last
+      const events = this.isShapeTool() || !e.getCoalescedEvents ? [] : e.getCoalescedEvents();
+      (events.length > 0 ? events : [e]).forEach(event => {
+        this.continueDrawing(this.getPointerPoint(event));
+      });
+    }
+  }
+
+  /**
+   * Pointer up (or cancelled) handler: a cancelled pointer abandons its gesture
+   */
+  handlePointerUp(e) {
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = e.timeStamp;
+    }
+    if (this.touchPointers.delete(e.pointerId) && this.pinchGesture) {
+      // Two fingers left keep pinching; the last finger left doesn't start drawing
+      if (this.touchPointers.size >= 2) {
+        this.startPinch();
+      } else if (this.touchPointers.size === 0) {
+        this.pinchGesture = null;
+      }
+      return;
+    }
+    if (!this.activePointer || e.pointerId !== this.activePointer.id) return;
+    this.releasePointer();
+    
+    if (e.type === 'pointercancel') {
+      this.cancelGesture();
+      return;
+    }
+    if (this.imagePlacement && this.imagePlacement.anchor) {
+      this.finishImagePlacement();
+    }
+    if (this.selectionGesture) {
+      this.endSelectionGesture();
+    }
+    if (this.eraseGesture) {
+      this.endObjectErase();
+    }
+    if (this.isDrawing) {
+      this.endDrawing();
+    }
+    this.isDrawing = false;
+  }
+
+  /**
+   * Key handler for Shift (pressed or released)
+   */
+  handleShiftKey(e) {
+    if (e.key !== 'Shift' || e.shiftKey === this.shiftHeld) return;
+    
+    this.shiftHeld = e.shiftKey;
+    if (this.shapePreviews.has('local') && this.shapePointer) {
+      this.continueShape(this.shapePointer);
+    }
+  }
+
+  /**
+   * Key handler for Space (pressed or released): held down, dragging pans
+   */
+  handleSpaceKey(e) {
+    if (e.key !== ' ' || e.target.matches('input, textarea, select')) return;
+    
+    // No page scroll, nor a click on a focused button
+    e.preventDefault();
+    this.spaceHeld = e.type === 'keydown';
+    this.canvas.classList.toggle('pan-ready', this.spaceHeld);
+  }
+
+  /**
+   * Wheel handler: zoom around the pointer
+   */
+  handleWheel(e) {
+    e.preventDefault();
+    
+    // Line and page deltas are converted to pixels
+    const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.viewHeight : 1);
+    this.zoomAround(this.getScreenPos(e), this.viewport.zoom * Math.exp(-delta * WHEEL_ZOOM_SPEED));
+  }
+
+  /**
+   * Key handler for the text editor
+   */
+  handleTextEditorKey(e) {
+    // Keep editing keys (including Ctrl+Z) away from the app's shortcuts
+    e.stopPropagation();
+    
+    if (e.key === 'Escape') {
+      this.cancelTextEditor();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      this.commitTextEditor();
+    }
+  }
+
+  /**
+   * Handle resize: the document is fitted again (unless the user has panned or
+   * zoomed, then what was in the middle stays there) and redrawn from history
+   */
+  handleResize() {
+    const center = this.toWorld({ x: this.viewWidth / 2, y: this.viewHeight / 2 });
+    const fitted = this.fitted;
+    this.resizeCanvas();
+    
+    if (fitted) {
+      this.fitDocument();
+    } else {
+      this.setViewportAround(center, { x: this.viewWidth / 2, y: this.viewHeight / 2 }, this.viewport.zoom);
+    }
+  }
+
+  /**
+   * Map a position on screen (relative to the canvas) into the world
+   */
+  toWorld(pos) {
+    const { x, y, zoom } = this.viewport;
+    return { x: pos.x / zoom + x, y: pos.y / zoom + y };
+  }
+
+  /**
+   * Map a position in the world onto the screen
+   */
+  toScreen(pos) {
+    const { x, y, zoom } = this.viewport;
+    return { x: (pos.x - x) * zoom, y: (pos.y - y) * zoom };
+  }
+
+  /**
+   * The part of the world on screen
+   */
+  getViewBounds() {
+    const { x, y, zoom } = this.viewport;
+    return { x, y, width: this.viewWidth / zoom, height: this.viewHeight / zoom };
+  }
+
+  /**
+   * Draw a context in world coordinates through the viewport (onto device pixels)
+   */
+  applyViewportTransform(ctx) {
+    const { x, y, zoom } = this.viewport;
+    const scale = zoom * this.pixelRatio;
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+  }
+
+  /**
+   * Pan and zoom; the canvas is redrawn on the next frame
+   * @param {Object} viewport - {x, y, zoom}: world position at the top-left corner, and scale
+   */
+  setViewport({ x, y, zoom }) {
+    zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    
+    // Past the server's coordinate limit nothing could be drawn
+    const halfWidth = this.viewWidth / zoom / 2;
+    const halfHeight = this.viewHeight / zoom / 2;
+    x = Math.min(WORLD_EXTENT, Math.max(-WORLD_EXTENT, x + halfWidth)) - halfWidth;
+    y = Math.min(WORLD_EXTENT, Math.max(-WORLD_EXTENT, y + halfHeight)) - halfHeight;
+    
+    this.viewport = { x, y, zoom };
+    this.fitted = false;
+    this.getAllContexts().forEach(ctx => this.applyViewportTransform(ctx));
+    this.positionTextEditor();
+    this.scheduleRedraw();
+    
+    if (this.onViewportChange) {
+      this.onViewportChange(this.viewport);
+    }
+  }
+
+  /**
+   * Zoom so that a world position ends up at a screen position
+   */
+  setViewportAround(worldPos, screenPos, zoom) {
+    zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    this.setViewport({ x: worldPos.x - screenPos.x / zoom, y: worldPos.y - screenPos.y / zoom, zoom });
+  }
+
+  /**
+   * Zoom keeping what is under a screen position in place
+   */
+  zoomAround(screenPos, zoom) {
+    this.setViewportAround(this.toWorld(screenPos), screenPos, zoom);
+  }
+
+  /**
+   * Zoom in or out around the middle of the view
+   */
+  zoomBy(factor) {
+    this.zoomAround({ x: this.viewWidth / 2, y: this.viewHeight / 2 }, this.viewport.zoom * factor);
+  }
+
+  /**
+   * Show the whole document as large as the view allows, centered (letterboxed);
+   * it stays fitted through resizes until the user pans or zooms
+   */
+  fitDocument() {
+    const { width, height } = this.documentSize;
+    const zoom = Math.min(this.viewWidth / width, this.viewHeight / height) || 1;
+    this.setViewport({
+      x: (width - this.viewWidth / zoom) / 2,
+      y: (height - this.viewHeight / zoom) / 2,
+      zoom
+    });
+    this.fitted = true;
+  }
+
+  /**
+   * Set the room's logical document size (a fitted view is fitted to it again)
+   * @param {Object} size - {width, height}
+   */
+  setDocumentSize(size) {
+    this.documentSize = { width: size.width, height: size.height };
+    if (this.fitted) {
+      this.fitDocument();
+    } else {
+      this.scheduleRedraw();
+    }
+  }
+
+  /**
+   * Paint the document page, and the letterbox around it
+   */
+  drawPage() {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = LETTERBOX_COLOR;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.restore();
+    
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.documentSize.width, this.documentSize.height);
+  }
+
+  /**
+   * Get the current zoom (1 is 100%)
+   */
+  getZoom() {
+    return this.viewport.zoom;
+  }
+
+  /**
+   * Redraw everything in view once, on the next frame
+   */
+  scheduleRedraw() {
+    if (this.redrawScheduled) return;
+    
+    this.redrawScheduled = true;
+    requestAnimationFrame(() => {
+      this.redrawScheduled = false;
+      this.redrawFromHistory(this.getVisibleOperations());
+    });
+  }
+
+  /**
+   * Start panning from a screen position
+   */
+  startPan(screenPos) {
+    this.panGesture = { last: screenPos };
+    this.canvas.classList.add('panning');
+  }
+
+  /**
+   * Drag the world along with the pointer
+   */
+  continuePan(screenPos) {
+    const { x, y, zoom } = this.viewport;
+    const { last } = this.panGesture;
+    this.panGesture.last = screenPos;
+    this.setViewport({ x: x - (screenPos.x - last.x) / zoom, y: y - (screenPos.y - last.y) / zoom, zoom });
+  }
+
+  /**
+   * Stop panning
+   */
+  endPan() {
+    this.panGesture = null;
+    this.canvas.classList.remove('panning');
+  }
+
+  /**
+   * Screen positions of the first two fingers down, their midpoint and distance
+   */
+  getPinch() {
+    const [a, b] = this.touchPointers.values();
+    return {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+    };
+  }
+
+  /**
+   * Two fingers down: remember what is between them
+   */
+  startPinch() {
+    const { center, distance } = this.getPinch();
+    this.pinchGesture = { worldCenter: this.toWorld(center), distance, zoom: this.viewport.zoom };
+  }
+
+  /**
+   * Two fingers moved: what was between them stays there, scaled by their spread
+   */
+  continuePinch() {
+    const { center, distance } = this.getPinch();
+    const pinch = this.pinchGesture;
+    this.setViewportAround(pinch.worldCenter, center, pinch.zoom * distance / pinch.distance);
+  }
+
+  /**
+   * Abandon whatever the pointer started (a stroke, shape, selection drag or object erase)
+   * without committing it
+   */
+  cancelGesture() {
+    if (this.isDrawing) {
+      this.isDrawing = false;
+      this.cancelDrawing();
+    }
+    if (this.selectionGesture) {
+      this.selectionGesture = null;
+      this.removeLiveStroke('selection', this.getVisibleOperations());
+    }
+    if (this.eraseGesture) {
+      this.eraseGesture = null;
+      this.removeLiveStroke('erase', this.getVisibleOperations());
+    }
+    if (this.imagePlacement) {
+      this.imagePlacement.anchor = null;
+    }
+  }
+
+  /**
+   * Show the room's layers: one canvas each, stacked bottom to top between the
+   * drawing canvas and the cursor layer
+   * Hidden layers keep their pixels, so showing them again is instant
+   * @param {Array} layers - [{id, name, visible, locked}], bottom to top
+   */
+  setLayers(layers) {
+    this.layers = layers;
+    
+    const ids = new Set(layers.map(layer => layer.id));
+    this.layerCanvases.forEach(({ canvas }, layerId) => {
+      if (!ids.has(layerId)) {
+        canvas.remove();
+        this.layerCanvases.delete(layerId);
+      }
+    });
+    
+    layers.forEach(layer => {
+      const { canvas } = this.getLayerCanvas(layer.id);
+      canvas.classList.toggle('hidden', !layer.visible);
+      // Re-inserting in order restacks them
+      this.cursorCanvas.before(canvas);
+    });
+    
+    if (!ids.has(this.activeLayerId) && layers.length > 0) {
+      this.activeLayerId = layers[layers.length - 1].id;
+    }
+  }
+
+  /**
+   * Get a layer's canvas, creating it if needed
+   * @returns {Object} - {canvas, ctx}
+   */
+  getLayerCanvas(layerId) {
+    let layer = this.layerCanvases.get(layerId);
+    if (!layer) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'layer-canvas';
+      canvas.style.width = `${this.viewWidth}px`;
+      canvas.style.height = `${this.viewHeight}px`;
+      canvas.width = this.canvas.width;
+      canvas.height = this.canvas.height;
+      this.cursorCanvas.before(canvas);
+      
+      const ctx = canvas.getContext('2d', { willReadFrequently: false });
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      this.applyViewportTransform(ctx);
+      layer = { canvas, ctx };
+      this.layerCanvases.set(layerId, layer);
+    }
+    return layer;
+  }
+
+  /**
+   * Get the context of the layer an operation (or stroke) is drawn on
+   */
+  getLayerContext(operation) {
+    return this.getLayerCanvas(Operations.getLayerId(operation)).ctx;
+  }
+
+  /**
+   * Find a layer by ID
+   */
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || null;
+  }
+
+  /**
+   * Check whether a layer can be drawn on and its operations selected (visible and unlocked)
+   */
+  isLayerEditable(layerId) {
+    const layer = this.getLayer(layerId);
+    return !layer || (layer.visible && !layer.locked);
+  }
+
+  /**
+   * Check that new work can go on the active layer, telling the user if it can't
+   */
+  checkActiveLayer() {
+    if (this.isLayerEditable(this.activeLayerId)) return true;
+    
+    if (this.onLayerUnavailable) {
+      this.onLayerUnavailable(this.getLayer(this.activeLayerId));
+    }
+    return false;
+  }
+
+  /**
+   * Set the layer new strokes, shapes, texts and images go on
+   */
+  setActiveLayer(layerId) {
+    this.activeLayerId = layerId;
+  }
+
+  /**
+   * Get the layer new work goes on
+   */
+  getActiveLayerId() {
+    return this.activeLayerId;
+  }
+
+  /**
+   * Apply a stroke's color, width, brush caps and compositing to a layer's context
+   * (erasing only clears that layer; opacity and blend mode are drawCompositedStroke's)
+   */
+  applyStrokeStyle(stroke, ctx) {
+    const { lineCap, lineJoin } = Brushes.getStyle(stroke);
+    ctx.strokeStyle = stroke.tool === 'eraser' ? '#FFFFFF' : stroke.color;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = stroke.lineWidth;
+    // A single point is a dot whatever the brush
+    ctx.lineCap = stroke.points.length === 1 ? 'round' : lineCap;
+    ctx.lineJoin = lineJoin;
+    ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+  }
+
+  /**
+   * Brush style of new strokes, leaving out what is the default (erasers have none)
+   */
+  getBrushStyle() {
+    const style = {};
+    if (this.currentTool === 'eraser') return style;
+    
+    if (this.brush !== Brushes.DEFAULT_BRUSH) style.brush = this.brush;
+    if (this.opacity < 1) style.opacity = this.opacity;
+    if (this.blendMode !== Brushes.DEFAULT_BLEND_MODE) style.blend = this.blendMode;
+    return style;
+  }
+
+  /**
+   * Check whether the current tool drags out a shape
+   */
+  isShapeTool() {
+    return SHAPE_TOOLS.includes(this.currentTool);
+  }
+
+  /**
+   * Start drawing with the current tool
+   */
+  startDrawing(pos) {
+    if (this.isShapeTool()) {
+      this.startShape(pos);
+    } else {
+      this.startStroke(pos);
+    }
+  }
+
+  /**
+   * Continue drawing with the current tool
+   */
+  continueDrawing(pos) {
+    if (this.shapePreviews.has('local')) {
+      this.continueShape(pos);
+    } else {
+      this.continueStroke(pos);
+    }
+  }
+
+  /**
+   * Finish drawing with the current tool
+   */
+  endDrawing() {
+    if (this.shapePreviews.has('local')) {
+      this.endShape();
+    } else {
+      this.endStroke();
+    }
+  }
+
+  /**
+   * Abandon the stroke or shape being drawn; others drop it too
+   */
+  cancelDrawing() {
+    if (this.shapePreviews.has('local')) {
+      this.shapePreviews.delete('local');
+      this.shapePointer = null;
+      if (this.onShapePreview) {
+        this.onShapePreview({ type: 'end' });
+      }
+      return;
+    }
+    
+    this.currentStroke = [];
+    this.removeLiveStroke('local', this.getVisibleOperations());
+    if (this.onDraw) {
+      this.onDraw({ type: 'cancel' });
+    }
+  }
+
+  /**
+   * Start a new stroke
+   */
+  startStroke(pos) {
+    this.currentStroke = [pos];
+    const start = {
+      tool: this.currentTool,
+      color: this.currentColor,
+      lineWidth: this.lineWidth,
+      smooth: this.smoothStrokes,
+      layerId: this.activeLayerId,
+      ...this.getBrushStyle()
+    };
+    const stroke = { ...start, points: this.currentStroke };
+    this.liveStrokes.set('local', stroke);
+    
+    // Draw initial point
+    this.drawLivePiece(stroke, { from: pos, to: pos });
+    
+    // Emit draw event for real-time sync
+    if (this.onDraw) {
+      this.onDraw({ type: 'start', ...start, point: pos });
+    }
+  }
+
+  /**
+   * Continue current stroke
+   */
+  continueStroke(pos) {
+    if (this.currentStroke.length === 0) return;
+    
+    this.currentStroke.push(pos);
+    
+    // Draw the piece the new point completes
+    const stroke = this.liveStrokes.get('local');
+    this.drawLivePiece(stroke, Geometry.getStrokePiece(stroke, this.currentStroke.length - 1));
+    
+    // Emit draw event for real-time sync
+    if (this.onDraw) {
+      this.onDraw({
+        type: 'continue',
+        point: pos
+      });
+    }
+  }
+
+  /**
+   * End current stroke
+   */
+  endStroke() {
+    if (this.currentStroke.length === 0) return;
+    
+    // A smoothed stroke ends with a piece only its last point completes
+    const local = this.liveStrokes.get('local');
+    if (local.smooth && local.points.length > 1) {
+      this.drawLivePiece(local, Geometry.getSmoothTail(local));
+    }
+    
+    // Keep it on screen as a live stroke until the server assigns its place in history,
+    // without the points that make no visible difference (every point of a spray seeds its dots)
+    const tolerance = SIMPLIFY_TOLERANCE / this.viewport.zoom;
+    const stroke = {
+      ...local,
+      points: Brushes.getBrush(local) === 'spray'
+        ? local.points
+        : Geometry.simplifyPoints(local.points, tolerance, local.lineWidth),
+      clientId: this.generateOperationId()
+    };
+    this.liveStrokes.delete('local');
+    this.addPendingStroke(stroke);
+    
+    // Emit stroke complete event
+    if (this.onStrokeComplete) {
+      this.onStrokeComplete(stroke);
+    }
+    
+    this.currentStroke = [];
+  }
+
+  /**
+   * Start dragging out a shape (previewed on the cursor layer until released)
+   */
+  startShape(pos) {
+    // Shapes are drawn at an even width: the pen's pressure is left out
+    const point = { x: pos.x, y: pos.y };
+    this.shapePointer = point;
+    this.shapePreviews.set('local', {
+      shape: this.currentTool,
+      color: this.currentColor,
+      lineWidth: this.lineWidth,
+      fill: this.fillShapes,
+      start: point,
+      end: point
+    });
+  }
+
+  /**
+   * Move the loose end of the shape being dragged out
+   */
+  continueShape(pos) {
+    const shape = this.shapePreviews.get('local');
+    const point = { x: pos.x, y: pos.y };
+    this.shapePointer = point;
+    shape.end = this.shiftHeld ? Geometry.constrainShapeEnd(shape.shape, shape.start, point) : point;
+    
+    // Others see the shape as it is dragged out
+    if (this.onShapePreview) {
+      this.onShapePreview({ type: 'update', ...shape });
+    }
+  }
+
+  /**
+   * Commit the shape being dragged out; a click without a drag draws nothing
+   */
+  endShape() {
+    const shape = this.shapePreviews.get('local');
+    this.shapePreviews.delete('local');
+    this.shapePointer = null;
+    
+    if (Math.hypot(shape.end.x - shape.start.x, shape.end.y - shape.start.y) < 2 / this.viewport.zoom) {
+      if (this.onShapePreview) {
+        this.onShapePreview({ type: 'end' });
+      }
+      return;
+    }
+    
+    // Like strokes, it stays live until the server assigns its place in history
+    const operation = {
+      type: 'shape',
+      ...shape,
+      layerId: this.activeLayerId,
+      clientId: this.generateOperationId()
+    };
+    this.addPendingStroke(operation);
+    this.drawShape(operation, this.getLayerContext(operation));
+    
+    if (this.onShapeComplete) {
+      this.onShapeComplete(operation);
+    }
+  }
+
+  /**
+   * Draw a shape operation (or preview) onto the given context
+   */
+  drawShape(shape, ctx) {
+    const { start, end } = shape;
+    
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.lineWidth;
+    ctx.beginPath();
+    
+    if (shape.shape === 'rect' || shape.shape === 'ellipse') {
+      const rect = Geometry.getShapeRect(shape);
+      if (shape.shape === 'rect') {
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+      } else {
+        ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+      }
+      if (shape.fill) {
+        ctx.fill();
+      }
+      ctx.stroke();
+    } else if (shape.shape === 'arrow') {
+      // The shaft stops at the head so thick arrows keep a sharp tip
+      const head = Geometry.getArrowHead(shape);
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(head.base.x, head.base.y);
+      ctx.stroke();
+      
+      ctx.beginPath();
+      head.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    } else {
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    }
+    
+    ctx.restore();
+  }
+
+  /**
+   * Show or update a remote user's shape preview
+   */
+  setShapePreview(key, shape) {
+    this.shapePreviews.set(key, shape);
+  }
+
+  /**
+   * Forget a shape preview
+   */
+  deleteShapePreview(key) {
+    this.shapePreviews.delete(key);
+  }
+
+  /**
+   * Draw shapes being dragged out (ours and other users') on the cursor layer
+   */
+  drawShapePreviews() {
+    this.shapePreviews.forEach(shape => this.drawShape(shape, this.cursorCtx));
+  }
+
+  /**
+   * Get the visible operations from the history
+   */
+  getVisibleOperations() {
+    return this.operationsProvider ? this.operationsProvider() : [];
+  }
+
+  /**
+   * Open the text editor on the text under the pointer, or for a new text there
+   */
+  openTextEditorAt(pos) {
+    this.commitTextEditor();
+    
+    // The topmost text wins
+    const existing = this.getVisibleOperations()
+      .filter(op => op.type === 'text' && this.isLayerEditable(Operations.getLayerId(op)) &&
+        Geometry.boundsContain(Geometry.getOperationBounds(op), pos))
+      .pop();
+    
+    if (existing) {
+      this.openTextEditor({
+        x: existing.x,
+        y: existing.y,
+        text: existing.text,
+        fontSize: existing.fontSize,
+        color: existing.color,
+        editOf: existing.id, // The version drawn, which the server checks is still the newest
+        layerId: Operations.getLayerId(existing),
+        original: existing
+      });
+    } else {
+      if (!this.checkActiveLayer()) return;
+      
+      // The first line is centered on the pointer
+      this.openTextEditor({
+        x: Math.round(pos.x),
+        y: Math.round(pos.y - this.fontSize * Geometry.TEXT_LINE_HEIGHT / 2),
+        text: '',
+        fontSize: this.fontSize,
+        color: this.currentColor,
+        layerId: this.activeLayerId
+      });
+    }
+  }
+
+  /**
+   * Show the text editor over the canvas; a text being re-edited is hidden meanwhile
+   */
+  openTextEditor({ text, ...editor }) {
+    this.textEditor = editor;
+    
+    const element = this.textEditorElement;
+    element.value = text;
+    element.style.lineHeight = String(Geometry.TEXT_LINE_HEIGHT);
+    element.style.color = editor.color;
+    element.classList.remove('hidden');
+    this.positionTextEditor();
+    
+    if (editor.original) {
+      this.redrawRegion(Geometry.getOperationBounds(editor.original), this.getVisibleOperations());
+    }
+    element.focus();
+  }
+
+  /**
+   * Place the text editor over its text as it appears on screen
+   */
+  positionTextEditor() {
+    if (!this.textEditor) return;
+    
+    const element = this.textEditorElement;
+    const pos = this.toScreen(this.textEditor);
+    element.style.left = `${pos.x}px`;
+    element.style.top = `${pos.y}px`;
+    element.style.font = `${this.textEditor.fontSize * this.viewport.zoom}px ${Geometry.TEXT_FONT_FAMILY}`;
+    this.resizeTextEditor();
+  }
+
+  /**
+   * Fit the text editor to its content
+   */
+  resizeTextEditor() {
+    if (!this.textEditor) return;
+    
+    const element = this.textEditorElement;
+    const { fontSize } = this.textEditor;
+    const { zoom } = this.viewport;
+    const lines = element.value.split('\n').length;
+    // Extra room for the caret
+    element.style.width = `${(this.measureText(element.value, fontSize) + fontSize) * zoom}px`;
+    element.style.height = `${lines * fontSize * Geometry.TEXT_LINE_HEIGHT * zoom}px`;
+  }
+
+  /**
+   * Width of the widest line of a text at a font size
+   */
+  measureText(text, fontSize) {
+    this.ctx.save();
+    this.ctx.font = `${fontSize}px ${Geometry.TEXT_FONT_FAMILY}`;
+    const width = Math.max(...text.split('\n').map(line => this.ctx.measureText(line).width));
+    this.ctx.restore();
+    return Math.max(1, Math.ceil(width));
+  }
+
+  /**
+   * Hide the text editor without saving
+   */
+  closeTextEditor() {
+    const editor = this.textEditor;
+    // Cleared first: hiding the focused editor blurs it, which would commit again
+    this.textEditor = null;
+    this.textEditorElement.classList.add('hidden');
+    return editor;
+  }
+
+  /**
+   * Abandon the text being edited (a re-edited text reappears unchanged)
+   */
+  cancelTextEditor() {
+    const editor = this.closeTextEditor();
+    if (editor && editor.original) {
+      this.redrawRegion(Geometry.getOperationBounds(editor.original), this.getVisibleOperations());
+    }
+  }
+
+  /**
+   * Save the text being edited as a text operation; editing a text adds a new version of it
+   */
+  commitTextEditor() {
+    if (!this.textEditor) return;
+    
+    const text = this.textEditorElement.value.replace(/\s+$/, '');
+    const editor = this.textEditor;
+    if (text.trim() === '' || (editor.original && text === editor.original.text)) {
+      this.cancelTextEditor();
+      return;
+    }
+    this.closeTextEditor();
+    
+    // Like strokes, it stays live until the server assigns its place in history
+    const operation = {
+      type: 'text',
+      text,
+      fontSize: editor.fontSize,
+      color: editor.color,
+      x: editor.x,
+      y: editor.y,
+      width: this.measureText(text, editor.fontSize),
+      layerId: editor.layerId,
+      clientId: this.generateOperationId()
+    };
+    if (editor.editOf !== undefined) {
+      operation.editOf = editor.editOf;
+    }
+    this.addPendingStroke(operation);
+    
+    const bounds = Geometry.getOperationBounds(operation);
+    this.redrawRegion(editor.original ? Geometry.unionBounds(bounds, Geometry.getOperationBounds(editor.original)) : bounds,
+      this.getVisibleOperations());
+    
+    if (this.onTextComplete) {
+      this.onTextComplete(operation);
+    }
+  }
+
+  /**
+   * Check whether a committed operation is hidden here: it is a text open in
+   * the editor, or our edit of it (text edit, transform or delete) hasn't been
+   * confirmed yet and is drawn live instead
+   */
+  isHiddenLocally(operation) {
+    // Edits name the version they were made from, which is the one drawn
+    const text = operation.type === 'text';
+    if (text && this.textEditor && this.textEditor.editOf === operation.id) return true;
+    
+    for (const live of this.liveStrokes.values()) {
+      if (text && live.type === 'text' && live.editOf === operation.id) return true;
+      if (live.targetIds && live.targetIds.includes(operation.id)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Apply our transforms and deletes the server hasn't confirmed yet to operations
+   * @param {Array} operations - Resolved operations
+   * @param {Object} [until] - Last live edit to apply (all of them if omitted)
+   */
+  applyLiveEdits(operations, until) {
+    let result = operations;
+    for (const live of this.liveStrokes.values()) {
+      if (live.type === 'transform') {
+        result = result.map(op => live.targetIds.includes(op.id) ? Operations.transformOperation(op, live) : op);
+      } else if (live.type === 'delete') {
+        result = result.filter(op => !live.targetIds.includes(op.id));
+      }
+      if (live === until) break;
+    }
+    return result;
+  }
+
+  /**
+   * The operations a live transform draws: its targets as they'll look once
+   * it's committed, except those a later live edit draws (or deletes) instead
+   */
+  getTransformedTargets(transform) {
+    const edits = Array.from(this.liveStrokes.values()).filter(live => live.targetIds);
+    const later = new Set(edits.slice(edits.indexOf(transform) + 1).flatMap(live => live.targetIds));
+    const targets = this.getVisibleOperations()
+      .filter(op => transform.targetIds.includes(op.id) && !later.has(op.id));
+    return this.applyLiveEdits(targets, transform);
+  }
+
+  /**
+   * Bounds of a live stroke (a live transform covers its transformed targets)
+   */
+  getLiveBounds(stroke) {
+    if (stroke.type === 'transform') {
+      return this.getTransformedTargets(stroke)
+        .reduce((bounds, op) => Geometry.unionBounds(bounds, Geometry.getOperationBounds(op)), null);
+    }
+    if (stroke.type === 'delete') return null;
+    return Geometry.getOperationBounds(stroke);
+  }
+
+  /**
+   * Get the selected operations as currently drawn (with our unconfirmed edits applied)
+   */
+  getSelectedOperations() {
+    if (this.selection.size === 0) return [];
+    // Operations on layers hidden or locked since they were selected drop out
+    const selected = this.getVisibleOperations().filter(op => this.selection.has(op.id) && this.isSelectable(op));
+    return this.applyLiveEdits(selected);
+  }
+
+  /**
+   * Check whether anything is selected (selected operations may since have been removed)
+   */
+  hasSelection() {
+    return this.getSelectedOperations().length > 0;
+  }
+
+  /**
+   * Deselect everything
+   */
+  clearSelection() {
+    this.selection.clear();
+    this.selectionGesture = null;
+    if (this.liveStrokes.has('selection')) {
+      this.removeLiveStroke('selection', this.getVisibleOperations());
+    }
+  }
+
+  /**
+   * Box around the selection as drawn, or null if nothing is selected
+   */
+  getSelectionBounds() {
+    return this.getSelectedOperations()
+      .reduce((bounds, op) => Geometry.unionBounds(bounds, Geometry.getOperationBounds(op)), null);
+  }
+
+  /**
+   * Resize handles at the corners of the selection box, each scaling from the opposite corner
+   */
+  getSelectionHandles(bounds) {
+    const left = bounds.x;
+    const top = bounds.y;
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    return [
+      { x: left, y: top, anchor: { x: right, y: bottom } },
+      { x: right, y: top, anchor: { x: left, y: bottom } },
+      { x: right, y: bottom, anchor: { x: left, y: top } },
+      { x: left, y: bottom, anchor: { x: right, y: top } }
+    ];
+  }
+
+  /**
+   * Check whether an operation can be selected: erasers and fills can't, nor
+   * can operations on hidden or locked layers
+   */
+  isSelectable(operation) {
+    return operation.tool !== 'eraser' && operation.type !== 'fill' &&
+      this.isLayerEditable(Operations.getLayerId(operation));
+  }
+
+  /**
+   * The topmost selectable operation under a point
+   */
+  hitTestOperation(pos) {
+    return this.getVisibleOperations()
+      .filter(op => this.isSelectable(op) && Geometry.hitTest(op, pos, HIT_TOLERANCE / this.viewport.zoom))
+      .pop() || null;
+  }
+
+  /**
+   * Select tool pressed: grab a handle or the selection, select what was
+   * clicked, or start a marquee (a lasso with Alt). Shift adds to the selection.
+   */
+  startSelectionGesture(pos, e) {
+    const bounds = this.getSelectionBounds();
+    const reach = HANDLE_REACH / this.viewport.zoom;
+    const handle = bounds && this.getSelectionHandles(bounds)
+      .find(h => Math.abs(h.x - pos.x) <= reach && Math.abs(h.y - pos.y) <= reach);
+    
+    if (handle) {
+      this.startSelectionEdit({ mode: 'resize', start: pos, handle });
+      return;
+    }
+    if (bounds && !e.shiftKey && Geometry.boundsContain(bounds, pos)) {
+      this.startSelectionEdit({ mode: 'move', start: pos });
+      return;
+    }
+    
+    const hit = this.hitTestOperation(pos);
+    if (hit && e.shiftKey && this.selection.has(hit.id)) {
+      this.selection.delete(hit.id);
+      return;
+    }
+    if (hit) {
+      if (!e.shiftKey) {
+        this.selection.clear();
+      }
+      this.selection.add(hit.id);
+      this.startSelectionEdit({ mode: 'move', start: pos });
+      return;
+    }
+    
+    if (!e.shiftKey) {
+      this.selection.clear();
+    }
+    this.selectionGesture = { mode: e.altKey ? 'lasso' : 'marquee', start: pos, points: [pos] };
+  }
+
+  /**
+   * Start moving or resizing the selection
+   * While dragging, the selection is drawn live as a transform (and hidden from the history)
+   */
+  startSelectionEdit(gesture) {
+    const selected = this.getSelectedOperations();
+    this.selectionGesture = gesture;
+    this.liveStrokes.set('selection', {
+      type: 'transform',
+      targetIds: selected.map(op => op.id),
+      scaleX: 1,
+      scaleY: 1,
+      translateX: 0,
+      translateY: 0
+    });
+  }
+
+  /**
+   * Select tool dragged: move or resize the selection, or extend the marquee or lasso
+   * Shift keeps the selection's proportions while resizing
+   */
+  continueSelectionGesture(pos, e) {
+    const gesture = this.selectionGesture;
+    if (gesture.mode === 'marquee' || gesture.mode === 'lasso') {
+      gesture.points.push(pos);
+      return;
+    }
+    
+    const transform = this.liveStrokes.get('selection');
+    if (!transform) return;
+    const before = this.getLiveBounds(transform);
+    
+    if (gesture.mode === 'move') {
+      transform.translateX = pos.x - gesture.start.x;
+      transform.translateY = pos.y - gesture.start.y;
+    } else {
+      const { handle } = gesture;
+      const { anchor } = handle;
+      let scaleX = Math.max(MIN_SELECTION_SCALE, (pos.x - anchor.x) / (handle.x - anchor.x || 1));
+      let scaleY = Math.max(MIN_SELECTION_SCALE, (pos.y - anchor.y) / (handle.y - anchor.y || 1));
+      if (e.shiftKey) {
+        scaleX = scaleY = Math.max(scaleX, scaleY);
+      }
+      // Scaling about the anchor keeps it in place
+      transform.scaleX = scaleX;
+      transform.scaleY = scaleY;
+      transform.translateX = anchor.x * (1 - scaleX);
+      transform.translateY = anchor.y * (1 - scaleY);
+    }
+    
+    this.redrawRegion(Geometry.unionBounds(before, this.getLiveBounds(transform)), this.getVisibleOperations());
+  }
+
+  /**
+   * Select tool released: commit the move or resize, or select what the marquee or lasso encloses
+   */
+  endSelectionGesture() {
+    const gesture = this.selectionGesture;
+    this.selectionGesture = null;
+    
+    if (gesture.mode === 'marquee' || gesture.mode === 'lasso') {
+      this.selectEnclosed(gesture);
+      return;
+    }
+    
+    const transform = this.liveStrokes.get('selection');
+    if (!transform) return;
+    this.liveStrokes.delete('selection');
+    
+    const unchanged = transform.scaleX === 1 && transform.scaleY === 1 &&
+      transform.translateX === 0 && transform.translateY === 0;
+    if (unchanged || transform.targetIds.length === 0) {
+      this.redrawRegion(this.getSelectionBounds(), this.getVisibleOperations());
+      return;
+    }
+    
+    // Stays live (where it was dropped) until the server confirms it
+    this.commitSelectionEdit({ ...transform });
+  }
+
+  /**
+   * Select the operations whose centers lie inside the marquee or lasso
+   */
+  selectEnclosed(gesture) {
+    const end = gesture.points[gesture.points.length - 1];
+    const box = Geometry.unionBounds(
+      { x: gesture.start.x, y: gesture.start.y, width: 0, height: 0 },
+      { x: end.x, y: end.y, width: 0, height: 0 }
+    );
+    const encloses = gesture.mode === 'lasso'
+      ? point => gesture.points.length > 2 && Geometry.polygonContains(gesture.points, point)
+      : point => Geometry.boundsContain(box, point);
+    
+    this.getVisibleOperations().forEach(op => {
+      const bounds = Geometry.getOperationBounds(op);
+      if (this.isSelectable(op) && bounds && encloses(Geometry.getBoundsCenter(bounds))) {
+        this.selection.add(op.id);
+      }
+    });
+  }
+
+  /**
+   * Give every selected stroke, shape and text a new color
+   */
+  recolorSelection(color) {
+    const targets = this.getSelectedOperations().filter(op => op.type !== 'image');
+    if (targets.length === 0) return;
+    
+    this.commitSelectionEdit({
+      type: 'transform',
+      targetIds: targets.map(op => op.id),
+      scaleX: 1,
+      scaleY: 1,
+      translateX: 0,
+      translateY: 0,
+      color
+    });
+  }
+
+  /**
+   * Delete the selection
+   */
+  deleteSelection() {
+    const targets = this.getSelectedOperations();
+    if (targets.length === 0) return;
+    
+    this.selection.clear();
+    this.commitSelectionEdit({
+      type: 'delete',
+      targetIds: targets.map(op => op.id)
+    });
+  }
+
+  /**
+   * Check whether the object eraser can delete an operation: strokes (not
+   * eraser strokes, which draw nothing) on layers that can be edited
+   */
+  isErasable(operation) {
+    return operation.type === 'stroke' && this.isSelectable(operation);
+  }
+
+  /**
+   * Object eraser pressed: strokes it touches disappear as it goes, and are
+   * deleted together (one undoable delete) when it is released
+   */
+  startObjectErase(pos) {
+    this.eraseGesture = { last: pos };
+    this.liveStrokes.set('erase', { type: 'delete', targetIds: [] });
+    this.continueObjectErase(pos);
+  }
+
+  /**
+   * Object eraser dragged: hide the strokes it swept over since the last move
+   * (as big as the brush, and never smaller than a click's hit tolerance)
+   */
+  continueObjectErase(pos) {
+    const { last } = this.eraseGesture;
+    this.eraseGesture.last = pos;
+    
+    const reach = Math.max(this.lineWidth / 2, HIT_TOLERANCE / this.viewport.zoom);
+    const hits = this.applyLiveEdits(this.getVisibleOperations())
+      .filter(op => this.isErasable(op) && Geometry.strokeTouchesSegment(op, last, pos, reach));
+    if (hits.length === 0) return;
+    
+    this.liveStrokes.get('erase').targetIds.push(...hits.map(op => op.id));
+    const bounds = hits.reduce((union, op) => Geometry.unionBounds(union, Geometry.getOperationBounds(op)), null);
+    this.redrawRegion(bounds, this.getVisibleOperations());
+  }
+
+  /**
+   * Object eraser released: delete what it touched
+   */
+  endObjectErase() {
+    const { targetIds } = this.liveStrokes.get('erase');
+    this.eraseGesture = null;
+    this.deleteLiveStroke('erase');
+    
+    if (targetIds.length > 0) {
+      this.commitSelectionEdit({ type: 'delete', targetIds });
+    }
+  }
+
+  /**
+   * Send a transform or delete (of the selection, or what the object eraser
+   * touched); like strokes, it stays live until the server assigns its place in history
+   * @param {Object} edit - Transform or delete, without a client ID
+   */
+  commitSelectionEdit(edit) {
+    const operation = { ...edit, clientId: this.generateOperationId() };
+    const targets = this.applyLiveEdits(this.getVisibleOperations().filter(op => edit.targetIds.includes(op.id)));
+    const before = targets
+      .reduce((bounds, op) => Geometry.unionBounds(bounds, Geometry.getOperationBounds(op)), null);
+    
+    this.addPendingStroke(operation);
+    this.redrawRegion(Geometry.unionBounds(before, this.getLiveBounds(operation)), this.getVisibleOperations());
+    
+    if (operation.type === 'transform' && this.onTransform) {
+      this.onTransform(operation);
+    } else if (operation.type === 'delete' && this.onDelete) {
+      this.onDelete(operation);
+    }
+  }
+
+  /**
+   * Draw the selection box and handles, or the marquee or lasso being dragged, on the cursor layer
+   */
+  drawSelection() {
+    const ctx = this.cursorCtx;
+    const gesture = this.selectionGesture;
+    const px = 1 / this.viewport.zoom; // Outlines and handles keep their size on screen
+    ctx.save();
+    ctx.strokeStyle = '#667eea';
+    ctx.lineWidth = px;
+    ctx.setLineDash([4 * px, 4 * px]);
+    
+    if (gesture && (gesture.mode === 'marquee' || gesture.mode === 'lasso')) {
+      const end = gesture.points[gesture.points.length - 1];
+      ctx.beginPath();
+      if (gesture.mode === 'marquee') {
+        ctx.rect(gesture.start.x, gesture.start.y, end.x - gesture.start.x, end.y - gesture.start.y);
+      } else {
+        gesture.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+      }
+      ctx.stroke();
+    }
+    
+    const bounds = this.getSelectionBounds();
+    if (bounds) {
+      ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#ffffff';
+      const size = HANDLE_SIZE * px;
+      this.getSelectionHandles(bounds).forEach(h => {
+        ctx.fillRect(h.x - size / 2, h.y - size / 2, size, size);
+        ctx.strokeRect(h.x - size / 2, h.y - size / 2, size, size);
+      });
+    }
+    
+    ctx.restore();
+  }
+
+  /**
+   * Draw a text operation
+   */
+  drawText(text, ctx) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = text.color;
+    ctx.font = `${text.fontSize}px ${Geometry.TEXT_FONT_FAMILY}`;
+    ctx.textBaseline = 'top';
+    
+    text.text.split('\n').forEach((line, i) => {
+      // Never wider than its author measured, whichever font this browser substitutes
+      ctx.fillText(line, text.x, Geometry.getTextLineTop(text, i), text.width);
+    });
+    
+    ctx.restore();
+  }
+
+  /**
+   * Fill the area around a point on the active layer (a click outside the document fills nothing)
+   */
+  fillAt(pos) {
+    const area = { x: 0, y: 0, width: this.documentSize.width, height: this.documentSize.height };
+    if (pos.x < area.x || pos.y < area.y || pos.x >= area.x + area.width || pos.y >= area.y + area.height) return;
+    
+    // Like strokes, it stays live until the server assigns its place in history
+    const operation = {
+      type: 'fill',
+      seed: { x: pos.x, y: pos.y },
+      color: this.currentColor,
+      tolerance: this.fillTolerance,
+      area,
+      layerId: this.activeLayerId,
+      clientId: this.generateOperationId()
+    };
+    this.addPendingStroke(operation);
+    this.drawFill(operation, this.getLayerContext(operation));
+    
+    // Sent along so exports can draw what it covers here
+    const image = this.getFillImage(operation);
+    if (image && image.region) {
+      operation.region = image.region;
+    }
+    
+    if (this.onFillComplete) {
+      this.onFillComplete(operation);
+    }
+  }
+
+  /**
+   * Draw a fill operation
+   */
+  drawFill(fill, ctx) {
+    const image = this.getFillImage(fill);
+    if (!image) return;
+    
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(image.canvas, image.x, image.y, image.width, image.height);
+    ctx.restore();
+  }
+
+  /**
+   * The image of what a fill covers, from the cache unless what is drawn
+   * beneath it has changed since it was worked out
+   * @returns {Object|null} - {canvas, x, y, width, height} in canvas coordinates, or null if it covers nothing
+   */
+  getFillImage(fill) {
+    const key = fill.id !== undefined ? fill.id : fill.clientId;
+    const sources = this.getFillSources(fill);
+    const signature = this.getFillSignature(sources);
+    const cached = this.fillCache.get(key);
+    if (cached && cached.signature === signature) return cached.image;
+    
+    const image = this.computeFill(fill, sources);
+    this.fillCache.set(key, { signature, image });
+    if (cached && !this.repaintingView) {
+      // It may now cover more (or less) than the region being repainted
+      this.scheduleRedraw();
+    }
+    return image;
+  }
+
+  /**
+   * What a fill spreads over: the operations drawn before it on its layer
+   * (all of the layer's, for one the server hasn't placed in history yet)
+   */
+  getFillSources(fill) {
+    const operations = this.getVisibleOperations();
+    const index = fill.id !== undefined ? operations.findIndex(op => op.id === fill.id) : -1;
+    const layerId = Operations.getLayerId(fill);
+    return (index >= 0 ? operations.slice(0, index) : operations)
+      .filter(op => Operations.getLayerId(op) === layerId);
+  }
+
+  /**
+   * Sum up what a fill's sources look like: which they are, where, in which
+   * color, and whether their images have loaded
+   */
+  getFillSignature(sources) {
+    return sources.map(op => {
+      const bounds = Geometry.getOperationBounds(op);
+      const place = bounds ? `${bounds.x},${bounds.y},${bounds.width},${bounds.height}` : '';
+      const loaded = op.type === 'image' && this.imageStore.get(op.imageId) ? ':loaded' : '';
+      return `${op.id}:${place}:${op.color}${loaded}`;
+    }).join(' ');
+  }
+
+  /**
+   * Flood fill from a fill's seed over its sources, drawn on a raster of its
+   * area (see FloodFill) rather than the screen, so every client gets the same pixels
+   * (texts are drawn as their boxes, since glyphs depend on the platform's fonts)
+   * @returns {Object|null} - {canvas, x, y, width, height}, or null if it covers nothing;
+   *   a fill not yet in history also gets its `region` (see fillAt)
    */
-  resizeCanvas() {
-    const container = this.canvas.parentElement;
-    const rect = container.getBoundingClientRect();
+  computeFill(fill, sources) {
+    const { area } = fill;
+    const raster = FloodFill.getRaster(fill);
+    const canvas = document.createElement('canvas');
+    canvas.width = raster.width;
+    canvas.height = raster.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.setTransform(raster.scale, 0, 0, raster.scale, -area.x * raster.scale, -area.y * raster.scale);
+    ctx.lineCap = 'round'; // As on layer contexts
+    ctx.lineJoin = 'round';
+    sources.forEach(op => {
+      if (op.type === 'text') {
+        ctx.fillStyle = op.color;
+        ctx.fillRect(op.x, op.y, op.width, Geometry.getTextHeight(op));
+      } else {
+        this.renderOperation(op, ctx);
+      }
+    });
+    
+    const seed = {
+      x: Math.floor((fill.seed.x - area.x) * raster.scale),
+      y: Math.floor((fill.seed.y - area.y) * raster.scale)
+    };
+    const pixels = ctx.getImageData(0, 0, raster.width, raster.height).data;
+    FloodFill.binarize(pixels);
+    const result = FloodFill.getMask(pixels, raster.width, raster.height, seed, fill.tolerance);
+    if (!result) return null;
     
-    // Set display size
-    this.canvas.width = rect.width;
-    this.canvas.height = rect.height;
-    this.cursorCanvas.width = rect.width;
-    this.cursorCanvas.height = rect.height;
+    // Opaque where the mask is set, then colored (the browser parses the color)
+    const { mask, bounds } = result;
+    const region = fill.id === undefined ? this.getFillRegion(fill, sources, result, raster) : null;
+    canvas.width = bounds.width;
+    canvas.height = bounds.height;
+    const image = ctx.createImageData(bounds.width, bounds.height);
+    for (let y = 0; y < bounds.height; y++) {
+      for (let x = 0; x < bounds.width; x++) {
+        if (mask[(bounds.y + y) * raster.width + bounds.x + x]) {
+          image.data[(y * bounds.width + x) * 4 + 3] = 255;
+        }
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.fillStyle = fill.color;
+    ctx.fillRect(0, 0, bounds.width, bounds.height);
     
-    // Set rendering properties
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
-    this.cursorCtx.lineCap = 'round';
-    this.cursorCtx.lineJoin = 'round';
+    return {
+      canvas,
+      x: area.x + bounds.x / raster.scale,
+      y: area.y + bounds.y / raster.scale,
+      width: bounds.width / raster.scale,
+      height: bounds.height / raster.scale,
+      region
+    };
   }
 
   /**
-   * Setup event listeners for drawing
+   * What a fill covers as rectangles in canvas coordinates, flattened to
+   * [x, y, width, height, ...], for exports (the server can't flood fill)
+   * @returns {Array|null} - The rectangles, or null if they are too many or an
+   *   image beneath the fill hasn't loaded yet (its placeholder was filled around)
    */
-  setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-    this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-    this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+  getFillRegion(fill, sources, { mask, bounds }, raster) {
+    if (sources.some(op => op.type === 'image' && !this.imageStore.get(op.imageId))) return null;
     
-    // Touch events for mobile
-    this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-    this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-    this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+    const rects = FloodFill.getRegion(mask, raster.width, bounds);
+    if (!rects) return null;
     
-    // Resize
-    window.addEventListener('resize', this.handleResize.bind(this));
+    const round = value => Math.round(value * 100) / 100;
+    return rects.flatMap(([x, y, width, height]) => [
+      round(fill.area.x + x / raster.scale),
+      round(fill.area.y + y / raster.scale),
+      round(width / raster.scale),
+      round(height / raster.scale)
+    ]);
   }
 
   /**
-   * Get mouse position relative to canvas
+   * Forget the images of fills that are no longer drawn
    */
-  getMousePos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top
-    };
+  pruneFillCache(operations) {
+    const drawn = new Set();
+    operations.forEach(op => {
+      if (op.type === 'fill') drawn.add(op.id);
+    });
+    this.liveStrokes.forEach(live => {
+      if (live.type === 'fill') drawn.add(live.clientId);
+    });
+    Array.from(this.fillCache.keys())
+      .filter(key => !drawn.has(key))
+      .forEach(key => this.fillCache.delete(key));
   }
 
   /**
-   * Get touch position relative to canvas
+   * Draw a complete stroke (from other users or history)
    */
-  getTouchPos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const touch = e.touches[0];
-    return {
-      x: touch.clientX - rect.left,
-      y: touch.clientY - rect.top
-    };
+  drawStroke(strokeData, ctx) {
+    if (!strokeData.points || strokeData.points.length === 0) return;
+    
+    if (Brushes.isComposited(strokeData)) {
+      this.drawCompositedStroke(strokeData, ctx);
+    } else {
+      this.paintStroke(strokeData, ctx);
+    }
   }
 
   /**
-   * Mouse down handler
+   * Paint the marks of a stroke's brush, opaque
    */
-  handleMouseDown(e) {
-    this.isDrawing = true;
-    const pos = this.getMousePos(e);
-    this.startStroke(pos);
+  paintStroke(stroke, ctx) {
+    this.applyStrokeStyle(stroke, ctx);
+    const brush = Brushes.getBrush(stroke);
+    
+    if (brush === 'spray') {
+      ctx.beginPath();
+      Geometry.getSprayDots(stroke).forEach(dot => {
+        ctx.moveTo(dot.x + dot.radius, dot.y);
+        ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
+      });
+      ctx.fill();
+      return;
+    }
+    
+    const pieces = Geometry.getStrokePieces(stroke);
+    
+    if (brush === 'calligraphy') {
+      // Each quad on its own: overlapping ones wound the other way would cancel out in one path
+      Geometry.getNibQuads(stroke).forEach(quad => {
+        ctx.beginPath();
+        quad.forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.fill();
+      });
+      ctx.lineWidth = stroke.lineWidth * Geometry.NIB_THICKNESS;
+      ctx.beginPath();
+      ctx.moveTo(pieces[0].from.x, pieces[0].from.y);
+      pieces.forEach(piece => this.tracePiece(ctx, piece));
+      ctx.stroke();
+      return;
+    }
+    
+    // Pressure varies the width along the stroke, so each piece is stroked on its own
+    if (Geometry.hasPressure(stroke)) {
+      pieces.forEach(piece => this.drawPiece(stroke, ctx, piece));
+      return;
+    }
+    
+    // A single-point stroke is one zero-length piece, drawn as a dot (matching startStroke)
+    ctx.beginPath();
+    ctx.moveTo(pieces[0].from.x, pieces[0].from.y);
+    pieces.forEach(piece => this.tracePiece(ctx, piece));
+    ctx.stroke();
   }
 
   /**
-   * Mouse move handler
+   * Draw a stroke as a whole: painted opaque on the stroke canvas, then
+   * composited onto the context with its opacity and blend mode, so it doesn't
+   * build up where it overlaps itself
    */
-  handleMouseMove(e) {
-    const pos = this.getMousePos(e);
+  drawCompositedStroke(stroke, ctx) {
+    // The pixels of the context the stroke covers (views only scale and pan, never rotate)
+    const bounds = Geometry.getStrokeBounds(stroke);
+    const transform = ctx.getTransform();
+    const left = Math.max(0, Math.floor(bounds.x * transform.a + transform.e));
+    const top = Math.max(0, Math.floor(bounds.y * transform.d + transform.f));
+    const right = Math.min(ctx.canvas.width, Math.ceil((bounds.x + bounds.width) * transform.a + transform.e));
+    const bottom = Math.min(ctx.canvas.height, Math.ceil((bounds.y + bounds.height) * transform.d + transform.f));
+    if (right <= left || bottom <= top) return;
     
-    // Emit cursor position for other users
-    if (this.onCursorMove) {
-      this.onCursorMove(pos);
+    const scratch = this.getStrokeCanvas(ctx.canvas.width, ctx.canvas.height);
+    scratch.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    scratch.ctx.clearRect(left, top, right - left, bottom - top);
+    scratch.ctx.setTransform(transform);
+    this.paintStroke(stroke, scratch.ctx);
+    
+    if (Brushes.getStyle(stroke).grain) {
+      // Specks taken out where the paper shows through (fixed to the canvas, not the screen)
+      scratch.ctx.globalCompositeOperation = 'destination-out';
+      scratch.ctx.fillStyle = this.getGrainPattern(scratch.ctx);
+      scratch.ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
     }
     
-    if (this.isDrawing) {
-      this.continueStroke(pos);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = Brushes.getAlpha(stroke);
+    ctx.globalCompositeOperation = Brushes.getCompositeOperation(stroke);
+    ctx.drawImage(scratch.canvas, left, top, right - left, bottom - top, left, top, right - left, bottom - top);
+    ctx.restore();
+  }
+
+  /**
+   * Get the canvas composited strokes are painted on, at least the given size
+   */
+  getStrokeCanvas(width, height) {
+    if (!this.strokeCanvas) {
+      const canvas = document.createElement('canvas');
+      this.strokeCanvas = { canvas, ctx: canvas.getContext('2d') };
     }
+    const { canvas } = this.strokeCanvas;
+    if (canvas.width < width || canvas.height < height) {
+      canvas.width = Math.max(canvas.width, width);
+      canvas.height = Math.max(canvas.height, height);
+    }
+    return this.strokeCanvas;
   }
 
   /**
-   * Mouse up handler
+   * Get the pencil grain pattern: a tile of specks, the same on every client
    */
-  handleMouseUp(e) {
-    if (this.isDrawing) {
-      this.endStroke();
+  getGrainPattern(ctx) {
+    if (!this.grainPattern) {
+      const tile = document.createElement('canvas');
+      tile.width = GRAIN_SIZE;
+      tile.height = GRAIN_SIZE;
+      const tileCtx = tile.getContext('2d');
+      const image = tileCtx.createImageData(GRAIN_SIZE, GRAIN_SIZE);
+      const random = Geometry.random(GRAIN_SEED);
+      for (let i = 0; i < GRAIN_SIZE * GRAIN_SIZE; i++) {
+        if (random() < GRAIN_DENSITY) {
+          image.data[i * 4 + 3] = Math.floor(random() * 160);
+        }
+      }
+      tileCtx.putImageData(image, 0, 0);
+      this.grainPattern = ctx.createPattern(tile, 'repeat');
     }
-    this.isDrawing = false;
+    return this.grainPattern;
   }
 
   /**
-   * Touch start handler
+   * Draw the newest piece of a live stroke
+   * A composited stroke is repainted as a whole where the piece is instead
+   * (its last three points cover the piece, and the spray between the last two).
    */
-  handleTouchStart(e) {
-    e.preventDefault();
-    this.isDrawing = true;
-    const pos = this.getTouchPos(e);
-    this.startStroke(pos);
+  drawLivePiece(stroke, piece) {
+    if (Brushes.isComposited(stroke)) {
+      const tail = { points: stroke.points.slice(-3), lineWidth: stroke.lineWidth };
+      this.redrawRegion(Geometry.getStrokeBounds(tail), this.getVisibleOperations());
+      return;
+    }
+    
+    // Style is re-applied since remote strokes share the context
+    const ctx = this.getLayerContext(stroke);
+    this.applyStrokeStyle(stroke, ctx);
+    this.drawPiece(stroke, ctx, piece);
   }
 
   /**
-   * Touch move handler
+   * Draw one piece of a stroke (see Geometry.getStrokePiece; a dot when both
+   * ends are the same point), as wide as the pen pressed there
+   * The stroke's style must already be applied.
    */
-  handleTouchMove(e) {
-    e.preventDefault();
-    if (this.isDrawing) {
-      const pos = this.getTouchPos(e);
-      this.continueStroke(pos);
+  drawPiece(stroke, ctx, piece) {
+    ctx.lineWidth = Geometry.getSegmentWidth(stroke.lineWidth, piece.from, piece.to);
+    ctx.beginPath();
+    ctx.moveTo(piece.from.x, piece.from.y);
+    this.tracePiece(ctx, piece);
+    ctx.stroke();
+  }
+
+  /**
+   * Add a stroke piece to the current path, which is already at its start
+   */
+  tracePiece(ctx, { control, to }) {
+    if (control) {
+      ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+    } else {
+      ctx.lineTo(to.x, to.y);
     }
   }
 
   /**
-   * Touch end handler
+   * Draw any operation from history
    */
-  handleTouchEnd(e) {
-    e.preventDefault();
-    if (this.isDrawing) {
-      this.endStroke();
+  drawOperation(operation) {
+    if (this.isHiddenLocally(operation)) return;
+    this.renderOperation(operation);
+  }
+
+  /**
+   * Draw an operation on its layer (or the given context), whether or not it is hidden locally
+   */
+  renderOperation(operation, ctx = this.getLayerContext(operation)) {
+    if (operation.type === 'stroke') {
+      this.drawStroke(operation, ctx);
+    } else if (operation.type === 'shape') {
+      this.drawShape(operation, ctx);
+    } else if (operation.type === 'text') {
+      this.drawText(operation, ctx);
+    } else if (operation.type === 'image') {
+      this.drawImageOperation(operation, ctx);
+    } else if (operation.type === 'fill') {
+      this.drawFill(operation, ctx);
     }
-    this.isDrawing = false;
   }
 
   /**
-   * Handle resize
+   * Draw a live stroke: freehand points, or a local shape, text or edit awaiting the server
    */
-  handleResize() {
-    // Save current canvas content
-    const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-    
-    // Resize canvas
-    this.resizeCanvas();
-    
-    // Restore content
-    this.ctx.putImageData(imageData, 0, 0);
+  drawLiveStroke(stroke) {
+    if (stroke.type === 'transform') {
+      this.getTransformedTargets(stroke).forEach(op => this.renderOperation(op));
+    } else if (stroke.type === 'delete') {
+      // Its targets are hidden; nothing to draw
+    } else if (stroke.type === 'shape') {
+      this.drawShape(stroke, this.getLayerContext(stroke));
+    } else if (stroke.type === 'text') {
+      this.drawText(stroke, this.getLayerContext(stroke));
+    } else if (stroke.type === 'fill') {
+      this.drawFill(stroke, this.getLayerContext(stroke));
+    } else {
+      this.drawStroke(stroke, this.getLayerContext(stroke));
+    }
   }
 
   /**
-   * Start a new stroke
+   * Draw an image operation, or a placeholder until its image has loaded
    */
-  startStroke(pos) {
-    this.currentStroke = [pos];
-    
-    // Draw initial point
-    this.ctx.strokeStyle = this.currentTool === 'eraser' ? '#FFFFFF' : this.currentColor;
-    this.ctx.lineWidth = this.lineWidth;
-    this.ctx.globalCompositeOperation = this.currentTool === 'eraser' ? 'destination-out' : 'source-over';
+  drawImageOperation(operation, ctx) {
+    const bitmap = this.imageStore.get(operation.imageId);
+    const { x, y, width, height } = operation;
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(pos.x, pos.y);
-    this.ctx.lineTo(pos.x, pos.y);
-    this.ctx.stroke();
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
     
-    // Emit draw event for real-time sync
-    if (this.onDraw) {
-      this.onDraw({
-        type: 'start',
-        tool: this.currentTool,
-        color: this.currentColor,
-        lineWidth: this.lineWidth,
-        point: pos
-      });
+    if (bitmap) {
+      ctx.drawImage(bitmap, x, y, width, height);
+    } else {
+      this.drewPlaceholder = true;
+      ctx.fillStyle = '#f0f0f0';
+      ctx.fillRect(x, y, width, height);
+      ctx.strokeStyle = '#cccccc';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 4]);
+      ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
     }
+    
+    ctx.restore();
   }
 
   /**
-   * Continue current stroke
+   * Let the user place an image: click to drop it at its default size, or drag to size it
+   * @param {ImageBitmap} bitmap - Decoded image
+   * @param {Function} onPlace - Called with {x, y, width, height}
    */
-  continueStroke(pos) {
-    if (this.currentStroke.length === 0) return;
+  startImagePlacement(bitmap, onPlace) {
+    this.imagePlacement = {
+      bitmap,
+      ...this.getDefaultImageSize(bitmap),
+      anchor: null,
+      pos: null,
+      onPlace
+    };
+    this.canvas.classList.add('placing-image');
+  }
+
+  /**
+   * Abandon the image being placed
+   */
+  cancelImagePlacement() {
+    this.imagePlacement = null;
+    this.canvas.classList.remove('placing-image');
+  }
+
+  /**
+   * Check whether an image is being placed
+   */
+  isPlacingImage() {
+    return !!this.imagePlacement;
+  }
+
+  /**
+   * Natural image size, scaled down to fit in half the view
+   */
+  getDefaultImageSize(bitmap) {
+    const view = this.getViewBounds();
+    const scale = Math.min(1, view.width / 2 / bitmap.width, view.height / 2 / bitmap.height);
+    return {
+      width: Math.max(1, Math.round(bitmap.width * scale)),
+      height: Math.max(1, Math.round(bitmap.height * scale))
+    };
+  }
+
+  /**
+   * Where the image being placed would go
+   * A click centers it on the pointer; a drag sizes it from the anchor, keeping its aspect ratio
+   */
+  getImagePlacementRect() {
+    const placement = this.imagePlacement;
+    if (!placement || !placement.pos) return null;
     
-    this.currentStroke.push(pos);
+    const { anchor, pos } = placement;
+    if (!anchor || Math.hypot(pos.x - anchor.x, pos.y - anchor.y) < 5 / this.viewport.zoom) {
+      return {
+        x: Math.round(pos.x - placement.width / 2),
+        y: Math.round(pos.y - placement.height / 2),
+        width: placement.width,
+        height: placement.height
+      };
+    }
     
-    // Draw line to new point
-    const lastPos = this.currentStroke[this.currentStroke.length - 2];
-    this.ctx.beginPath();
-    this.ctx.moveTo(lastPos.x, lastPos.y);
-    this.ctx.lineTo(pos.x, pos.y);
-    this.ctx.stroke();
+    const aspect = placement.width / placement.height;
+    const dx = pos.x - anchor.x;
+    const dy = pos.y - anchor.y;
+    const width = Math.max(1, Math.round(Math.max(Math.abs(dx), Math.abs(dy) * aspect)));
+    const height = Math.max(1, Math.round(width / aspect));
+    return {
+      x: Math.round(dx < 0 ? anchor.x - width : anchor.x),
+      y: Math.round(dy < 0 ? anchor.y - height : anchor.y),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Place the image where the pointer was released
+   */
+  finishImagePlacement() {
+    const rect = this.getImagePlacementRect();
+    const { onPlace } = this.imagePlacement;
+    this.cancelImagePlacement();
     
-    // Emit draw event for real-time sync
-    if (this.onDraw) {
-      this.onDraw({
-        type: 'continue',
-        point: pos
-      });
+    if (rect) {
+      onPlace(rect);
     }
   }
 
   /**
-   * End current stroke
+   * Preview the image being placed on the cursor layer
    */
-  endStroke() {
-    if (this.currentStroke.length === 0) return;
+  drawImagePlacement() {
+    const rect = this.getImagePlacementRect();
+    if (!rect) return;
     
-    // Emit stroke complete event
-    if (this.onStrokeComplete) {
-      this.onStrokeComplete({
-        tool: this.currentTool,
-        color: this.currentColor,
-        lineWidth: this.lineWidth,
-        points: this.currentStroke
-      });
+    const px = 1 / this.viewport.zoom;
+    this.cursorCtx.save();
+    this.cursorCtx.globalAlpha = 0.6;
+    this.cursorCtx.drawImage(this.imagePlacement.bitmap, rect.x, rect.y, rect.width, rect.height);
+    this.cursorCtx.globalAlpha = 1;
+    this.cursorCtx.setLineDash([4 * px, 4 * px]);
+    this.cursorCtx.strokeStyle = '#667eea';
+    this.cursorCtx.lineWidth = px;
+    this.cursorCtx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    this.cursorCtx.restore();
+  }
+
+  /**
+   * Draw the newest point of a stroke from the real-time stream
+   * @param {Object} data - {type: 'start'|'continue', tool, color, lineWidth, smooth, layerId, points}
+   *   with the new point last
+   */
+  drawRealtimePoint(data) {
+    if (data.type === 'start') {
+      this.drawLivePiece(data, { from: data.points[0], to: data.points[0] });
+    } else if (data.type === 'continue' && data.points.length > 1) {
+      this.drawLivePiece(data, Geometry.getStrokePiece(data, data.points.length - 1));
     }
-    
-    this.currentStroke = [];
   }
 
   /**
-   * Draw a complete stroke (from other users or history)
+   * Clear the entire canvas (every layer)
    */
-  drawStroke(strokeData) {
-    if (!strokeData.points || strokeData.points.length === 0) return;
+  clearCanvas() {
+    this.layerCanvases.forEach(({ canvas, ctx }) => {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Redraw the view from operation history (what is out of view is skipped)
+   * Live strokes (in progress or awaiting the server) stay on top
+   */
+  redrawFromHistory(operations) {
+    this.renderCache.sync(operations);
+    this.repaintView(operations, null);
+  }
+
+  /**
+   * Repaint what changed in history since the layers were last painted from it
+   * (after an undo, redo or edit): each changed region, or everything in view
+   * from the latest checkpoint still of use, whichever draws fewer operations
+   */
+  redrawChanges(operations) {
+    // Operations hidden here are drawn live, possibly elsewhere: repaint everything
+    if (this.hidesOperations()) {
+      this.redrawFromHistory(operations);
+      return;
+    }
     
-    this.ctx.strokeStyle = strokeData.tool === 'eraser' ? '#FFFFFF' : strokeData.color;
-    this.ctx.lineWidth = strokeData.lineWidth;
-    this.ctx.globalCompositeOperation = strokeData.tool === 'eraser' ? 'destination-out' : 'source-over';
+    const view = this.getViewBounds();
+    let regions = this.renderCache.sync(operations).filter(bounds => Geometry.boundsIntersect(bounds, view));
+    if (regions.length === 0) return;
+    if (regions.length > MAX_DIRTY_REGIONS) {
+      regions = [regions.reduce((union, bounds) => Geometry.unionBounds(union, bounds), null)];
+    }
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(strokeData.points[0].x, strokeData.points[0].y);
+    const regionCost = regions.reduce((cost, bounds) => cost + this.renderCache.query(bounds).length, 0);
+    const checkpoint = this.renderCache.findCheckpoint(operations, this.getViewKey());
+    const replayCost = operations.slice(checkpoint ? checkpoint.count : 0)
+      .filter(operation => Geometry.boundsIntersect(this.renderCache.getBounds(operation), view)).length;
     
-    for (let i = 1; i < strokeData.points.length; i++) {
-      this.ctx.lineTo(strokeData.points[i].x, strokeData.points[i].y);
+    if (regionCost <= replayCost) {
+      regions.forEach(bounds => this.redrawRegion(bounds, operations));
+    } else {
+      this.repaintView(operations, checkpoint);
     }
-    
-    this.ctx.stroke();
   }
 
   /**
-   * Draw a single point from real-time stream
+   * Repaint everything in view, from a checkpoint's pixels or blank layers,
+   * taking checkpoints along the way
+   * @param {Array} operations - Resolved visible history (already synced)
+   * @param {Object|null} checkpoint - Checkpoint of the first operations, if any
    */
-  drawRealtimePoint(data) {
-    this.ctx.strokeStyle = data.tool === 'eraser' ? '#FFFFFF' : data.color;
-    this.ctx.lineWidth = data.lineWidth;
-    this.ctx.globalCompositeOperation = data.tool === 'eraser' ? 'destination-out' : 'source-over';
+  repaintView(operations, checkpoint) {
+    this.drawPage();
+    if (checkpoint) {
+      this.renderCache.restoreCheckpoint(checkpoint, this.layerCanvases);
+    } else {
+      this.clearCanvas();
+    }
+    this.pruneFillCache(operations);
+    this.repaintingView = true;
+    this.drewPlaceholder = false;
     
-    if (data.type === 'start') {
-      this.ctx.beginPath();
-      this.ctx.moveTo(data.point.x, data.point.y);
-      this.ctx.lineTo(data.point.x, data.point.y);
-      this.ctx.stroke();
-    } else if (data.type === 'continue' && data.previousPoint) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(data.previousPoint.x, data.previousPoint.y);
-      this.ctx.lineTo(data.point.x, data.point.y);
-      this.ctx.stroke();
+    // Not while the view is being dragged around: those checkpoints would be of no use
+    const viewKey = this.getViewKey();
+    const takeCheckpoints = !this.panGesture && !this.pinchGesture && !this.hidesOperations();
+    const layerIds = new Set(checkpoint ? checkpoint.images.keys() : []);
+    
+    const view = this.getViewBounds();
+    for (let i = checkpoint ? checkpoint.count : 0; i < operations.length; i++) {
+      const operation = operations[i];
+      if (Geometry.boundsIntersect(this.renderCache.getBounds(operation), view)) {
+        this.drawOperation(operation);
+        layerIds.add(Operations.getLayerId(operation));
+      }
+      if (takeCheckpoints && !this.drewPlaceholder && this.renderCache.isCheckpointDue(i + 1, operations.length)) {
+        this.renderCache.addCheckpoint(operations, i + 1, viewKey, this.layerCanvases, layerIds);
+      }
     }
+    this.liveStrokes.forEach(stroke => {
+      if (Geometry.boundsIntersect(this.getLiveBounds(stroke), view)) {
+        this.drawLiveStroke(stroke);
+      }
+    });
+    this.repaintingView = false;
   }
 
   /**
-   * Clear the entire canvas
+   * Key of what the layers' pixels depend on besides history: the view and the canvas size
    */
-  clearCanvas() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  getViewKey() {
+    const { x, y, zoom } = this.viewport;
+    return `${x},${y},${zoom},${this.canvas.width}x${this.canvas.height}@${this.pixelRatio}`;
   }
 
   /**
-   * Redraw canvas from operation history
+   * Check whether any committed operation is hidden here (see isHiddenLocally)
    */
-  redrawFromHistory(operations) {
-    this.clearCanvas();
+  hidesOperations() {
+    if (this.textEditor && this.textEditor.editOf !== undefined) return true;
+    return Array.from(this.liveStrokes.values())
+      .some(live => live.targetIds || (live.type === 'text' && live.editOf !== undefined));
+  }
+
+  /**
+   * Repaint only a rectangular region from operation history (what is in it
+   * is found with the render cache's spatial index)
+   */
+  redrawRegion(bounds, operations) {
+    if (!bounds) return;
     
-    operations.forEach(operation => {
-      if (operation.type === 'stroke') {
-        this.drawStroke(operation);
+    this.renderCache.sync(operations);
+    this.layerCanvases.forEach(({ ctx }) => {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+      ctx.clip();
+      ctx.clearRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    });
+    
+    this.renderCache.query(bounds).forEach(operation => this.drawOperation(operation));
+    this.liveStrokes.forEach(stroke => {
+      if (Geometry.boundsIntersect(this.getLiveBounds(stroke), bounds)) {
+        this.drawLiveStroke(stroke);
       }
     });
+    
+    this.layerCanvases.forEach(({ ctx }) => ctx.restore());
+  }
+
+  /**
+   * Register a stroke being drawn live (e.g. a remote user's in-progress stroke)
+   */
+  setLiveStroke(key, stroke) {
+    this.liveStrokes.set(key, stroke);
+  }
+
+  /**
+   * Forget a live stroke without repainting (caller redraws)
+   */
+  deleteLiveStroke(key) {
+    this.liveStrokes.delete(key);
+    this.pendingIds.delete(key);
+  }
+
+  /**
+   * Drop a live stroke that will never be committed and repaint where it was
+   */
+  removeLiveStroke(key, operations) {
+    const stroke = this.liveStrokes.get(key);
+    if (!stroke) return;
+    
+    this.deleteLiveStroke(key);
+    if (Operations.changesEarlier(stroke)) {
+      // What it would have changed was hidden meanwhile, wherever that is
+      this.redrawFromHistory(operations);
+    } else {
+      this.redrawRegion(Geometry.getOperationBounds(stroke), operations);
+    }
+  }
+
+  /**
+   * Track a local stroke that has been sent (or queued) but not yet acknowledged
+   * Pending strokes are keyed by their client-generated operation ID
+   */
+  addPendingStroke(stroke) {
+    this.liveStrokes.set(stroke.clientId, stroke);
+    this.pendingIds.add(stroke.clientId);
+  }
+
+  /**
+   * The server acknowledged a stroke; it stays live until operation-added repaints it
+   */
+  confirmPendingStroke(clientId) {
+    this.pendingIds.delete(clientId);
+  }
+
+  /**
+   * Generate a unique ID for a new operation (UUID v4)
+   */
+  generateOperationId() {
+    if (crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    
+    // randomUUID needs a secure context (https/localhost); getRandomValues doesn't
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Bring the canvas in line with the server's order after an operation is committed
+   * 
+   * Live strokes are painted in arrival order (and segment by segment), which
+   * can differ from the order the server committed them in. The committed
+   * operation's region is therefore repainted from history, with remaining
+   * live strokes on top, so every client ends up with identical pixels.
+   * 
+   * @param {Object} operation - Committed operation
+   * @param {string|null} liveKey - Key of the live stroke it replaces
+   * @param {Array} operations - Visible history, including the new operation
+   */
+  reconcileOperation(operation, liveKey, operations) {
+    let bounds = Geometry.getOperationBounds(operation);
+    
+    const live = liveKey ? this.liveStrokes.get(liveKey) : null;
+    if (live) {
+      this.deleteLiveStroke(liveKey);
+      bounds = Geometry.unionBounds(bounds, this.getLiveBounds(live));
+    }
+    
+    this.redrawRegion(bounds, operations);
   }
 
   /**
    * Draw remote cursor
    */
   drawCursor(userId, username, cursor, color) {
-    // Cursor will be drawn on the cursor canvas
+    // Cursors are sent in world coordinates but drawn at the same size at any zoom
     const cursorSize = 8;
+    const pos = this.toScreen(cursor);
     
+    this.cursorCtx.save();
+    this.cursorCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
     this.cursorCtx.fillStyle = color;
     this.cursorCtx.strokeStyle = 'white';
     this.cursorCtx.lineWidth = 2;
     
     // Draw cursor dot
     this.cursorCtx.beginPath();
-    this.cursorCtx.arc(cursor.x, cursor.y, cursorSize, 0, Math.PI * 2);
+    this.cursorCtx.arc(pos.x, pos.y, cursorSize, 0, Math.PI * 2);
     this.cursorCtx.fill();
     this.cursorCtx.stroke();
     
     // Draw username label
     this.cursorCtx.font = '12px sans-serif';
     this.cursorCtx.fillStyle = color;
-    this.cursorCtx.fillText(username, cursor.x + 12, cursor.y - 8);
+    this.cursorCtx.fillText(username, pos.x + 12, pos.y - 8);
+    this.cursorCtx.restore();
+  }
+
+  /**
+   * Outline local strokes the server hasn't acknowledged yet
+   */
+  drawPendingMarkers() {
+    const px = 1 / this.viewport.zoom;
+    this.cursorCtx.save();
+    this.cursorCtx.setLineDash([4 * px, 4 * px]);
+    this.cursorCtx.strokeStyle = '#999999';
+    this.cursorCtx.lineWidth = px;
+    
+    this.pendingIds.forEach(clientId => {
+      const bounds = this.getLiveBounds(this.liveStrokes.get(clientId));
+      if (bounds) {
+        this.cursorCtx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      }
+    });
+    
+    this.cursorCtx.restore();
   }
 
   /**
    * Clear cursor canvas
    */
   clearCursors() {
+    this.cursorCtx.save();
+    this.cursorCtx.setTransform(1, 0, 0, 1, 0, 0);
     this.cursorCtx.clearRect(0, 0, this.cursorCanvas.width, this.cursorCanvas.height);
+    this.cursorCtx.restore();
   }
 
   /**
@@ -366,6 +2607,75 @@ class CanvasDrawing {
    */
   setTool(tool) {
     this.currentTool = tool;
+    this.canvas.classList.toggle('text-tool', tool === 'text');
+    this.canvas.classList.toggle('select-tool', tool === 'select');
+    this.canvas.classList.toggle('object-eraser-tool', tool === 'object-eraser');
+    this.canvas.classList.toggle('fill-tool', tool === 'fill');
+    if (tool !== 'select') {
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Allow or prevent drawing (the user's role decides)
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    this.canvas.classList.toggle('read-only', readOnly);
+    if (readOnly) {
+      this.cancelImagePlacement();
+      this.cancelTextEditor();
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Fill new rectangles and ellipses (or draw only their outline)
+   */
+  setFillShapes(fill) {
+    this.fillShapes = fill;
+  }
+
+  /**
+   * Smooth new strokes (or draw them as straight segments between their points)
+   */
+  setSmoothStrokes(smooth) {
+    this.smoothStrokes = smooth;
+  }
+
+  /**
+   * Set how far colors a fill spreads over may be from the one clicked (0-100%)
+   */
+  setFillTolerance(tolerance) {
+    this.fillTolerance = tolerance;
+  }
+
+  /**
+   * Set the brush type of new strokes
+   */
+  setBrush(brush) {
+    this.brush = brush;
+  }
+
+  /**
+   * Set the opacity of new strokes (0.05-1)
+   */
+  setOpacity(opacity) {
+    this.opacity = opacity;
+  }
+
+  /**
+   * Set the blend mode of new strokes
+   */
+  setBlendMode(blendMode) {
+    this.blendMode = blendMode;
+  }
+
+  /**
+   * Set the font size for new text
+   */
+  setFontSize(size) {
+    this.fontSize = size;
   }
 
   /**
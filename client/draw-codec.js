@@ -0,0 +1,303 @@
+/**
+ * Draw Batch Codec
+ * The compact binary form of real-time stroke data (draw protocols 2 and 3):
+ * the `draw` events a client makes in one animation frame, encoded together
+ *
+ *   batch    := record*
+ *   record   := START tool flags color[3] lineWidth [layerId] [brush opacity blend] point
+ *             | CONTINUE flags count point delta{count - 1}
+ *             | CANCEL
+ *   point    := x y [pressure] [tiltX tiltY]     (absolute)
+ *   delta    := dx dy [pressure] [tiltX tiltY]   (from the point before)
+ *
+ * Coordinates are quantized to 1/16 of a world unit and written as zigzag
+ * varints, so a typical point takes two or three bytes; the line width is a
+ * varint of hundredths, the layer ID a varint, pressure a byte (0-255) and
+ * tilts a signed byte each. Brush styles (protocol 3) are a byte each: the
+ * brush and blend mode as indexes, the opacity in percent. Every batch stands
+ * alone (its first point of a run is absolute), so one that is dropped doesn't
+ * garble the next.
+ */
+
+// Brush styles: brushes.js is loaded before this script in the browser, required on the server
+const CodecBrushes = typeof module !== 'undefined' ? require('./brushes') : Brushes;
+
+const DrawCodec = {
+  // Draw protocols: 1 sends each draw event as JSON, 2 sends batches in this
+  // format, 3 adds brush styles to them
+  LEGACY_PROTOCOL: 1,
+  BATCH_PROTOCOL: 2,
+  PROTOCOL: 3,
+
+  // Record types
+  START: 0,
+  CONTINUE: 1,
+  CANCEL: 2,
+
+  // Flags: what each point has (START and CONTINUE), and what a start has (START)
+  HAS_PRESSURE: 1,
+  HAS_TILT: 2,
+  SMOOTH: 4,
+  HAS_LAYER: 8,
+  HAS_STYLE: 16,
+
+  // Index of each tool, brush and blend mode on the wire (tools match the
+  // server's TOOLS; brushes and blend modes are Brushes' own lists, so new ones
+  // must be added at the end)
+  TOOLS: ['brush', 'eraser'],
+  BRUSHES: CodecBrushes.BRUSHES,
+  BLEND_MODES: CodecBrushes.BLEND_MODES,
+
+  // Quantization steps per world unit
+  COORDINATE_SCALE: 16,
+  LINE_WIDTH_SCALE: 100,
+
+  /**
+   * Encode draw events ({type: 'start'|'continue'|'cancel', ...} as sent one
+   * by one in protocol 1) into a batch
+   * @param {Array} events - Draw events, in the order they were made
+   * @param {number} protocol - Protocol of the receiver (protocol 2 leaves brush styles out)
+   * @returns {Uint8Array} - The batch
+   * @throws {RangeError} - If an event has a tool, brush or blend mode the format doesn't know
+   */
+  encode(events, protocol = this.PROTOCOL) {
+    const bytes = [];
+    let i = 0;
+    while (i < events.length) {
+      const event = events[i];
+      if (event.type === 'start') {
+        const styled = protocol >= this.PROTOCOL &&
+          (event.brush !== undefined || event.opacity !== undefined || event.blend !== undefined);
+        const flags = this.getPointFlags(event.point) |
+          (event.smooth ? this.SMOOTH : 0) |
+          (event.layerId !== undefined ? this.HAS_LAYER : 0) |
+          (styled ? this.HAS_STYLE : 0);
+        bytes.push(this.START, this.getWireIndex(this.TOOLS, event.tool, 'tool'), flags, ...this.encodeColor(event.color));
+        this.writeVarint(bytes, Math.round(event.lineWidth * this.LINE_WIDTH_SCALE));
+        if (event.layerId !== undefined) {
+          this.writeVarint(bytes, event.layerId);
+        }
+        if (styled) {
+          bytes.push(
+            this.getWireIndex(this.BRUSHES, event.brush !== undefined ? event.brush : CodecBrushes.DEFAULT_BRUSH, 'brush'),
+            Math.round((event.opacity !== undefined ? event.opacity : 1) * 100),
+            this.getWireIndex(this.BLEND_MODES, event.blend !== undefined ? event.blend : CodecBrushes.DEFAULT_BLEND_MODE, 'blend mode')
+          );
+        }
+        this.writePoint(bytes, event.point, null, flags);
+        i++;
+      } else if (event.type === 'continue') {
+        // A run of points that have the same fields
+        const flags = this.getPointFlags(event.point);
+        let end = i + 1;
+        while (end < events.length && events[end].type === 'continue' &&
+          this.getPointFlags(events[end].point) === flags) {
+          end++;
+        }
+        bytes.push(this.CONTINUE, flags);
+        this.writeVarint(bytes, end - i);
+        for (let j = i; j < end; j++) {
+          this.writePoint(bytes, events[j].point, j > i ? events[j - 1].point : null, flags);
+        }
+        i = end;
+      } else {
+        bytes.push(this.CANCEL);
+        i++;
+      }
+    }
+    return Uint8Array.from(bytes);
+  },
+
+  /**
+   * Decode a batch into draw events
+   * Values are only checked for fitting the format; range checks are the receiver's.
+   * @param {ArrayBuffer|Uint8Array} batch - The batch (a Buffer on the server)
+   * @returns {Array} - Draw events, in order
+   * @throws {RangeError} - If the batch is malformed
+   */
+  decode(batch) {
+    const reader = { bytes: batch instanceof ArrayBuffer ? new Uint8Array(batch) : batch, offset: 0 };
+    const events = [];
+    while (reader.offset < reader.bytes.length) {
+      const type = this.readByte(reader);
+      if (type === this.START) {
+        const tool = this.TOOLS[this.readByte(reader)];
+        if (!tool) throw new RangeError('Unknown tool');
+        const flags = this.readByte(reader);
+        const event = {
+          type: 'start',
+          tool,
+          color: this.decodeColor(reader),
+          lineWidth: this.readVarint(reader) / this.LINE_WIDTH_SCALE,
+          smooth: (flags & this.SMOOTH) !== 0
+        };
+        if (flags & this.HAS_LAYER) {
+          event.layerId = this.readVarint(reader);
+        }
+        if (flags & this.HAS_STYLE) {
+          event.brush = this.BRUSHES[this.readByte(reader)];
+          event.opacity = this.readByte(reader) / 100;
+          event.blend = this.BLEND_MODES[this.readByte(reader)];
+          if (!event.brush || !event.blend) throw new RangeError('Unknown brush style');
+        }
+        event.point = this.readPoint(reader, null, flags);
+        events.push(event);
+      } else if (type === this.CONTINUE) {
+        const flags = this.readByte(reader);
+        const count = this.readVarint(reader);
+        let point = null;
+        for (let j = 0; j < count; j++) {
+          point = this.readPoint(reader, point, flags);
+          events.push({ type: 'continue', point });
+        }
+      } else if (type === this.CANCEL) {
+        events.push({ type: 'cancel' });
+      } else {
+        throw new RangeError(`Unknown record type ${type}`);
+      }
+    }
+    return events;
+  },
+
+  /**
+   * Index of a value in one of the lists sent as indexes
+   * @throws {RangeError} - If the list doesn't have it
+   */
+  getWireIndex(list, value, name) {
+    const index = list.indexOf(value);
+    if (index < 0) throw new RangeError(`Unknown ${name} ${value}`);
+    return index;
+  },
+
+  /**
+   * Flags for the optional fields a point has
+   */
+  getPointFlags(point) {
+    return (point.pressure !== undefined ? this.HAS_PRESSURE : 0) |
+      (point.tiltX !== undefined ? this.HAS_TILT : 0);
+  },
+
+  /**
+   * Write a point, as a delta from `previous` if there is one
+   */
+  writePoint(bytes, point, previous, flags) {
+    const x = Math.round(point.x * this.COORDINATE_SCALE);
+    const y = Math.round(point.y * this.COORDINATE_SCALE);
+    this.writeSignedVarint(bytes, previous ? x - Math.round(previous.x * this.COORDINATE_SCALE) : x);
+    this.writeSignedVarint(bytes, previous ? y - Math.round(previous.y * this.COORDINATE_SCALE) : y);
+    if (flags & this.HAS_PRESSURE) {
+      bytes.push(Math.round(Math.max(0, Math.min(1, point.pressure)) * 255));
+    }
+    if (flags & this.HAS_TILT) {
+      bytes.push(this.toSignedByte(point.tiltX), this.toSignedByte(point.tiltY));
+    }
+  },
+
+  /**
+   * Read a point, adding it to `previous` if there is one
+   */
+  readPoint(reader, previous, flags) {
+    const dx = this.readSignedVarint(reader) / this.COORDINATE_SCALE;
+    const dy = this.readSignedVarint(reader) / this.COORDINATE_SCALE;
+    const point = previous ? { x: previous.x + dx, y: previous.y + dy } : { x: dx, y: dy };
+    if (flags & this.HAS_PRESSURE) {
+      point.pressure = Math.round(this.readByte(reader) / 255 * 1000) / 1000;
+    }
+    if (flags & this.HAS_TILT) {
+      point.tiltX = this.fromSignedByte(this.readByte(reader));
+      point.tiltY = this.fromSignedByte(this.readByte(reader));
+    }
+    return point;
+  },
+
+  /**
+   * RGB bytes of a `#RGB` or `#RRGGBB` color
+   */
+  encodeColor(color) {
+    const hex = color.length === 4
+      ? color.slice(1).split('').map(digit => digit + digit).join('')
+      : color.slice(1);
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  },
+
+  /**
+   * Read a color as `#rrggbb`
+   */
+  decodeColor(reader) {
+    let color = '#';
+    for (let i = 0; i < 3; i++) {
+      color += this.readByte(reader).toString(16).padStart(2, '0');
+    }
+    return color;
+  },
+
+  /**
+   * Tilts (-90 to 90 degrees) as one byte
+   */
+  toSignedByte(value) {
+    return (Math.round(Math.max(-128, Math.min(127, value))) + 256) % 256;
+  },
+
+  /**
+   * Tilt from its byte
+   */
+  fromSignedByte(byte) {
+    return byte > 127 ? byte - 256 : byte;
+  },
+
+  /**
+   * Write an unsigned integer in 7-bit groups, low first (the high bit means more follow)
+   */
+  writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  },
+
+  /**
+   * Write a signed integer zigzag encoded (0, -1, 1, -2, ... become 0, 1, 2, 3, ...)
+   */
+  writeSignedVarint(bytes, value) {
+    this.writeVarint(bytes, value >= 0 ? value * 2 : -value * 2 - 1);
+  },
+
+  /**
+   * Read the next byte of a batch
+   */
+  readByte(reader) {
+    if (reader.offset >= reader.bytes.length) {
+      throw new RangeError('Batch ends early');
+    }
+    return reader.bytes[reader.offset++];
+  },
+
+  /**
+   * Read an unsigned integer (at most five groups, which covers every value we write)
+   */
+  readVarint(reader) {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.readByte(reader);
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+    throw new RangeError('Varint too long');
+  },
+
+  /**
+   * Read a zigzag encoded signed integer
+   */
+  readSignedVarint(reader) {
+    const value = this.readVarint(reader);
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+};
+
+// The server validates and relays batches with the same codec (loaded with require())
+if (typeof module !== 'undefined') {
+  module.exports = DrawCodec;
+}
@@ -0,0 +1,196 @@
+/**
+ * Flood Fill
+ * Works out which pixels a bucket fill covers
+ *
+ * Fills are stored as their seed point, color and tolerance, and every client
+ * replays them. To come out the same everywhere they are never computed on
+ * the screen (whose zoom, pan and pixel ratio differ between clients) but on
+ * a raster of the fill's area at one pixel per canvas unit, scaled down for
+ * big documents. What is drawn there is made fully opaque or fully clear
+ * before flooding, so browsers that anti-alias an outline differently still
+ * agree on where its gaps are.
+ */
+
+const FloodFill = {
+  // Largest raster a fill is computed on (a 2560x1440 document still gets one pixel per unit)
+  MAX_PIXELS: 4000000,
+
+  // Raster pixels at least this opaque count as drawn, the others as clear
+  ALPHA_THRESHOLD: 128,
+
+  // Most rectangles a fill's region may take (more and it is recorded without one)
+  MAX_REGION_RECTS: 10000,
+
+  /**
+   * Get the raster a fill is computed on
+   * @param {Object} fill - Fill operation
+   * @returns {Object} - {scale, width, height}: raster pixels per canvas unit, and its size in pixels
+   */
+  getRaster(fill) {
+    const { width, height } = fill.area;
+    const scale = Math.min(1, Math.sqrt(this.MAX_PIXELS / (width * height)));
+    return {
+      scale,
+      width: Math.max(1, Math.floor(width * scale)),
+      height: Math.max(1, Math.floor(height * scale))
+    };
+  },
+
+  /**
+   * Make every pixel of a raster fully opaque (keeping its color) or fully
+   * clear, on ALPHA_THRESHOLD
+   * @param {Uint8ClampedArray} pixels - RGBA pixels, changed in place
+   */
+  binarize(pixels) {
+    for (let p = 0; p < pixels.length; p += 4) {
+      if (pixels[p + 3] >= this.ALPHA_THRESHOLD) {
+        pixels[p + 3] = 255;
+      } else {
+        pixels[p] = pixels[p + 1] = pixels[p + 2] = pixels[p + 3] = 0;
+      }
+    }
+  },
+
+  /**
+   * Find the pixels a fill covers: those connected to the seed whose color is
+   * within `tolerance` of the seed's, plus a pixel around them so no
+   * anti-aliased fringe shows between the fill and its outline
+   * @param {Uint8ClampedArray} pixels - RGBA pixels of the raster
+   * @param {number} width - Raster width
+   * @param {number} height - Raster height
+   * @param {Object} seed - {x, y} pixel to start from
+   * @param {number} tolerance - 0-100: how far each channel may be from the seed's, in percent
+   * @returns {Object|null} - {mask, bounds}: 1 for each covered pixel of the raster, and
+   *   the pixel bounds of those; null if the seed is outside the raster
+   */
+  getMask(pixels, width, height, seed, tolerance) {
+    if (seed.x < 0 || seed.y < 0 || seed.x >= width || seed.y >= height) return null;
+
+    // 1 for pixels within tolerance of the seed's color, 2 once filled
+    const threshold = tolerance / 100 * 255;
+    const start = (seed.y * width + seed.x) * 4;
+    const [r, g, b, a] = pixels.slice(start, start + 4);
+    const state = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < state.length; i++, p += 4) {
+      if (Math.abs(pixels[p] - r) <= threshold && Math.abs(pixels[p + 1] - g) <= threshold &&
+          Math.abs(pixels[p + 2] - b) <= threshold && Math.abs(pixels[p + 3] - a) <= threshold) {
+        state[i] = 1;
+      }
+    }
+
+    // Scanline fill: each popped pixel fills its whole run along the row, and
+    // the runs above and below it are queued once each
+    const bounds = { left: seed.x, top: seed.y, right: seed.x, bottom: seed.y };
+    const stack = [seed.y * width + seed.x];
+    while (stack.length > 0) {
+      const index = stack.pop();
+      if (state[index] === 2) continue;
+
+      const y = Math.floor(index / width);
+      const rowStart = y * width;
+      let left = index;
+      let right = index;
+      while (left > rowStart && state[left - 1] === 1) left--;
+      while (right < rowStart + width - 1 && state[right + 1] === 1) right++;
+
+      let above = false;
+      let below = false;
+      for (let i = left; i <= right; i++) {
+        state[i] = 2;
+        if (y > 0) {
+          const up = state[i - width] === 1;
+          if (up && !above) stack.push(i - width);
+          above = up;
+        }
+        if (y < height - 1) {
+          const down = state[i + width] === 1;
+          if (down && !below) stack.push(i + width);
+          below = down;
+        }
+      }
+
+      bounds.left = Math.min(bounds.left, left - rowStart);
+      bounds.right = Math.max(bounds.right, right - rowStart);
+      bounds.top = Math.min(bounds.top, y);
+      bounds.bottom = Math.max(bounds.bottom, y);
+    }
+
+    return this.grow(state, width, height, bounds);
+  },
+
+  /**
+   * Describe a mask as rectangles: each row's runs, with a run that repeats
+   * on the next row grown down instead of starting a new rectangle
+   * @param {Uint8Array} mask - Mask from getMask
+   * @param {number} width - Raster width
+   * @param {Object} bounds - Mask bounds from getMask
+   * @returns {Array|null} - [[x, y, width, height]] in raster pixels, or null
+   *   if it takes more than MAX_REGION_RECTS
+   */
+  getRegion(mask, width, bounds) {
+    const rects = [];
+    let open = new Map(); // 'left,right' -> rectangle of the run on the row above
+    for (let y = bounds.y; y < bounds.y + bounds.height; y++) {
+      const next = new Map();
+      const end = bounds.x + bounds.width;
+      let x = bounds.x;
+      while (x < end) {
+        if (!mask[y * width + x]) {
+          x++;
+          continue;
+        }
+
+        let right = x;
+        while (right + 1 < end && mask[y * width + right + 1]) right++;
+        const key = `${x},${right}`;
+        let rect = open.get(key);
+        if (rect) {
+          rect[3]++;
+        } else {
+          rect = [x, y, right - x + 1, 1];
+          rects.push(rect);
+          if (rects.length > this.MAX_REGION_RECTS) return null;
+        }
+        next.set(key, rect);
+        x = right + 1;
+      }
+      open = next;
+    }
+    return rects;
+  },
+
+  /**
+   * Mask of the filled pixels (state 2) and those next to them (left, right, above and below)
+   * @returns {Object} - {mask, bounds} with bounds as {x, y, width, height}
+   */
+  grow(state, width, height, { left, top, right, bottom }) {
+    const mask = new Uint8Array(width * height);
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        if (state[y * width + x] !== 2) continue;
+
+        mask[y * width + x] = 1;
+        if (x > 0) mask[y * width + x - 1] = 1;
+        if (x < width - 1) mask[y * width + x + 1] = 1;
+        if (y > 0) mask[(y - 1) * width + x] = 1;
+        if (y < height - 1) mask[(y + 1) * width + x] = 1;
+      }
+    }
+
+    const x = Math.max(0, left - 1);
+    const y = Math.max(0, top - 1);
+    return {
+      mask,
+      bounds: {
+        x,
+        y,
+        width: Math.min(width - 1, right + 1) - x + 1,
+        height: Math.min(height - 1, bottom + 1) - y + 1
+      }
+    };
+  }
+};
+
+if (typeof module !== 'undefined') {
+  module.exports = FloodFill;
+}
@@ -0,0 +1,573 @@
+/**
+ * Geometry Helpers
+ * Bounding boxes for strokes, used to limit re-rendering to affected regions
+ * and to crop exports, and the stroke, shape and text geometry shared by the
+ * canvas and exporter (stroke smoothing and simplification included)
+ */
+
+const Geometry = {
+  // Text is set in this font, with lines this many font sizes apart
+  TEXT_FONT_FAMILY: 'sans-serif',
+  TEXT_LINE_HEIGHT: 1.25,
+
+  // Thinnest a pressure-sensitive stroke gets, as a fraction of its line width
+  MIN_PRESSURE_WIDTH: 0.2,
+
+  // Spray dots: how many are stamped per stamp, how far apart stamps are (as a
+  // fraction of the spray's radius), and the precision of the coordinates that
+  // seed them (DrawCodec's COORDINATE_SCALE, so a stroke streamed live sprays the same dots)
+  SPRAY_DOTS_PER_STAMP: 12,
+  SPRAY_STAMP_SPACING: 0.5,
+  SPRAY_SEED_SCALE: 16,
+
+  // Calligraphy nib: held at 45° (rising to the right), and its thickness as a fraction of its width
+  NIB_ANGLE: -Math.PI / 4,
+  NIB_THICKNESS: 0.15,
+
+  // Quadratic curves are flattened into this many segments where a polygon is needed
+  CURVE_SEGMENTS: 4,
+
+  /**
+   * Get the bounding box of a stroke, padded by its line width
+   * @returns {Object|null} - {x, y, width, height} or null for an empty stroke
+   */
+  getStrokeBounds(stroke) {
+    if (!stroke.points || stroke.points.length === 0) return null;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    stroke.points.forEach(point => {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    });
+
+    // Half the line width plus a pixel for anti-aliasing
+    const pad = Math.ceil((stroke.lineWidth || 1) / 2) + 1;
+    return {
+      x: Math.floor(minX - pad),
+      y: Math.floor(minY - pad),
+      width: Math.ceil(maxX - minX) + pad * 2 + 1,
+      height: Math.ceil(maxY - minY) + pad * 2 + 1
+    };
+  },
+
+  /**
+   * Check whether any of a stroke's points was recorded with pen pressure
+   */
+  hasPressure(stroke) {
+    return stroke.points.some(point => point.pressure !== undefined);
+  },
+
+  /**
+   * Width of a stroke where the pen pressed this hard (0-1); never more than
+   * the line width, so pressure doesn't change a stroke's bounds
+   */
+  getPressureWidth(lineWidth, pressure) {
+    if (pressure === undefined) return lineWidth;
+    return lineWidth * (this.MIN_PRESSURE_WIDTH + (1 - this.MIN_PRESSURE_WIDTH) * pressure);
+  },
+
+  /**
+   * Width of the segment between two points of a stroke: the average of their
+   * pressures (a point without pressure counts as pressing fully)
+   */
+  getSegmentWidth(lineWidth, a, b) {
+    if (a.pressure === undefined && b.pressure === undefined) return lineWidth;
+    const pressureA = a.pressure !== undefined ? a.pressure : 1;
+    const pressureB = b.pressure !== undefined ? b.pressure : 1;
+    return this.getPressureWidth(lineWidth, (pressureA + pressureB) / 2);
+  },
+
+  /**
+   * Point halfway between two stroke points, with their average pressure
+   */
+  getMidpoint(a, b) {
+    const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    if (a.pressure !== undefined || b.pressure !== undefined) {
+      const pressureA = a.pressure !== undefined ? a.pressure : 1;
+      const pressureB = b.pressure !== undefined ? b.pressure : 1;
+      midpoint.pressure = (pressureA + pressureB) / 2;
+    }
+    return midpoint;
+  },
+
+  /**
+   * Piece of a stroke that its point `index` (1 or more) completes: a straight
+   * segment from the previous point or, for smoothed strokes, a curve through
+   * the midpoints between points, bent towards the point between them (the
+   * first piece runs straight from the first point to the first midpoint)
+   * Drawn as points arrive and then followed by getSmoothTail, the pieces make
+   * exactly the stroke getStrokePieces gives for the finished points.
+   * @returns {Object} - {from, control?, to}; a control point makes it a quadratic curve
+   */
+  getStrokePiece(stroke, index) {
+    const { points } = stroke;
+    if (!stroke.smooth) {
+      return { from: points[index - 1], to: points[index] };
+    }
+    if (index === 1) {
+      return { from: points[0], to: this.getMidpoint(points[0], points[1]) };
+    }
+    return {
+      from: this.getMidpoint(points[index - 2], points[index - 1]),
+      control: points[index - 1],
+      to: this.getMidpoint(points[index - 1], points[index])
+    };
+  },
+
+  /**
+   * Last piece of a smoothed stroke (of two or more points): straight from its
+   * last midpoint to its last point
+   */
+  getSmoothTail(stroke) {
+    const { points } = stroke;
+    const last = points[points.length - 1];
+    return { from: this.getMidpoint(points[points.length - 2], last), to: last };
+  },
+
+  /**
+   * Every piece of a stroke, in order (a single point is one zero-length piece: a dot)
+   * Curves stay within their points' hull, so smoothing doesn't change a stroke's bounds.
+   */
+  getStrokePieces(stroke) {
+    const { points } = stroke;
+    if (points.length === 1) {
+      return [{ from: points[0], to: points[0] }];
+    }
+
+    const pieces = [];
+    for (let i = 1; i < points.length; i++) {
+      pieces.push(this.getStrokePiece(stroke, i));
+    }
+    if (stroke.smooth) {
+      pieces.push(this.getSmoothTail(stroke));
+    }
+    return pieces;
+  },
+
+  /**
+   * Dots a spray stroke is made of: stamps scattered around each point and
+   * along the way from the one before (so fast strokes leave no gaps), each
+   * seeded by its point, so the same points always spray the same dots
+   * @returns {Array} - [{x, y, radius}]
+   */
+  getSprayDots(stroke) {
+    const { points, lineWidth } = stroke;
+    const dotRadius = Math.max(0.5, lineWidth / 25);
+    const dots = [];
+
+    points.forEach((point, i) => {
+      const previous = points[Math.max(0, i - 1)];
+      // Dots stay inside the line width, so a spray's bounds are a stroke's
+      const radius = Math.max(0, this.getPressureWidth(lineWidth, point.pressure) / 2 - dotRadius);
+      const distance = Math.hypot(point.x - previous.x, point.y - previous.y);
+      const stamps = Math.max(1, Math.ceil(distance / Math.max(1, radius * this.SPRAY_STAMP_SPACING)));
+      const random = this.random(this.getPointSeed(point, i));
+
+      for (let s = 1; s <= stamps; s++) {
+        const center = {
+          x: previous.x + (point.x - previous.x) * s / stamps,
+          y: previous.y + (point.y - previous.y) * s / stamps
+        };
+        for (let d = 0; d < this.SPRAY_DOTS_PER_STAMP; d++) {
+          // Square root: evenly spread over the circle rather than bunched in the middle
+          const angle = random() * Math.PI * 2;
+          const reach = radius * Math.sqrt(random());
+          dots.push({ x: center.x + Math.cos(angle) * reach, y: center.y + Math.sin(angle) * reach, radius: dotRadius });
+        }
+      }
+    });
+    return dots;
+  },
+
+  /**
+   * Outline of a calligraphy stroke: a quadrilateral for each segment its flat
+   * nib sweeps (wide across the nib's angle, nothing along it)
+   * It is drawn with a line NIB_THICKNESS of its width along the path, so
+   * strokes along the nib don't vanish.
+   * @returns {Array} - [[a, b, c, d]] polygons
+   */
+  getNibQuads(stroke) {
+    const points = this.flattenPieces(this.getStrokePieces(stroke));
+    const nib = point => {
+      const half = this.getPressureWidth(stroke.lineWidth, point.pressure) / 2;
+      return { x: Math.cos(this.NIB_ANGLE) * half, y: Math.sin(this.NIB_ANGLE) * half };
+    };
+
+    const quads = [];
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const nibA = nib(a);
+      const nibB = nib(b);
+      quads.push([
+        { x: a.x + nibA.x, y: a.y + nibA.y },
+        { x: b.x + nibB.x, y: b.y + nibB.y },
+        { x: b.x - nibB.x, y: b.y - nibB.y },
+        { x: a.x - nibA.x, y: a.y - nibA.y }
+      ]);
+    }
+    return quads;
+  },
+
+  /**
+   * Points along stroke pieces, curves flattened into CURVE_SEGMENTS segments
+   * (pressure is interpolated along them)
+   */
+  flattenPieces(pieces) {
+    const points = [pieces[0].from];
+    pieces.forEach(({ from, control, to }) => {
+      if (!control) {
+        points.push(to);
+        return;
+      }
+      for (let s = 1; s <= this.CURVE_SEGMENTS; s++) {
+        const t = s / this.CURVE_SEGMENTS;
+        const point = {
+          x: (1 - t) * (1 - t) * from.x + 2 * (1 - t) * t * control.x + t * t * to.x,
+          y: (1 - t) * (1 - t) * from.y + 2 * (1 - t) * t * control.y + t * t * to.y
+        };
+        if (from.pressure !== undefined || to.pressure !== undefined) {
+          const pressureFrom = from.pressure !== undefined ? from.pressure : 1;
+          const pressureTo = to.pressure !== undefined ? to.pressure : 1;
+          point.pressure = pressureFrom + (pressureTo - pressureFrom) * t;
+        }
+        points.push(point);
+      }
+    });
+    return points;
+  },
+
+  /**
+   * Seed for the random numbers of a stroke's point `index`, from its
+   * coordinates at the precision they are streamed at
+   */
+  getPointSeed(point, index) {
+    const x = Math.round(point.x * this.SPRAY_SEED_SCALE);
+    const y = Math.round(point.y * this.SPRAY_SEED_SCALE);
+    return (Math.imul(index + 1, 0x9e3779b1) ^ Math.imul(x, 0x85ebca6b) ^ Math.imul(y, 0xc2b2ae35)) >>> 0;
+  },
+
+  /**
+   * Deterministic random numbers (mulberry32): the same seed gives the same
+   * sequence on every client and the server
+   * @returns {Function} - Returns the next number in [0, 1)
+   */
+  random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * How far a stroke point is from where the segment between two other points
+   * would put it: its distance from the segment, or half the difference in
+   * width its pressure makes, whichever is more
+   */
+  getPointDeviation(point, a, b, lineWidth) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    const distance = Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+
+    if (point.pressure === undefined && a.pressure === undefined && b.pressure === undefined) {
+      return distance;
+    }
+    const pressureA = a.pressure !== undefined ? a.pressure : 1;
+    const pressureB = b.pressure !== undefined ? b.pressure : 1;
+    const width = this.getPressureWidth(lineWidth, point.pressure !== undefined ? point.pressure : 1);
+    const expected = this.getPressureWidth(lineWidth, pressureA + t * (pressureB - pressureA));
+    return Math.max(distance, Math.abs(width - expected) / 2);
+  },
+
+  /**
+   * Drop the points of a stroke that the ones around them already place to
+   * within `tolerance` (Ramer-Douglas-Peucker); the first and last are always kept
+   * @param {Array} points - Stroke points
+   * @param {number} tolerance - Largest deviation dropped, in world units
+   * @param {number} lineWidth - The stroke's width, to weigh pressure changes
+   * @returns {Array} - The points kept, in order
+   */
+  simplifyPoints(points, tolerance, lineWidth) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    // Ranges still to split, on a stack rather than recursion (strokes can be long)
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let maxDeviation = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const deviation = this.getPointDeviation(points[i], points[first], points[last], lineWidth);
+        if (deviation > maxDeviation) {
+          farthest = i;
+          maxDeviation = deviation;
+        }
+      }
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  },
+
+  /**
+   * Get the bounding box of any operation
+   * @returns {Object|null} - {x, y, width, height} or null if it draws nothing
+   */
+  getOperationBounds(operation) {
+    if (operation.type === 'image') {
+      // A pixel of padding for anti-aliased edges
+      return {
+        x: Math.floor(operation.x) - 1,
+        y: Math.floor(operation.y) - 1,
+        width: Math.ceil(operation.width) + 3,
+        height: Math.ceil(operation.height) + 3
+      };
+    }
+    if (operation.type === 'text') {
+      // Width is as measured by the author; the font size allows for other fonts' overhang
+      const pad = Math.ceil(operation.fontSize / 4);
+      return {
+        x: Math.floor(operation.x) - pad,
+        y: Math.floor(operation.y) - pad,
+        width: Math.ceil(operation.width) + pad * 2,
+        height: Math.ceil(this.getTextHeight(operation)) + pad * 2
+      };
+    }
+    if (operation.type === 'fill') {
+      // What it covers depends on what is drawn beneath it, but never leaves its area
+      return { ...operation.area };
+    }
+    if (operation.type === 'shape') {
+      const points = [operation.start, operation.end];
+      if (operation.shape === 'arrow') {
+        points.push(...this.getArrowHead(operation).points);
+      }
+      return this.getStrokeBounds({ points, lineWidth: operation.lineWidth });
+    }
+    return this.getStrokeBounds(operation);
+  },
+
+  /**
+   * Height of a text operation's lines
+   */
+  getTextHeight(text) {
+    return text.text.split('\n').length * text.fontSize * this.TEXT_LINE_HEIGHT;
+  },
+
+  /**
+   * Top of a text line's em box; lines are centered in their line height, as in a textarea
+   */
+  getTextLineTop(text, index) {
+    return text.y + text.fontSize * (index * this.TEXT_LINE_HEIGHT + (this.TEXT_LINE_HEIGHT - 1) / 2);
+  },
+
+  /**
+   * Check whether a point is on (or within `tolerance` of) what an operation draws
+   * Strokes, lines and arrows are tested along their path; everything else by its box
+   */
+  hitTest(operation, point, tolerance) {
+    const onPath = (points, lineWidth) => points.some((p, i) =>
+      this.distanceToSegment(point, p, points[Math.min(i + 1, points.length - 1)]) <= lineWidth / 2 + tolerance);
+
+    if (operation.type === 'stroke') {
+      return !!operation.points && operation.points.length > 0 && onPath(operation.points, operation.lineWidth);
+    }
+    if (operation.type === 'shape' && (operation.shape === 'line' || operation.shape === 'arrow')) {
+      return onPath([operation.start, operation.end], operation.lineWidth);
+    }
+    return this.boundsContain(this.getOperationBounds(operation), point);
+  },
+
+  /**
+   * Check whether a stroke's path comes within `tolerance` of the segment
+   * from-to (what an object eraser swept between two pointer samples)
+   */
+  strokeTouchesSegment(stroke, from, to, tolerance) {
+    const { points } = stroke;
+    if (!points || points.length === 0) return false;
+
+    const reach = stroke.lineWidth / 2 + tolerance;
+    const bounds = this.getStrokeBounds(stroke);
+    if (Math.max(from.x, to.x) + reach < bounds.x || Math.min(from.x, to.x) - reach > bounds.x + bounds.width ||
+        Math.max(from.y, to.y) + reach < bounds.y || Math.min(from.y, to.y) - reach > bounds.y + bounds.height) {
+      return false;
+    }
+    return points.some((p, i) =>
+      this.segmentDistance(p, points[Math.min(i + 1, points.length - 1)], from, to) <= reach);
+  },
+
+  /**
+   * Distance between the segments a-b and c-d (0 where they cross)
+   */
+  segmentDistance(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const abC = cross(a, b, c);
+    const abD = cross(a, b, d);
+    const cdA = cross(c, d, a);
+    const cdB = cross(c, d, b);
+    if (((abC > 0 && abD < 0) || (abC < 0 && abD > 0)) && ((cdA > 0 && cdB < 0) || (cdA < 0 && cdB > 0))) {
+      return 0;
+    }
+    return Math.min(
+      this.distanceToSegment(a, c, d),
+      this.distanceToSegment(b, c, d),
+      this.distanceToSegment(c, a, b),
+      this.distanceToSegment(d, a, b)
+    );
+  },
+
+  /**
+   * Distance from a point to the segment a-b
+   */
+  distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+      Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  },
+
+  /**
+   * Check whether a point lies inside a polygon (even-odd rule)
+   */
+  polygonContains(polygon, point) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  /**
+   * Center of a bounding box
+   */
+  getBoundsCenter(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  },
+
+  /**
+   * Check whether a point lies within a bounding box
+   */
+  boundsContain(bounds, point) {
+    return !!bounds && point.x >= bounds.x && point.x < bounds.x + bounds.width &&
+      point.y >= bounds.y && point.y < bounds.y + bounds.height;
+  },
+
+  /**
+   * The rectangle spanned by a shape's start and end points
+   */
+  getShapeRect(shape) {
+    return {
+      x: Math.min(shape.start.x, shape.end.x),
+      y: Math.min(shape.start.y, shape.end.y),
+      width: Math.abs(shape.end.x - shape.start.x),
+      height: Math.abs(shape.end.y - shape.start.y)
+    };
+  },
+
+  /**
+   * Get an arrow's head, scaled with its line width
+   * @returns {Object} - {points: [tip, left, right], base}: the shaft stops at base
+   */
+  getArrowHead(shape) {
+    const { start, end } = shape;
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    // Never longer than the arrow itself
+    const length = Math.min(Math.max(10, shape.lineWidth * 3), Math.hypot(end.x - start.x, end.y - start.y));
+    const spread = Math.PI / 7;
+
+    const corner = (side) => ({
+      x: end.x - length * Math.cos(angle + side * spread),
+      y: end.y - length * Math.sin(angle + side * spread)
+    });
+    const baseLength = length * Math.cos(spread);
+    return {
+      points: [end, corner(-1), corner(1)],
+      base: { x: end.x - baseLength * Math.cos(angle), y: end.y - baseLength * Math.sin(angle) }
+    };
+  },
+
+  /**
+   * Snap a shape's end point while Shift is held: lines and arrows to 45°
+   * steps, rectangles and ellipses to squares and circles
+   * @returns {Object} - Constrained end point
+   */
+  constrainShapeEnd(shapeType, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    if (shapeType === 'line' || shapeType === 'arrow') {
+      const step = Math.PI / 4;
+      const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+      const length = Math.hypot(dx, dy);
+      return {
+        x: start.x + Math.round(length * Math.cos(angle)),
+        y: start.y + Math.round(length * Math.sin(angle))
+      };
+    }
+
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return {
+      x: start.x + (dx < 0 ? -size : size),
+      y: start.y + (dy < 0 ? -size : size)
+    };
+  },
+
+  /**
+   * Check whether two bounding boxes overlap
+   */
+  boundsIntersect(a, b) {
+    if (!a || !b) return false;
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+      a.y < b.y + b.height && b.y < a.y + a.height;
+  },
+
+  /**
+   * Smallest box containing both boxes (either may be null)
+   */
+  unionBounds(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+  }
+};
+
+// The server's exporter uses the same bounds (loaded with require())
+if (typeof module !== 'undefined') {
+  module.exports = Geometry;
+}
@@ -0,0 +1,97 @@
+/**
+ * Operation History
+ * Client-side mirror of the room's drawing operations, used to re-render the canvas
+ */
+
+class OperationHistory {
+  constructor() {
+    this.operations = []; // Sorted by operation ID (server history order)
+    this.seq = 0; // Server sequence number of the last change applied
+    this.layers = []; // Bottom to top
+    this.document = null; // The room's logical size: {width, height}
+    this.transformedCopies = new WeakMap(); // Reused by every resolve, so unchanged operations stay the same objects
+  }
+
+  /**
+   * Replace the history with a full state from the server
+   */
+  reset(operations, seq, layers) {
+    this.operations = operations.slice().sort((a, b) => a.id - b.id);
+    this.seq = seq || 0;
+    this.layers = layers || [];
+  }
+
+  /**
+   * Replace the room's layers after a change
+   */
+  setLayers(layers) {
+    this.layers = layers;
+  }
+
+  /**
+   * Replace the room's document size
+   */
+  setDocument(document) {
+    this.document = document;
+  }
+
+  /**
+   * Check a change's sequence number before applying it
+   * @returns {boolean} - False if the change was already applied
+   */
+  accept(seq) {
+    if (seq <= this.seq) return false;
+    this.seq = seq;
+    return true;
+  }
+
+  /**
+   * Insert an operation, keeping history order
+   */
+  add(operation) {
+    if (this.get(operation.id)) return;
+
+    let index = this.operations.length;
+    while (index > 0 && this.operations[index - 1].id > operation.id) {
+      index--;
+    }
+    this.operations.splice(index, 0, operation);
+  }
+
+  /**
+   * Find an operation by ID
+   */
+  get(operationId) {
+    return this.operations.find(op => op.id === operationId) || null;
+  }
+
+  /**
+   * Hide or restore an operation after an undo/redo
+   * Operations this client has never seen (e.g. undone before it joined) are inserted
+   */
+  setUndone(operationId, undone, operation) {
+    let existing = this.get(operationId);
+    if (!existing && operation) {
+      this.add({ ...operation });
+      existing = this.get(operationId);
+    }
+    if (existing) {
+      existing.undone = undone;
+    }
+  }
+
+  /**
+   * Remove all operations
+   */
+  clear() {
+    this.operations = [];
+  }
+
+  /**
+   * Get operations that should currently be rendered, in history order
+   * (undone operations and superseded text versions are left out)
+   */
+  getVisibleOperations() {
+    return Operations.resolve(this.operations.filter(op => !op.undone), this.transformedCopies);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Image Store
+ * Decoded images for `image` operations, fetched once per image ID
+ * Drawing never waits: callers get null until the image has loaded, and are
+ * told when it arrives so they can repaint
+ */
+
+class ImageStore {
+  constructor() {
+    this.images = new Map(); // imageId -> {status: 'loading'|'loaded'|'failed', bitmap}
+
+    // Fetches an image's bytes: (imageId) => Promise<Blob>
+    this.loader = null;
+
+    // Called with the image ID once an image is ready to draw
+    this.onImageLoaded = null;
+  }
+
+  /**
+   * Get a decoded image, starting to load it if we haven't yet
+   * @returns {ImageBitmap|null} - The image, or null while it isn't available
+   */
+  get(imageId) {
+    const entry = this.images.get(imageId);
+    if (!entry) {
+      this.load(imageId);
+      return null;
+    }
+    return entry.status === 'loaded' ? entry.bitmap : null;
+  }
+
+  /**
+   * Fetch and decode an image
+   */
+  load(imageId) {
+    if (!this.loader) return;
+
+    const entry = { status: 'loading', bitmap: null };
+    this.images.set(imageId, entry);
+
+    this.loader(imageId)
+      .then(blob => createImageBitmap(blob))
+      .then(bitmap => {
+        entry.status = 'loaded';
+        entry.bitmap = bitmap;
+        if (this.onImageLoaded) {
+          this.onImageLoaded(imageId);
+        }
+      })
+      .catch(error => {
+        console.warn(`Failed to load image ${imageId}:`, error);
+        entry.status = 'failed';
+      });
+  }
+
+  /**
+   * Add an image we already have (one we just uploaded)
+   */
+  add(imageId, bitmap) {
+    this.images.set(imageId, { status: 'loaded', bitmap });
+  }
+
+  /**
+   * Forget images that failed so they are retried (e.g. after rejoining)
+   */
+  retryFailed() {
+    this.images.forEach((entry, imageId) => {
+      if (entry.status === 'failed') {
+        this.images.delete(imageId);
+      }
+    });
+  }
+}
@@ -6,10 +6,27 @@
 // Global instances
 let canvasDrawing;
 let wsManager;
+let operationHistory;
 let currentRoom = 'default';
 
-// Previous point for remote drawing
-const remoteDrawingState = new Map(); // userId -> {lastPoint, tool, color, lineWidth}
+// Matches the server's upload limit (LIMITS.MAX_IMAGE_BYTES)
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Shown next to each user in the users list
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+// How long a notification stays up (ms), and how many are shown at once
+const NOTIFICATION_DURATION = 4000;
+const MAX_NOTIFICATIONS = 3;
+
+// Keyboard shortcuts for the shape tools
+const SHAPE_SHORTCUTS = { l: 'line', r: 'rect', o: 'ellipse', a: 'arrow' };
+
+// How much the zoom buttons (and Ctrl +/-) zoom by
+const ZOOM_STEP = 1.25;
+
+// In-progress remote strokes
+const remoteDrawingState = new Map(); // userId -> {tool, color, lineWidth, points}
 
 /**
  * Initialize the application
@@ -19,11 +36,20 @@ function init() {
   showJoinModal();
   
   // Initialize canvas
-  canvasDrawing = new CanvasDrawing('drawing-canvas', 'cursor-canvas');
+  canvasDrawing = new CanvasDrawing('drawing-canvas', 'cursor-canvas', 'text-editor');
   
   // Initialize WebSocket manager
   wsManager = new WebSocketManager();
   
+  // Local mirror of the room's operation history
+  operationHistory = new OperationHistory();
+  
+  // Images are fetched over HTTP with our session
+  canvasDrawing.imageStore.loader = (imageId) => wsManager.fetchImage(imageId);
+  
+  // The text tool finds texts to re-edit in the history
+  canvasDrawing.operationsProvider = () => operationHistory.getVisibleOperations();
+  
   // Setup canvas callbacks
   setupCanvasCallbacks();
   
@@ -54,10 +80,57 @@ function setupCanvasCallbacks() {
     wsManager.sendStrokeComplete(data);
   };
   
+  // Shapes: previewed while dragged out, committed on release
+  canvasDrawing.onShapePreview = (data) => {
+    wsManager.sendShapePreview(data);
+  };
+  
+  canvasDrawing.onShapeComplete = (data) => {
+    wsManager.sendShapeComplete(data);
+  };
+  
+  // Fills: a seed point the fill is replayed from on every client
+  canvasDrawing.onFillComplete = (data) => {
+    wsManager.sendFillComplete(data);
+  };
+  
+  // New or edited text
+  canvasDrawing.onTextComplete = (data) => {
+    wsManager.sendTextComplete(data);
+  };
+  
+  // Selection edits: moved, resized, recolored or deleted operations
+  canvasDrawing.onTransform = (data) => {
+    wsManager.sendTransform(data);
+  };
+  
+  canvasDrawing.onDelete = (data) => {
+    wsManager.sendDelete(data);
+  };
+  
+  // Tried to draw on a hidden or locked layer
+  canvasDrawing.onLayerUnavailable = (layer) => {
+    const state = layer.visible ? 'locked' : 'hidden';
+    showNotification(`Layer "${layer.name}" is ${state} - pick another layer to draw on`);
+  };
+  
+  // Pan and zoom
+  canvasDrawing.onViewportChange = (viewport) => {
+    updateZoomLevel(viewport.zoom);
+  };
+  
   // Cursor movement
   canvasDrawing.onCursorMove = (cursor) => {
     wsManager.sendCursorMove(cursor);
   };
+  
+  // An image finished loading: repaint wherever it is used, and the fills over it, in history order
+  canvasDrawing.imageStore.onImageLoaded = (imageId) => {
+    const operations = operationHistory.getVisibleOperations();
+    const images = operations.filter(op => op.type === 'image' && op.imageId === imageId);
+    [...images, ...canvasDrawing.renderCache.getDependentFills(operations, new Set(images))]
+      .forEach(op => canvasDrawing.redrawRegion(Geometry.getOperationBounds(op), operations));
+  };
 }
 
 /**
@@ -73,16 +146,98 @@ function setupWebSocketCallbacks() {
     updateConnectionStatus(false);
   };
   
+  // A stroke queued before a page refresh: show it as pending until it's replayed
+  wsManager.onQueuedStrokeRestored = (stroke) => {
+    canvasDrawing.addPendingStroke(stroke);
+    if (Operations.changesEarlier(stroke)) {
+      // What it changes is hidden now, wherever that is
+      canvasDrawing.redrawFromHistory(operationHistory.getVisibleOperations());
+    } else {
+      canvasDrawing.drawLiveStroke(stroke);
+    }
+  };
+  
+  // Stroke acknowledgements
+  wsManager.onStrokeAcknowledged = (clientId) => {
+    canvasDrawing.confirmPendingStroke(clientId);
+  };
+  
+  wsManager.onStrokeRejected = (clientId, reason) => {
+    // Roll back: the stroke will never be part of the shared history
+    canvasDrawing.removeLiveStroke(clientId, operationHistory.getVisibleOperations());
+    showNotification(`Your stroke was not saved (${reason})`);
+  };
+  
+  wsManager.onServerError = (error) => {
+    if (error.code === 'muted') {
+      showNotification(`You're sending too much - muted for ${Math.ceil(error.retryAfter / 1000)}s`);
+    } else {
+      showNotification(`Server rejected ${error.event}: ${error.message}`);
+    }
+  };
+  
   // Room events
   wsManager.onRoomJoined = (data) => {
     console.log('Room joined successfully');
     hideJoinModal();
     updateUserInfo(data.user);
     updateUsersList(data.users);
+    applyRole(data.user.role);
     
-    // Load initial drawing state
-    if (data.drawingState && data.drawingState.operations) {
-      canvasDrawing.redrawFromHistory(data.drawingState.operations);
+    if (data.created) {
+      showNotification(`You created room ${currentRoom} and are its owner`);
+    }
+    
+    // Remote strokes in progress were interrupted; their commits will still arrive
+    remoteDrawingState.forEach((stroke, userId) => canvasDrawing.deleteLiveStroke(userId));
+    remoteDrawingState.clear();
+    canvasDrawing.shapePreviews.forEach((shape, key) => {
+      if (key !== 'local') canvasDrawing.deleteShapePreview(key);
+    });
+    // Selected operations belonged to the room we were in
+    canvasDrawing.clearSelection();
+    
+    if (data.changes) {
+      // Rejoin after a reconnect: apply only what we missed
+      data.changes.forEach(applyChange);
+    } else if (data.drawingState && data.drawingState.operations) {
+      // Load initial drawing state
+      operationHistory.reset(data.drawingState.operations, data.drawingState.seq, data.drawingState.layers);
+      operationHistory.setDocument(data.drawingState.document);
+    }
+    canvasDrawing.setLayers(operationHistory.layers);
+    canvasDrawing.setDocumentSize(operationHistory.document);
+    renderLayersList();
+    canvasDrawing.imageStore.retryFailed();
+    canvasDrawing.redrawFromHistory(operationHistory.getVisibleOperations());
+  };
+  
+  wsManager.onJoinRefused = (data) => {
+    showJoinModal(data.message);
+    if (data.code === 'password-required' || data.code === 'wrong-password') {
+      document.getElementById('password-input').focus();
+    }
+  };
+  
+  wsManager.onKicked = (data) => {
+    if (data.deleted) {
+      showJoinModal(`Room ${data.roomId} was deleted`);
+      return;
+    }
+    const action = data.banned ? 'banned you from' : 'removed you from';
+    showJoinModal(`${data.by} ${action} room ${data.roomId}`);
+  };
+  
+  wsManager.onRoleChanged = (data) => {
+    const previousRole = document.getElementById('user-name').dataset.role;
+    const user = wsManager.getCurrentUser();
+    
+    updateUsersList(data.users);
+    updateUserInfo(user);
+    applyRole(user.role);
+    
+    if (user.role !== previousRole) {
+      showNotification(`${data.by} made you ${ROLE_LABELS[user.role].toLowerCase()}`);
     }
   };
   
@@ -92,6 +247,11 @@ function setupWebSocketCallbacks() {
   };
   
   wsManager.onUserLeft = (data) => {
+    // Drop any stroke they left unfinished
+    remoteDrawingState.delete(data.userId);
+    canvasDrawing.removeLiveStroke(data.userId, operationHistory.getVisibleOperations());
+    canvasDrawing.deleteShapePreview(data.userId);
+    
     updateUsersList(data.users);
     showNotification(`${data.username} left the room`);
   };
@@ -99,42 +259,60 @@ function setupWebSocketCallbacks() {
   // Drawing events
   wsManager.onDraw = (data) => {
     // Handle real-time drawing from other users
-    if (!remoteDrawingState.has(data.userId)) {
-      remoteDrawingState.set(data.userId, {});
-    }
-    
-    const state = remoteDrawingState.get(data.userId);
-    
     if (data.type === 'start') {
-      state.lastPoint = data.point;
-      state.tool = data.tool;
-      state.color = data.color;
-      state.lineWidth = data.lineWidth;
-      
-      canvasDrawing.drawRealtimePoint({
-        type: 'start',
-        point: data.point,
+      const stroke = {
         tool: data.tool,
         color: data.color,
-        lineWidth: data.lineWidth
-      });
+        lineWidth: data.lineWidth,
+        smooth: data.smooth,
+        layerId: data.layerId,
+        brush: data.brush,
+        opacity: data.opacity,
+        blend: data.blend,
+        points: [data.point]
+      };
+      remoteDrawingState.set(data.userId, stroke);
+      canvasDrawing.setLiveStroke(data.userId, stroke);
+      canvasDrawing.drawRealtimePoint({ type: 'start', ...stroke });
     } else if (data.type === 'continue') {
-      canvasDrawing.drawRealtimePoint({
-        type: 'continue',
-        point: data.point,
-        previousPoint: state.lastPoint,
-        tool: state.tool,
-        color: state.color,
-        lineWidth: state.lineWidth
-      });
+      const stroke = remoteDrawingState.get(data.userId);
+      if (!stroke) return;
       
-      state.lastPoint = data.point;
+      stroke.points.push(data.point);
+      canvasDrawing.drawRealtimePoint({ type: 'continue', ...stroke });
+    } else if (data.type === 'cancel') {
+      // Abandoned (e.g. turned into a pinch): it will never be committed
+      remoteDrawingState.delete(data.userId);
+      canvasDrawing.removeLiveStroke(data.userId, operationHistory.getVisibleOperations());
+    }
+  };
+  
+  // Another user's shape being dragged out (drawn in the cursor loop)
+  wsManager.onShapePreview = (data) => {
+    if (data.type === 'update') {
+      const { shape, color, lineWidth, fill, start, end } = data;
+      canvasDrawing.setShapePreview(data.userId, { shape, color, lineWidth, fill, start, end });
+    } else {
+      canvasDrawing.deleteShapePreview(data.userId);
     }
   };
   
   wsManager.onOperationAdded = (data) => {
-    // Operation added confirmation (not needed for display as we already drew it)
-    console.log('Operation added to history:', data.id);
+    if (!operationHistory.accept(data.seq)) return;
+    operationHistory.add(data);
+    if (data.type === 'shape') {
+      canvasDrawing.deleteShapePreview(data.userId);
+    }
+    
+    if (Operations.changesEarlier(data)) {
+      // Edits also change (or remove) earlier operations, which may be anywhere
+      canvasDrawing.deleteLiveStroke(liveStrokeKeyFor(data));
+      canvasDrawing.redrawChanges(operationHistory.getVisibleOperations());
+      return;
+    }
+    
+    // Repaint in server order, replacing the live stroke it came from
+    canvasDrawing.reconcileOperation(data, liveStrokeKeyFor(data), operationHistory.getVisibleOperations());
   };
   
   // Cursor events
@@ -144,37 +322,97 @@ function setupWebSocketCallbacks() {
   
   // Undo/Redo events
   wsManager.onUndo = (data) => {
-    console.log('Undo operation:', data);
-    // Redraw canvas from current state
-    const operations = data.operation.id >= 0 ? 
-      wsManager.drawingOperations?.slice(0, data.newIndex + 1) || [] : [];
-    canvasDrawing.redrawFromHistory(operations);
+    if (!operationHistory.accept(data.seq)) return;
+    
+    // Hide only the undone operation; later operations keep their place
+    operationHistory.setUndone(data.operationId, true, data.operation);
+    canvasDrawing.redrawChanges(operationHistory.getVisibleOperations());
     
-    if (data.userId !== wsManager.socket?.id) {
+    if (!isCurrentUser(data.userId)) {
       showNotification(`${data.username} undid an action`);
     }
   };
   
   wsManager.onRedo = (data) => {
-    console.log('Redo operation:', data);
-    // Redraw the operation
-    if (data.operation.type === 'stroke') {
-      canvasDrawing.drawStroke(data.operation);
-    }
+    if (!operationHistory.accept(data.seq)) return;
+    
+    // Restored operation goes back to its original position in history
+    operationHistory.setUndone(data.operationId, false, data.operation);
+    canvasDrawing.redrawChanges(operationHistory.getVisibleOperations());
     
-    if (data.userId !== wsManager.socket?.id) {
+    if (!isCurrentUser(data.userId)) {
       showNotification(`${data.username} redid an action`);
     }
   };
   
   // Clear events
   wsManager.onClear = (data) => {
-    canvasDrawing.clearCanvas();
+    if (!operationHistory.accept(data.seq)) return;
     
-    if (data.userId !== wsManager.socket?.id) {
+    operationHistory.clear();
+    canvasDrawing.redrawFromHistory([]);
+    
+    if (!isCurrentUser(data.userId)) {
       showNotification(`${data.username} cleared the canvas`);
     }
   };
+  
+  // Layer events: visibility only restacks canvases, nothing is redrawn
+  wsManager.onLayersChanged = (data) => {
+    if (!operationHistory.accept(data.seq)) return;
+    
+    operationHistory.setLayers(data.layers);
+    canvasDrawing.setLayers(data.layers);
+    renderLayersList();
+  };
+}
+
+/**
+ * Check whether a user ID belongs to this client
+ */
+function isCurrentUser(userId) {
+  const user = wsManager.getCurrentUser();
+  return !!user && user.id === userId;
+}
+
+/**
+ * Find the key of the live stroke a committed operation replaces
+ */
+function liveStrokeKeyFor(operation) {
+  if (isCurrentUser(operation.userId)) {
+    return operation.clientId || null;
+  }
+  remoteDrawingState.delete(operation.userId);
+  return operation.userId;
+}
+
+/**
+ * Apply one missed change during catch-up (the caller redraws once afterwards)
+ */
+function applyChange(change) {
+  if (!operationHistory.accept(change.seq)) return;
+  
+  switch (change.type) {
+    case 'add':
+      operationHistory.add(change.operation);
+      canvasDrawing.deleteLiveStroke(liveStrokeKeyFor(change.operation));
+      break;
+    case 'undo':
+      operationHistory.setUndone(change.operationId, true);
+      break;
+    case 'redo':
+      operationHistory.setUndone(change.operationId, false, change.operation);
+      break;
+    case 'clear':
+      operationHistory.clear();
+      break;
+    case 'layers':
+      operationHistory.setLayers(change.layers);
+      break;
+    case 'document':
+      operationHistory.setDocument({ width: change.width, height: change.height });
+      break;
+  }
 }
 
 /**
@@ -191,6 +429,41 @@ function setupUIListeners() {
   document.getElementById('room-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleJoinRoom();
   });
+  document.getElementById('password-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleJoinRoom();
+  });
+  
+  // Owner controls in the users list (the list is re-rendered, so delegate)
+  document.getElementById('users-list').addEventListener('change', (e) => {
+    if (e.target.classList.contains('user-role-select')) {
+      wsManager.sendSetRole(e.target.dataset.userId, e.target.value);
+    }
+  });
+  document.getElementById('users-list').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    
+    const ban = button.dataset.action === 'ban';
+    if (!ban || confirm('Ban this user? They will not be able to rejoin the room.')) {
+      wsManager.sendKick(button.dataset.userId, ban);
+    }
+  });
+  
+  // Layers list (re-rendered, so delegate)
+  document.getElementById('layers-list').addEventListener('click', handleLayerAction);
+  document.getElementById('add-layer-btn').addEventListener('click', () => {
+    const name = prompt('Layer name:', `Layer ${operationHistory.layers.length + 1}`);
+    if (name === null || !name.trim()) return;
+    
+    wsManager.sendLayerAdd(name.trim(), (response) => {
+      if (response.ok) {
+        canvasDrawing.setActiveLayer(response.layerId);
+        renderLayersList();
+      } else {
+        showNotification(`Layer not added (${response.message || response.reason})`);
+      }
+    });
+  });
   
   // Tool buttons
   document.getElementById('brush-tool').addEventListener('click', () => {
@@ -199,21 +472,106 @@ function setupUIListeners() {
   document.getElementById('eraser-tool').addEventListener('click', () => {
     setTool('eraser');
   });
+  document.getElementById('object-eraser-tool').addEventListener('click', () => {
+    setTool('object-eraser');
+  });
+  document.getElementById('fill-tool').addEventListener('click', () => {
+    setTool('fill');
+  });
+  document.getElementById('text-tool').addEventListener('click', () => {
+    setTool('text');
+  });
+  document.getElementById('select-tool').addEventListener('click', () => {
+    setTool('select');
+  });
+  Object.values(SHAPE_SHORTCUTS).forEach(shape => {
+    document.getElementById(`${shape}-tool`).addEventListener('click', () => {
+      setTool(shape);
+    });
+  });
+  
+  // View: zoom out, fit the document (the zoom level) and zoom in
+  document.getElementById('zoom-out-btn').addEventListener('click', () => {
+    canvasDrawing.zoomBy(1 / ZOOM_STEP);
+  });
+  document.getElementById('zoom-reset-btn').addEventListener('click', () => {
+    canvasDrawing.fitDocument();
+  });
+  document.getElementById('zoom-in-btn').addEventListener('click', () => {
+    canvasDrawing.zoomBy(ZOOM_STEP);
+  });
+  
+  // Shape fill
+  document.getElementById('fill-shapes').addEventListener('change', (e) => {
+    canvasDrawing.setFillShapes(e.target.checked);
+  });
+  
+  // Stroke smoothing
+  document.getElementById('smooth-strokes').addEventListener('change', (e) => {
+    canvasDrawing.setSmoothStrokes(e.target.checked);
+  });
+  
+  // Image import: file picker, paste, or drop onto the canvas
+  const imageInput = document.getElementById('image-input');
+  document.getElementById('image-tool').addEventListener('click', () => imageInput.click());
+  imageInput.addEventListener('change', () => {
+    if (imageInput.files[0]) handleImageFile(imageInput.files[0]);
+    imageInput.value = '';
+  });
+  
+  document.addEventListener('paste', (e) => {
+    const item = Array.from(e.clipboardData.items).find(entry => entry.type.startsWith('image/'));
+    if (item) {
+      e.preventDefault();
+      handleImageFile(item.getAsFile());
+    }
+  });
+  
+  const canvasElement = document.getElementById('drawing-canvas');
+  canvasElement.addEventListener('dragover', (e) => e.preventDefault());
+  canvasElement.addEventListener('drop', (e) => {
+    const file = Array.from(e.dataTransfer.files).find(entry => entry.type.startsWith('image/'));
+    if (!file) return;
+    
+    e.preventDefault();
+    handleImageFile(file, canvasDrawing.getMousePos(e));
+  });
   
   // Color picker
   document.getElementById('color-picker').addEventListener('input', (e) => {
     canvasDrawing.setColor(e.target.value);
   });
+  // Recolor the selection once a color is picked (not on every step of the picker)
+  document.getElementById('color-picker').addEventListener('change', (e) => {
+    canvasDrawing.recolorSelection(e.target.value);
+  });
   
   // Preset colors
   document.querySelectorAll('.color-preset').forEach(preset => {
     preset.addEventListener('click', () => {
       const color = preset.dataset.color;
       canvasDrawing.setColor(color);
+      canvasDrawing.recolorSelection(color);
       document.getElementById('color-picker').value = color;
     });
   });
   
+  // Brush type (picking one switches to the brush), opacity and blend mode
+  document.getElementById('brush-type').addEventListener('change', (e) => {
+    canvasDrawing.setBrush(e.target.value);
+    setTool('brush');
+  });
+  
+  document.getElementById('brush-opacity').addEventListener('input', (e) => {
+    const opacity = parseInt(e.target.value);
+    canvasDrawing.setOpacity(opacity / 100);
+    document.getElementById('brush-opacity-value').textContent = `${opacity}%`;
+  });
+  
+  document.getElementById('blend-mode').addEventListener('change', (e) => {
+    canvasDrawing.setBlendMode(e.target.value);
+  });
+  
   // Brush size
   document.getElementById('brush-size').addEventListener('input', (e) => {
     const size = parseInt(e.target.value);
@@ -221,6 +579,20 @@ function setupUIListeners() {
     updateBrushPreview(size);
   });
   
+  // How far a fill spreads
+  document.getElementById('fill-tolerance').addEventListener('input', (e) => {
+    const tolerance = parseInt(e.target.value);
+    canvasDrawing.setFillTolerance(tolerance);
+    document.getElementById('fill-tolerance-value').textContent = `${tolerance}%`;
+  });
+  
+  // Font size for new text
+  document.getElementById('font-size').addEventListener('input', (e) => {
+    const size = parseInt(e.target.value);
+    canvasDrawing.setFontSize(size);
+    document.getElementById('font-size-value').textContent = `${size}px`;
+  });
+  
   // Action buttons
   document.getElementById('undo-btn').addEventListener('click', () => {
     wsManager.sendUndo();
@@ -238,6 +610,22 @@ function setupUIListeners() {
   
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
+    // Typing in a form field isn't a shortcut
+    if (e.target.matches('input, textarea, select')) return;
+    
+    // Escape: stop placing an image, or deselect
+    if (e.key === 'Escape' && canvasDrawing.isPlacingImage()) {
+      canvasDrawing.cancelImagePlacement();
+    } else if (e.key === 'Escape') {
+      canvasDrawing.clearSelection();
+    }
+    
+    // Delete or Backspace: delete the selection
+    if ((e.key === 'Delete' || e.key === 'Backspace') && canvasDrawing.hasSelection()) {
+      e.preventDefault();
+      canvasDrawing.deleteSelection();
+    }
+    
     // Ctrl+Z: Undo
     if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
       e.preventDefault();
@@ -250,14 +638,47 @@ function setupUIListeners() {
       wsManager.sendRedo();
     }
     
+    // Ctrl+= / Ctrl+-: Zoom in / out, Ctrl+0: fit the document
+    if ((e.ctrlKey || e.metaKey) && (e.key === '=' || e.key === '+')) {
+      e.preventDefault();
+      canvasDrawing.zoomBy(ZOOM_STEP);
+    } else if ((e.ctrlKey || e.metaKey) && e.key === '-') {
+      e.preventDefault();
+      canvasDrawing.zoomBy(1 / ZOOM_STEP);
+    } else if ((e.ctrlKey || e.metaKey) && e.key === '0') {
+      e.preventDefault();
+      canvasDrawing.fitDocument();
+    }
+    
     // B: Brush tool
     if (e.key === 'b' || e.key === 'B') {
       setTool('brush');
     }
     
-    // E: Eraser tool
+    // E: Eraser tool, Shift+E: Object eraser
     if (e.key === 'e' || e.key === 'E') {
-      setTool('eraser');
+      setTool(e.shiftKey ? 'object-eraser' : 'eraser');
+    }
+    
+    // G: Fill tool
+    if ((e.key === 'g' || e.key === 'G') && !e.ctrlKey && !e.metaKey) {
+      setTool('fill');
+    }
+    
+    // T: Text tool
+    if ((e.key === 't' || e.key === 'T') && !e.ctrlKey && !e.metaKey) {
+      setTool('text');
+    }
+    
+    // V: Select tool (Ctrl+V still pastes)
+    if ((e.key === 'v' || e.key === 'V') && !e.ctrlKey && !e.metaKey) {
+      setTool('select');
+    }
+    
+    // L, R, O, A: Line, rectangle, ellipse and arrow tools
+    const shape = SHAPE_SHORTCUTS[e.key.toLowerCase()];
+    if (shape && !e.ctrlKey && !e.metaKey) {
+      setTool(shape);
     }
   });
   
@@ -271,13 +692,72 @@ function setupUIListeners() {
 function handleJoinRoom() {
   const username = document.getElementById('username-input').value.trim() || 'Guest';
   const roomId = document.getElementById('room-input').value.trim() || 'default';
+  const password = document.getElementById('password-input').value || null;
   
   currentRoom = roomId;
-  wsManager.joinRoom(roomId, username);
+  wsManager.joinRoom(roomId, username, password);
+  
+  // A new room opens fitted to its document (whatever size it turns out to be)
+  canvasDrawing.fitDocument();
   
   document.getElementById('room-name').textContent = `Room: ${roomId}`;
 }
 
+/**
+ * Upload an image and add it to the canvas
+ * Dropped images go where they were dropped; others are placed with the pointer
+ */
+async function handleImageFile(file, dropPosition = null) {
+  const user = wsManager.getCurrentUser();
+  if (!wsManager.isConnected() || !user || user.role === 'viewer') {
+    showNotification(wsManager.isConnected() ? "Your role (viewer) can't add images" : "Can't add images while offline");
+    return;
+  }
+  if (!canvasDrawing.checkActiveLayer()) return;
+  if (file.size > MAX_IMAGE_BYTES) {
+    showNotification(`Images must be smaller than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+    return;
+  }
+  
+  let bitmap;
+  let uploaded;
+  try {
+    // Decode first so unreadable files never reach the server
+    bitmap = await createImageBitmap(file);
+    uploaded = await wsManager.uploadImage(file);
+  } catch (error) {
+    showNotification(`Image not added: ${error.message}`);
+    return;
+  }
+  canvasDrawing.imageStore.add(uploaded.id, bitmap);
+  
+  const place = (rect) => {
+    const data = {
+      clientId: canvasDrawing.generateOperationId(),
+      imageId: uploaded.id,
+      layerId: canvasDrawing.getActiveLayerId(),
+      ...rect
+    };
+    wsManager.sendImageAdd(data, (response) => {
+      if (!response.ok) {
+        showNotification(`Image not added (${response.message || response.reason})`);
+      }
+    });
+  };
+  
+  if (dropPosition) {
+    const size = canvasDrawing.getDefaultImageSize(bitmap);
+    place({
+      x: Math.round(dropPosition.x - size.width / 2),
+      y: Math.round(dropPosition.y - size.height / 2),
+      ...size
+    });
+  } else {
+    canvasDrawing.startImagePlacement(bitmap, place);
+    showNotification('Click to place the image, or drag to size it (Esc to cancel)');
+  }
+}
+
 /**
  * Set current tool
  */
@@ -289,11 +769,7 @@ function setTool(tool) {
     btn.classList.remove('active');
   });
   
-  if (tool === 'brush') {
-    document.getElementById('brush-tool').classList.add('active');
-  } else if (tool === 'eraser') {
-    document.getElementById('eraser-tool').classList.add('active');
-  }
+  document.getElementById(`${tool}-tool`).classList.add('active');
 }
 
 /**
@@ -309,6 +785,13 @@ function updateBrushPreview(size) {
   sizeValue.textContent = `${size}px`;
 }
 
+/**
+ * Show the zoom level on the fit button
+ */
+function updateZoomLevel(zoom) {
+  document.getElementById('zoom-reset-btn').textContent = `${Math.round(zoom * 100)}%`;
+}
+
 /**
  * Update connection status
  */
@@ -327,13 +810,130 @@ function updateConnectionStatus(connected) {
   }
 }
 
+/**
+ * Update the number of events waiting to be sent
+ */
+function updatePendingCount(count) {
+  const pendingEl = document.getElementById('pending-count');
+  
+  pendingEl.textContent = `${count} queued`;
+  pendingEl.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Update the real-time stroke data sent, with the saving over one JSON event per point
+ */
+function updateDrawBandwidth({ events, bytes, jsonBytes }) {
+  const bandwidthEl = document.getElementById('draw-bandwidth');
+  if (events === 0) {
+    bandwidthEl.textContent = '-';
+    return;
+  }
+  
+  const size = bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+  const saving = Math.round((1 - bytes / jsonBytes) * 100);
+  bandwidthEl.textContent = saving > 0 ? `${size} (−${saving}%)` : size;
+}
+
 /**
  * Update user info
  */
 function updateUserInfo(user) {
-  document.getElementById('user-name').textContent = `User: ${user.username}`;
-  document.getElementById('user-name').style.background = user.color;
-  document.getElementById('user-name').style.color = 'white';
+  const userName = document.getElementById('user-name');
+  userName.textContent = `User: ${user.username} (${ROLE_LABELS[user.role]})`;
+  userName.dataset.role = user.role;
+  userName.style.background = user.color;
+  userName.style.color = 'white';
+}
+
+/**
+ * Enable only the controls the user's role allows (the server enforces it regardless)
+ */
+function applyRole(role) {
+  const canEdit = role === 'owner' || role === 'editor';
+  
+  canvasDrawing.setReadOnly(!canEdit);
+  document.getElementById('image-tool').disabled = !canEdit;
+  document.getElementById('undo-btn').disabled = !canEdit;
+  document.getElementById('redo-btn').disabled = !canEdit;
+  document.getElementById('clear-btn').disabled = role !== 'owner';
+  document.getElementById('add-layer-btn').disabled = !canEdit;
+  renderLayersList();
+}
+
+/**
+ * Render the layers list, top layer first
+ * Names are set as text since anyone can pick them
+ */
+function renderLayersList() {
+  const layersList = document.getElementById('layers-list');
+  const user = wsManager.getCurrentUser();
+  const canEdit = !!user && user.role !== 'viewer';
+  const layers = operationHistory.layers;
+  const activeLayerId = canvasDrawing.getActiveLayerId();
+  
+  layersList.innerHTML = layers.map((layer, index) => `
+    <div class="layer-item ${layer.id === activeLayerId ? 'active' : ''}" data-layer-id="${layer.id}">
+      <button class="layer-btn" data-action="visible" title="${layer.visible ? 'Hide' : 'Show'}" ${canEdit ? '' : 'disabled'}>${layer.visible ? '👁' : '—'}</button>
+      <button class="layer-btn" data-action="locked" title="${layer.locked ? 'Unlock' : 'Lock'}" ${canEdit ? '' : 'disabled'}>${layer.locked ? '🔒' : '🔓'}</button>
+      <span class="layer-name" data-action="select" title="Click to draw on it, double-click to rename"></span>
+      <button class="layer-btn" data-action="up" title="Move up" ${canEdit && index < layers.length - 1 ? '' : 'disabled'}>▲</button>
+      <button class="layer-btn" data-action="down" title="Move down" ${canEdit && index > 0 ? '' : 'disabled'}>▼</button>
+    </div>
+  `).reverse().join('');
+  
+  layersList.querySelectorAll('.layer-name').forEach(nameEl => {
+    const layerId = Number(nameEl.parentElement.dataset.layerId);
+    nameEl.textContent = layers.find(layer => layer.id === layerId).name;
+  });
+}
+
+/**
+ * Handle a click in the layers list
+ */
+function handleLayerAction(e) {
+  const target = e.target.closest('[data-action]');
+  if (!target || target.disabled) return;
+  
+  const layerId = Number(target.closest('.layer-item').dataset.layerId);
+  const index = operationHistory.layers.findIndex(layer => layer.id === layerId);
+  const layer = operationHistory.layers[index];
+  
+  switch (target.dataset.action) {
+    case 'select':
+      if (e.detail === 2) {
+        renameLayer(layer);
+      } else {
+        canvasDrawing.setActiveLayer(layerId);
+        renderLayersList();
+      }
+      break;
+    case 'visible':
+      wsManager.sendLayerUpdate(layerId, { visible: !layer.visible });
+      break;
+    case 'locked':
+      wsManager.sendLayerUpdate(layerId, { locked: !layer.locked });
+      break;
+    case 'up':
+      wsManager.sendLayerMove(layerId, index + 1);
+      break;
+    case 'down':
+      wsManager.sendLayerMove(layerId, index - 1);
+      break;
+  }
+}
+
+/**
+ * Ask for a new layer name
+ */
+function renameLayer(layer) {
+  const user = wsManager.getCurrentUser();
+  if (!user || user.role === 'viewer') return;
+  
+  const name = prompt('Rename layer:', layer.name);
+  if (name !== null && name.trim() && name.trim() !== layer.name) {
+    wsManager.sendLayerUpdate(layer.id, { name: name.trim() });
+  }
 }
 
 /**
@@ -342,29 +942,92 @@ function updateUserInfo(user) {
 function updateUsersList(users) {
   const usersList = document.getElementById('users-list');
   const userCount = document.getElementById('user-count');
+  const currentUser = wsManager.getCurrentUser();
+  const isOwner = !!currentUser && currentUser.role === 'owner';
   
   userCount.textContent = users.length;
   
-  usersList.innerHTML = users.map(user => `
-    <div class="user-item">
-      <div class="user-color-dot" style="background: ${user.color};"></div>
-      <span class="user-name">${user.username}</span>
-    </div>
-  `).join('');
+  // Built from nodes: usernames are user input and go in as text only
+  usersList.replaceChildren(...users.map(user => {
+    const item = document.createElement('div');
+    item.className = 'user-item';
+    
+    const dot = document.createElement('div');
+    dot.className = 'user-color-dot';
+    dot.style.background = user.color;
+    
+    const name = document.createElement('span');
+    name.className = 'user-name';
+    name.textContent = user.username;
+    
+    item.append(dot, name, ...(isOwner && user.id !== currentUser.id ? createOwnerControls(user) : [createRoleBadge(user)]));
+    return item;
+  }));
 }
 
 /**
- * Show notification
+ * Badge with a user's role
+ */
+function createRoleBadge(user) {
+  const badge = document.createElement('span');
+  badge.className = `role-badge role-${user.role}`;
+  badge.textContent = ROLE_LABELS[user.role];
+  return badge;
+}
+
+/**
+ * Role picker and kick/ban buttons the owner sees for other users
+ */
+function createOwnerControls(user) {
+  const select = document.createElement('select');
+  select.className = 'user-role-select';
+  select.dataset.userId = user.id;
+  select.title = 'Change role';
+  Object.keys(ROLE_LABELS).forEach(role => {
+    select.add(new Option(ROLE_LABELS[role], role, false, role === user.role));
+  });
+  
+  const buttons = [
+    { action: 'kick', label: '✕', title: 'Kick', className: 'user-action-btn' },
+    { action: 'ban', label: '⛔', title: 'Ban', className: 'user-action-btn danger' }
+  ].map(({ action, label, title, className }) => {
+    const button = document.createElement('button');
+    button.className = className;
+    button.dataset.action = action;
+    button.dataset.userId = user.id;
+    button.title = title;
+    button.textContent = label;
+    return button;
+  });
+  
+  return [select, ...buttons];
+}
+
+/**
+ * Show a message in a toast over the canvas for a few seconds (the oldest
+ * goes first when too many are shown)
  */
 function showNotification(message) {
-  console.log('Notification:', message);
-  // Could be enhanced with a toast notification system
+  const container = document.getElementById('notifications');
+  const toast = document.createElement('div');
+  toast.className = 'notification';
+  toast.textContent = message;
+  container.appendChild(toast);
+  
+  while (container.children.length > MAX_NOTIFICATIONS) {
+    container.firstElementChild.remove();
+  }
+  setTimeout(() => toast.remove(), NOTIFICATION_DURATION);
 }
 
 /**
- * Show join modal
+ * Show join modal, optionally explaining why the last join failed
  */
-function showJoinModal() {
+function showJoinModal(message = '') {
+  const joinError = document.getElementById('join-error');
+  joinError.textContent = message;
+  joinError.classList.toggle('hidden', !message);
+  
   document.getElementById('join-modal').classList.remove('hidden');
 }
 
@@ -390,9 +1053,23 @@ function startUIUpdates() {
     document.getElementById('latency').textContent = latency > 0 ? `${latency}ms` : '-';
   }, 1000);
   
+  // Update real-time stroke bandwidth
+  setInterval(() => {
+    updateDrawBandwidth(wsManager.getDrawStats());
+  }, 1000);
+  
+  // Update queued (offline) event count
+  setInterval(() => {
+    updatePendingCount(wsManager.getQueuedCount());
+  }, 500);
+  
   // Update remote cursors
   function updateCursors() {
     canvasDrawing.clearCursors();
+    canvasDrawing.drawPendingMarkers();
+    canvasDrawing.drawShapePreviews();
+    canvasDrawing.drawSelection();
+    canvasDrawing.drawImagePlacement();
     
     const remoteCursors = wsManager.getRemoteCursors();
     remoteCursors.forEach((data, userId) => {
@@ -0,0 +1,160 @@
+/**
+ * Offline Queue
+ * Holds strokes and commands made while disconnected, persisted in IndexedDB
+ * so they survive a page refresh, and hands them back in order for replay
+ *
+ * The database is shared by every tab of the origin but sessions are per tab
+ * (sessionStorage), so each item records the session it was made in and only
+ * that session's items are restored and replayed.
+ */
+
+class OfflineQueue {
+  /**
+   * @param {string|null} sessionToken - Session of this tab, null until the server issues one
+   * @param {string} dbName - IndexedDB database name
+   */
+  constructor(sessionToken, dbName = 'collaborative-canvas') {
+    this.sessionToken = sessionToken;
+    this.dbName = dbName;
+    this.storeName = 'outbox';
+    this.db = null;
+    this.items = []; // {key, sessionToken, roomId, event, data, restored} of this tab, in the order they were made
+
+    // Resolves once items persisted by a previous page load are available
+    this.ready = this.open();
+  }
+
+  /**
+   * Open the database and load queued items
+   * Falls back to an in-memory queue if IndexedDB is unavailable
+   */
+  open() {
+    return new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve();
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'key', autoIncrement: true });
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        const getAll = this.db.transaction(this.storeName).objectStore(this.storeName).getAll();
+        getAll.onsuccess = () => {
+          // Stored items were made before anything queued during this page load
+          // (other tabs' items stay stored for them)
+          const restored = getAll.result
+            .filter(item => this.sessionToken && item.sessionToken === this.sessionToken)
+            .map(item => ({ ...item, restored: true }));
+          this.items = restored.concat(this.items);
+          resolve();
+        };
+        getAll.onerror = () => resolve();
+      };
+
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, offline queue will not survive a refresh');
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Queue an outbound event
+   */
+  enqueue(roomId, event, data) {
+    const item = { sessionToken: this.sessionToken, roomId, event, data };
+    this.items.push(item);
+    this.persist(item);
+    return item;
+  }
+
+  /**
+   * Write an item to IndexedDB
+   */
+  persist(item) {
+    if (!this.db) {
+      // Still opening: write once it's ready
+      this.ready.then(() => {
+        if (this.db && !item.removed) this.persist(item);
+      });
+      return;
+    }
+
+    const { sessionToken } = item;
+    const request = this.db.transaction(this.storeName, 'readwrite')
+      .objectStore(this.storeName)
+      .add({ sessionToken, roomId: item.roomId, event: item.event, data: item.data });
+
+    request.onsuccess = () => {
+      item.key = request.result;
+      if (item.removed) {
+        // Replayed before the write finished
+        this.deleteStored(item.key);
+      } else if (item.sessionToken !== sessionToken) {
+        // The session changed before the write finished
+        this.updateStored(item);
+      }
+    };
+  }
+
+  /**
+   * Rewrite a stored item (it has its key)
+   */
+  updateStored(item) {
+    if (!this.db) return;
+    this.db.transaction(this.storeName, 'readwrite').objectStore(this.storeName)
+      .put({ key: item.key, sessionToken: item.sessionToken, roomId: item.roomId, event: item.event, data: item.data });
+  }
+
+  /**
+   * Take the session the server issued this tab: what the tab queued (under
+   * the one it had, if any) is now that session's
+   * @param {string} sessionToken - Session token
+   */
+  setSession(sessionToken) {
+    if (sessionToken === this.sessionToken) return;
+
+    this.sessionToken = sessionToken;
+    this.items.forEach(item => {
+      item.sessionToken = sessionToken;
+      if (item.key !== undefined) this.updateStored(item);
+    });
+  }
+
+  /**
+   * Remove and return all of this session's queued items for a room, oldest first
+   */
+  takeForRoom(roomId) {
+    const belongs = item => item.roomId === roomId && item.sessionToken === this.sessionToken;
+    const taken = this.items.filter(belongs);
+    this.items = this.items.filter(item => !belongs(item));
+
+    taken.forEach(item => {
+      item.removed = true;
+      if (item.key !== undefined) this.deleteStored(item.key);
+    });
+
+    return taken;
+  }
+
+  /**
+   * Delete an item from IndexedDB
+   */
+  deleteStored(key) {
+    if (!this.db) return;
+    this.db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).delete(key);
+  }
+
+  /**
+   * Number of items waiting for a connection
+   */
+  size() {
+    return this.items.length;
+  }
+}
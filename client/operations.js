@@ -0,0 +1,140 @@
+/**
+ * Operation Resolution
+ * Turns a room's visible history into what is actually drawn, for the canvas
+ * and the server's exporter alike:
+ * - an edited text is only drawn as its newest visible version
+ * - `transform` operations move, scale or recolor earlier operations
+ * - `delete` operations remove earlier operations
+ * Each operation is drawn on its layer (see getLayerId); layers are stacked
+ * by whoever draws them.
+ * Edits never change the operations they refer to, so undoing one restores
+ * what was there before.
+ */
+
+const Operations = {
+  /**
+   * Get the operations to draw, in drawing order
+   * @param {Array} operations - Visible (not undone) operations in history order
+   * @param {WeakMap} [copies] - Transformed copies made so far, reused so that
+   *   resolving the same history again gives the very same objects
+   * @returns {Array} - Operations to draw
+   */
+  resolve(operations, copies) {
+    // History order means the last version seen is the newest
+    const newest = new Map(); // text ID -> operation ID of its newest version
+    operations.forEach(op => {
+      if (op.type === 'text') {
+        newest.set(this.getTextId(op), op.id);
+      }
+    });
+
+    // Edited operations keep their place in the drawing order (Map insertion order)
+    const drawn = new Map(); // operation ID -> operation as drawn
+    operations.forEach(op => {
+      if (op.type === 'transform' || op.type === 'delete') {
+        op.targetIds.forEach(id => {
+          const target = drawn.get(id);
+          if (!target) return;
+
+          if (op.type === 'delete') {
+            drawn.delete(id);
+          } else {
+            drawn.set(id, this.getTransformed(target, op, copies));
+          }
+        });
+      } else if (op.type !== 'text' || newest.get(this.getTextId(op)) === op.id) {
+        drawn.set(op.id, op);
+      }
+    });
+
+    return Array.from(drawn.values());
+  },
+
+  /**
+   * An operation with a transform applied, reusing the copy made before if there is one
+   * @param {WeakMap} [copies] - operation -> WeakMap of transform -> transformed copy
+   */
+  getTransformed(operation, transform, copies) {
+    if (!copies) return this.transformOperation(operation, transform);
+
+    let byTransform = copies.get(operation);
+    if (!byTransform) {
+      byTransform = new WeakMap();
+      copies.set(operation, byTransform);
+    }
+    if (!byTransform.has(transform)) {
+      byTransform.set(transform, this.transformOperation(operation, transform));
+    }
+    return byTransform.get(transform);
+  },
+
+  /**
+   * Apply a transform ({scaleX, scaleY, translateX, translateY, color?}) to an operation
+   * Line widths are kept; text is scaled by its font size (height) and width
+   * @returns {Object} - Transformed copy
+   */
+  transformOperation(operation, transform) {
+    const map = point => ({
+      x: point.x * transform.scaleX + transform.translateX,
+      y: point.y * transform.scaleY + transform.translateY
+    });
+
+    const result = { ...operation };
+    if (transform.color && operation.type !== 'image') {
+      result.color = transform.color;
+    }
+
+    switch (operation.type) {
+      case 'stroke':
+        // Points keep their pressure and tilt
+        result.points = operation.points.map(point => ({ ...point, ...map(point) }));
+        break;
+      case 'shape':
+        result.start = map(operation.start);
+        result.end = map(operation.end);
+        break;
+      case 'text':
+        Object.assign(result, map(operation));
+        result.fontSize = operation.fontSize * transform.scaleY;
+        result.width = operation.width * transform.scaleX;
+        break;
+      case 'image':
+        Object.assign(result, map(operation));
+        result.width = operation.width * transform.scaleX;
+        result.height = operation.height * transform.scaleY;
+        break;
+    }
+    return result;
+  },
+
+  /**
+   * Check whether an operation changes how earlier operations are drawn (text
+   * edits, transforms and deletes), so more than its own area needs repainting
+   */
+  changesEarlier(operation) {
+    return operation.type === 'transform' || operation.type === 'delete' ||
+      (operation.type === 'text' && operation.editOf !== undefined);
+  },
+
+  // Layer of operations recorded before rooms had layers (the bottom one)
+  DEFAULT_LAYER_ID: 0,
+
+  /**
+   * ID of the layer an operation is drawn on
+   */
+  getLayerId(operation) {
+    return operation.layerId !== undefined ? operation.layerId : this.DEFAULT_LAYER_ID;
+  },
+
+  /**
+   * ID shared by every version of a text: the ID of the original
+   */
+  getTextId(operation) {
+    return operation.editOf !== undefined ? operation.editOf : operation.id;
+  }
+};
+
+// The server's exporter resolves history the same way (loaded with require())
+if (typeof module !== 'undefined') {
+  module.exports = Operations;
+}
@@ -0,0 +1,205 @@
+/**
+ * Render Cache
+ * Keeps repaints after undo, redo and edits proportional to what changed
+ * rather than to the size of the board
+ *
+ * It remembers the operations the layer canvases were last painted from, so
+ * a new history can be compared with them: an operation that comes or goes
+ * marks its bounds dirty (unchanged operations are the same objects, see
+ * Operations.resolve), and so does every fill after it on its layer, whose
+ * pixels depend on what is drawn before it. A spatial index of their bounds finds what to repaint
+ * in a dirty region. Along a full repaint it also snapshots the layer
+ * canvases every CHECKPOINT_INTERVAL operations, so a change far from the
+ * start of history can be repainted from the latest checkpoint before it.
+ *
+ * Checkpoints hold pixels of one view: they are dropped when the view (pan,
+ * zoom or canvas size) changes.
+ */
+
+// Operations between checkpoints, and how many (the latest ones) are kept
+const CHECKPOINT_INTERVAL = 250;
+const MAX_CHECKPOINTS = 3;
+
+class RenderCache {
+  constructor() {
+    this.operations = []; // What the layer canvases were last painted from, in drawing order
+    this.index = new SpatialIndex(); // Bounds of those
+    this.bounds = new WeakMap(); // operation -> bounds (operations never change)
+
+    this.checkpoints = []; // [{count, operations, images: Map of layer ID -> canvas}], oldest first
+    this.checkpointView = null; // View the checkpoints were taken in (see CanvasDrawing.getViewKey)
+    this.spareCanvases = []; // Canvases of dropped checkpoints, reused for new ones
+  }
+
+  /**
+   * Get an operation's bounds, worked out once per operation
+   */
+  getBounds(operation) {
+    if (!this.bounds.has(operation)) {
+      this.bounds.set(operation, Geometry.getOperationBounds(operation));
+    }
+    return this.bounds.get(operation);
+  }
+
+  /**
+   * Take the operations the layer canvases now show (or are about to)
+   * @param {Array} operations - Resolved visible history, in drawing order
+   * @returns {Array} - Regions that differ from what they showed before: the
+   *   bounds of every operation added or removed (a changed operation is both)
+   *   and of the fills that depend on them
+   */
+  sync(operations) {
+    const previous = this.operations;
+    if (operations === previous) return [];
+    this.operations = operations;
+
+    // Usually an operation was added at the end: the index only needs the new ones
+    const appended = previous.length <= operations.length &&
+      previous.every((operation, i) => operation === operations[i]);
+    if (appended) {
+      const added = operations.slice(previous.length);
+      added.forEach(operation => this.index.add(operation, this.getBounds(operation)));
+      return added.map(operation => this.getBounds(operation)).filter(Boolean);
+    }
+
+    this.index.clear();
+    operations.forEach(operation => this.index.add(operation, this.getBounds(operation)));
+
+    const before = new Set(previous);
+    const after = new Set(operations);
+    const removed = new Set(previous.filter(operation => !after.has(operation)));
+    const added = new Set(operations.filter(operation => !before.has(operation)));
+    return [
+      ...removed,
+      ...added,
+      ...this.getDependentFills(previous, removed),
+      ...this.getDependentFills(operations, added)
+    ].map(operation => this.getBounds(operation)).filter(Boolean);
+  }
+
+  /**
+   * Find the fills whose pixels depend on changed operations: a fill floods
+   * what is drawn before it on its layer, so any that comes after one of them
+   * there has to be repainted as a whole
+   * @param {Array} operations - Operations in drawing order
+   * @param {Set} changed - Those of them that changed
+   * @returns {Array} - The fills after a changed operation on their layer (not changed themselves)
+   */
+  getDependentFills(operations, changed) {
+    if (changed.size === 0) return [];
+
+    const changedLayers = new Set();
+    return operations.filter(operation => {
+      const layerId = Operations.getLayerId(operation);
+      if (changed.has(operation)) {
+        changedLayers.add(layerId);
+        return false;
+      }
+      return operation.type === 'fill' && changedLayers.has(layerId);
+    });
+  }
+
+  /**
+   * Find the synced operations whose bounds intersect a region, in drawing order
+   */
+  query(bounds) {
+    return this.index.query(bounds);
+  }
+
+  /**
+   * Check whether a checkpoint is due after the first `count` of `total` operations
+   * (only the last MAX_CHECKPOINTS would be kept, so earlier ones aren't taken)
+   */
+  isCheckpointDue(count, total) {
+    return count % CHECKPOINT_INTERVAL === 0 && count > total - CHECKPOINT_INTERVAL * MAX_CHECKPOINTS;
+  }
+
+  /**
+   * Snapshot the layer canvases, which show exactly the first `count` operations
+   * @param {Array} operations - Synced operations
+   * @param {number} count - How many of them are drawn
+   * @param {string} view - Key of the view they are drawn in
+   * @param {Map} layerCanvases - layer ID -> {canvas, ctx}
+   * @param {Set} layerIds - Layers anything is drawn on (the others are blank)
+   */
+  addCheckpoint(operations, count, view, layerCanvases, layerIds) {
+    if (view !== this.checkpointView) {
+      this.clearCheckpoints();
+      this.checkpointView = view;
+    }
+
+    // Checkpoints from here on are of another history (or this one again)
+    this.checkpoints.filter(checkpoint => checkpoint.count >= count).forEach(checkpoint => this.dropCheckpoint(checkpoint));
+
+    const images = new Map();
+    layerIds.forEach(layerId => {
+      const layer = layerCanvases.get(layerId);
+      if (!layer) return;
+
+      const image = this.spareCanvases.pop() || document.createElement('canvas');
+      image.width = layer.canvas.width;
+      image.height = layer.canvas.height;
+      image.getContext('2d').drawImage(layer.canvas, 0, 0);
+      images.set(layerId, image);
+    });
+    this.checkpoints.push({ count, operations: operations.slice(0, count), images });
+
+    while (this.checkpoints.length > MAX_CHECKPOINTS) {
+      this.dropCheckpoint(this.checkpoints[0]);
+    }
+  }
+
+  /**
+   * Find the latest checkpoint whose operations still start the history
+   * @param {Array} operations - Resolved visible history, in drawing order
+   * @param {string} view - Key of the current view
+   * @returns {Object|null} - The checkpoint, or null if none is of use
+   */
+  findCheckpoint(operations, view) {
+    if (view !== this.checkpointView) return null;
+
+    for (let i = this.checkpoints.length - 1; i >= 0; i--) {
+      const checkpoint = this.checkpoints[i];
+      if (checkpoint.count <= operations.length &&
+          checkpoint.operations.every((operation, j) => operation === operations[j])) {
+        return checkpoint;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put a checkpoint's pixels back on the layer canvases (layers it has none for are cleared)
+   */
+  restoreCheckpoint(checkpoint, layerCanvases) {
+    layerCanvases.forEach(({ canvas, ctx }, layerId) => {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const image = checkpoint.images.get(layerId);
+      if (image) {
+        ctx.drawImage(image, 0, 0);
+      }
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Forget a checkpoint, keeping its canvases for the next one
+   */
+  dropCheckpoint(checkpoint) {
+    this.checkpoints = this.checkpoints.filter(kept => kept !== checkpoint);
+    this.spareCanvases.push(...checkpoint.images.values());
+    this.spareCanvases.length = Math.min(this.spareCanvases.length, MAX_CHECKPOINTS);
+  }
+
+  /**
+   * Forget every checkpoint (and the memory they hold)
+   */
+  clearCheckpoints() {
+    this.checkpoints = [];
+    this.spareCanvases = [];
+  }
+}
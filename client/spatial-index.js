@@ -0,0 +1,116 @@
+/**
+ * Spatial Index
+ * Finds the operations whose bounds touch a region without looking at every
+ * operation: each one is filed under the cells of a grid its bounding box covers
+ *
+ * Operations are numbered by their place in the drawing order, and queries
+ * return them in that order, so a region can be repainted straight from the result.
+ */
+
+// Side of a grid cell, in world units
+const INDEX_CELL_SIZE = 256;
+
+// Operations covering more cells than this (fills, huge images) aren't filed
+// under cells; every query checks them instead
+const INDEX_MAX_CELLS = 64;
+
+class SpatialIndex {
+  constructor() {
+    this.entries = []; // place in the drawing order -> {operation, bounds}
+    this.cells = new Map(); // 'column,row' -> places of the operations touching the cell
+    this.large = []; // places of the operations covering too many cells
+  }
+
+  /**
+   * Forget every operation
+   */
+  clear() {
+    this.entries = [];
+    this.cells.clear();
+    this.large = [];
+  }
+
+  /**
+   * Number of operations filed
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * File an operation after those already filed
+   * @param {Object} operation - The operation
+   * @param {Object|null} bounds - Its bounds (null if it draws nothing)
+   */
+  add(operation, bounds) {
+    const place = this.entries.length;
+    this.entries.push({ operation, bounds });
+    if (!bounds) return;
+
+    const range = this.getCellRange(bounds);
+    if (this.countCells(range) > INDEX_MAX_CELLS) {
+      this.large.push(place);
+      return;
+    }
+
+    for (let row = range.top; row <= range.bottom; row++) {
+      for (let column = range.left; column <= range.right; column++) {
+        const key = `${column},${row}`;
+        const cell = this.cells.get(key);
+        if (cell) {
+          cell.push(place);
+        } else {
+          this.cells.set(key, [place]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the operations whose bounds intersect a region
+   * @param {Object} bounds - {x, y, width, height}
+   * @returns {Array} - The operations, in drawing order
+   */
+  query(bounds) {
+    const range = this.getCellRange(bounds);
+
+    // A region bigger than the grid is filled is quicker to check operation by operation
+    let places;
+    if (this.countCells(range) > this.entries.length) {
+      places = this.entries.map((entry, place) => place);
+    } else {
+      const found = new Set(this.large);
+      for (let row = range.top; row <= range.bottom; row++) {
+        for (let column = range.left; column <= range.right; column++) {
+          const cell = this.cells.get(`${column},${row}`);
+          if (cell) cell.forEach(place => found.add(place));
+        }
+      }
+      places = Array.from(found).sort((a, b) => a - b);
+    }
+
+    return places
+      .map(place => this.entries[place])
+      .filter(entry => Geometry.boundsIntersect(entry.bounds, bounds))
+      .map(entry => entry.operation);
+  }
+
+  /**
+   * Grid cells a box covers, as inclusive column and row ranges
+   */
+  getCellRange(bounds) {
+    return {
+      left: Math.floor(bounds.x / INDEX_CELL_SIZE),
+      top: Math.floor(bounds.y / INDEX_CELL_SIZE),
+      right: Math.floor((bounds.x + bounds.width) / INDEX_CELL_SIZE),
+      bottom: Math.floor((bounds.y + bounds.height) / INDEX_CELL_SIZE)
+    };
+  }
+
+  /**
+   * Number of cells in a range
+   */
+  countCells({ left, top, right, bottom }) {
+    return (right - left + 1) * (bottom - top + 1);
+  }
+}
@@ -3,6 +3,13 @@
  * Handles real-time communication with the server
  */
 
+// How long to wait for a stroke acknowledgement before retrying
+const ACK_TIMEOUT = 5000;
+const MAX_STROKE_ATTEMPTS = 3;
+
+// Events that commit an operation; they carry a client ID and are acknowledged
+const OPERATION_EVENTS = ['stroke-complete', 'shape-complete', 'fill-complete', 'text-complete', 'transform', 'delete'];
+
 class WebSocketManager {
   constructor() {
     this.socket = null;
@@ -13,19 +20,44 @@ class WebSocketManager {
     this.latency = 0;
     this.lastPingTime = 0;
     
+    // Real-time stroke data: with draw protocol 2 (agreed on join), a frame's draw events go as one binary batch
+    this.drawProtocol = DrawCodec.LEGACY_PROTOCOL;
+    this.drawQueue = []; // Draw events waiting for the next batch
+    this.drawFlushScheduled = false;
+    this.drawStats = { events: 0, messages: 0, bytes: 0, jsonBytes: 0 }; // Sent; jsonBytes is what protocol 1 would have sent
+    
+    // Remembered so we can rejoin after a reconnect
+    this.roomId = null;
+    this.username = null;
+    this.password = null;
+    this.lastSeq = null; // Last server sequence number received
+    this.sessionToken = sessionStorage.getItem('canvas-session-token');
+    
+    // Strokes and commands made while disconnected
+    this.offlineQueue = new OfflineQueue(this.sessionToken);
+    
     // Event callbacks
     this.onConnected = null;
     this.onDisconnected = null;
     this.onRoomJoined = null;
+    this.onJoinRefused = null;
+    this.onKicked = null;
+    this.onRoleChanged = null;
     this.onUserJoined = null;
     this.onUserLeft = null;
     this.onDraw = null;
+    this.onShapePreview = null;
     this.onStrokeComplete = null;
     this.onCursorMove = null;
     this.onUndo = null;
     this.onRedo = null;
     this.onClear = null;
+    this.onLayersChanged = null;
     this.onOperationAdded = null;
+    this.onQueuedStrokeRestored = null;
+    this.onStrokeAcknowledged = null;
+    this.onStrokeRejected = null;
+    this.onServerError = null;
   }
 
   /**
@@ -36,7 +68,8 @@ class WebSocketManager {
     this.socket = io({
       reconnection: true,
       reconnectionDelay: 1000,
-      reconnectionAttempts: 5
+      reconnectionDelayMax: 5000,
+      reconnectionAttempts: Infinity
     });
     
     this.setupEventListeners();
@@ -51,6 +84,12 @@ class WebSocketManager {
     this.socket.on('connect', () => {
       console.log('Connected to server');
       this.connected = true;
+      
+      // After a reconnect we have a new socket that isn't in any room yet
+      if (this.roomId) {
+        this.emitJoin();
+      }
+      
       if (this.onConnected) {
         this.onConnected();
       }
@@ -73,10 +112,55 @@ class WebSocketManager {
       console.log('Joined room:', data);
       this.currentUser = data.user;
       this.users = data.users;
+      this.setSessionToken(data.sessionToken);
+      this.drawProtocol = data.drawProtocol || DrawCodec.LEGACY_PROTOCOL;
+      
+      if (data.changes) {
+        data.changes.forEach(change => this.trackSeq(change.seq));
+      } else {
+        this.lastSeq = data.drawingState.seq;
+      }
       
       if (this.onRoomJoined) {
         this.onRoomJoined(data);
       }
+      
+      // Now that we're back in the room, send what was made while offline
+      this.offlineQueue.ready.then(() => this.flushQueue());
+    });
+
+    this.socket.on('join-refused', (data) => {
+      console.warn(`Join refused for room ${data.roomId}:`, data.message);
+      // Keep the identity so a retry with the right password doesn't create another
+      this.setSessionToken(data.sessionToken);
+      this.leaveRoom();
+      
+      if (this.onJoinRefused) {
+        this.onJoinRefused(data);
+      }
+    });
+
+    this.socket.on('kicked', (data) => {
+      console.warn(`Removed from room ${data.roomId} by ${data.by}`);
+      this.leaveRoom();
+      
+      if (this.onKicked) {
+        this.onKicked(data);
+      }
+    });
+
+    this.socket.on('role-changed', (data) => {
+      this.users = data.users;
+      
+      // The owner may have changed our role (or handed us the room)
+      const me = this.currentUser && data.users.find(user => user.id === this.currentUser.id);
+      if (me) {
+        this.currentUser = me;
+      }
+      
+      if (this.onRoleChanged) {
+        this.onRoleChanged(data);
+      }
     });
 
     this.socket.on('user-joined', (data) => {
@@ -98,14 +182,26 @@ class WebSocketManager {
       }
     });
 
-    // Drawing events
+    // Drawing events, one by one (from clients on draw protocol 1) or batched
     this.socket.on('draw', (data) => {
       if (this.onDraw) {
         this.onDraw(data);
       }
     });
 
+    this.socket.on('draw-batch', ({ userId, batch }) => {
+      if (!this.onDraw) return;
+      DrawCodec.decode(batch).forEach(event => this.onDraw({ ...event, userId }));
+    });
+
+    this.socket.on('shape-preview', (data) => {
+      if (this.onShapePreview) {
+        this.onShapePreview(data);
+      }
+    });
+
     this.socket.on('operation-added', (data) => {
+      this.trackSeq(data.seq);
       if (this.onOperationAdded) {
         this.onOperationAdded(data);
       }
@@ -126,12 +222,14 @@ class WebSocketManager {
 
     // Undo/Redo events
     this.socket.on('undo-operation', (data) => {
+      this.trackSeq(data.seq);
       if (this.onUndo) {
         this.onUndo(data);
       }
     });
 
     this.socket.on('redo-operation', (data) => {
+      this.trackSeq(data.seq);
       if (this.onRedo) {
         this.onRedo(data);
       }
@@ -139,11 +237,28 @@ class WebSocketManager {
 
     // Canvas clear event
     this.socket.on('canvas-cleared', (data) => {
+      this.trackSeq(data.seq);
       if (this.onClear) {
         this.onClear(data);
       }
     });
 
+    // Layer added, changed or reordered
+    this.socket.on('layers-changed', (data) => {
+      this.trackSeq(data.seq);
+      if (this.onLayersChanged) {
+        this.onLayersChanged(data);
+      }
+    });
+
+    // Server rejected one of our events
+    this.socket.on('error', (error) => {
+      console.warn(`Server rejected ${error.event}:`, error.message);
+      if (this.onServerError) {
+        this.onServerError(error);
+      }
+    });
+
     // Latency monitoring
     this.socket.on('pong', () => {
       this.latency = Date.now() - this.lastPingTime;
@@ -151,26 +266,288 @@ class WebSocketManager {
   }
 
   /**
-   * Join a drawing room
+   * Remember the latest sequence number seen, for catch-up on rejoin
+   */
+  trackSeq(seq) {
+    if (this.lastSeq === null || seq > this.lastSeq) {
+      this.lastSeq = seq;
+    }
+  }
+
+  /**
+   * Join a drawing room (the password is only needed for protected rooms)
    */
-  joinRoom(roomId, username) {
-    this.socket.emit('join-room', { roomId, username });
+  joinRoom(roomId, username, password = null) {
+    if (roomId !== this.roomId) {
+      this.lastSeq = null; // Different room: we need its full state
+    }
+    this.roomId = roomId;
+    this.username = username;
+    this.password = password;
+    this.emitJoin();
   }
 
   /**
-   * Send drawing data (real-time stroke)
+   * Forget the current room so we don't rejoin it after a reconnect
+   */
+  leaveRoom() {
+    this.roomId = null;
+    this.password = null;
+    this.lastSeq = null;
+    this.users = [];
+    this.remoteCursors.clear();
+  }
+
+  /**
+   * Remember the session the server issued this tab (across refreshes, not other tabs)
+   */
+  setSessionToken(sessionToken) {
+    this.sessionToken = sessionToken;
+    sessionStorage.setItem('canvas-session-token', sessionToken);
+    this.offlineQueue.setSession(sessionToken);
+  }
+
+  /**
+   * Emit join-room with our session and, when rejoining, the last change we saw
+   */
+  emitJoin() {
+    const data = {
+      roomId: this.roomId,
+      username: this.username,
+      sessionToken: this.sessionToken,
+      drawProtocol: DrawCodec.PROTOCOL
+    };
+    if (this.password) {
+      data.password = this.password;
+    }
+    if (this.lastSeq !== null) {
+      data.lastSeq = this.lastSeq;
+    }
+    this.socket.emit('join-room', data);
+  }
+
+  /**
+   * Emit an event now, or queue it for replay if we're offline
+   */
+  sendOrQueue(event, data) {
+    if (this.connected) {
+      this.socket.emit(event, data);
+    } else if (this.roomId) {
+      this.offlineQueue.enqueue(this.roomId, event, data);
+    }
+  }
+
+  /**
+   * Replay queued events for the current room, in the order they were made
+   */
+  flushQueue() {
+    if (!this.connected || !this.roomId) return;
+    
+    this.offlineQueue.takeForRoom(this.roomId).forEach(item => {
+      if (OPERATION_EVENTS.includes(item.event)) {
+        // Strokes restored after a page refresh aren't on the canvas yet
+        if (item.restored && this.onQueuedStrokeRestored) {
+          this.onQueuedStrokeRestored(item.data);
+        }
+        this.emitOperation(item.event, item.data);
+      } else {
+        this.socket.emit(item.event, item.data);
+      }
+    });
+  }
+
+  /**
+   * Get number of events waiting for a connection
+   */
+  getQueuedCount() {
+    return this.offlineQueue.size();
+  }
+
+  /**
+   * Send drawing data (real-time stroke): right away with draw protocol 1,
+   * otherwise batched with the rest of this animation frame's (brush styles
+   * are left out under protocol 2)
    */
   sendDraw(data) {
     if (!this.connected) return;
-    this.socket.emit('draw', data);
+    
+    const jsonBytes = JSON.stringify(data).length;
+    this.drawStats.events++;
+    this.drawStats.jsonBytes += jsonBytes;
+    if (this.drawProtocol === DrawCodec.LEGACY_PROTOCOL) {
+      this.drawStats.messages++;
+      this.drawStats.bytes += jsonBytes;
+      this.socket.emit('draw', data);
+      return;
+    }
+    
+    this.drawQueue.push(data);
+    if (!this.drawFlushScheduled) {
+      this.drawFlushScheduled = true;
+      requestAnimationFrame(() => this.flushDraws());
+    }
+  }
+
+  /**
+   * Send the draw events waiting for a batch (dropped if we went offline meanwhile)
+   */
+  flushDraws() {
+    this.drawFlushScheduled = false;
+    const events = this.drawQueue;
+    this.drawQueue = [];
+    if (events.length === 0 || !this.connected) return;
+    
+    const batch = DrawCodec.encode(events, this.drawProtocol);
+    this.drawStats.messages++;
+    this.drawStats.bytes += batch.length;
+    this.socket.emit('draw-batch', batch);
+  }
+
+  /**
+   * Get what real-time stroke data has cost: {protocol, events, messages, bytes, jsonBytes}
+   */
+  getDrawStats() {
+    return { protocol: this.drawProtocol, ...this.drawStats };
   }
 
   /**
    * Send stroke complete (add to history)
    */
   sendStrokeComplete(data) {
+    // Others get the stroke's last points before they get the stroke
+    this.flushDraws();
+    this.sendOperation('stroke-complete', data);
+  }
+
+  /**
+   * Send the shape being dragged out (real-time preview)
+   */
+  sendShapePreview(data) {
     if (!this.connected) return;
-    this.socket.emit('stroke-complete', data);
+    this.socket.emit('shape-preview', data);
+  }
+
+  /**
+   * Send a finished shape (add to history)
+   */
+  sendShapeComplete(data) {
+    this.sendOperation('shape-complete', data);
+  }
+
+  /**
+   * Send a fill (add to history)
+   */
+  sendFillComplete(data) {
+    this.sendOperation('fill-complete', data);
+  }
+
+  /**
+   * Send a new or edited text (add to history)
+   */
+  sendTextComplete(data) {
+    this.sendOperation('text-complete', data);
+  }
+
+  /**
+   * Send a move, resize or recolor of existing operations (add to history)
+   */
+  sendTransform(data) {
+    this.sendOperation('transform', data);
+  }
+
+  /**
+   * Send a delete of existing operations (add to history)
+   */
+  sendDelete(data) {
+    this.sendOperation('delete', data);
+  }
+
+  /**
+   * Send an operation now, or queue it for replay if we're offline
+   */
+  sendOperation(event, data) {
+    if (this.connected) {
+      this.emitOperation(event, data);
+    } else {
+      this.sendOrQueue(event, data);
+    }
+  }
+
+  /**
+   * Emit an operation and wait for the server's acknowledgement
+   * The operation carries a client-generated ID, so retrying never creates a duplicate
+   */
+  emitOperation(event, data, attempt = 1) {
+    this.socket.timeout(ACK_TIMEOUT).emit(event, data, (err, response) => {
+      if (err) {
+        if (!this.connected) {
+          // Lost the connection before the ack: replay after rejoining
+          this.sendOrQueue(event, data);
+        } else if (attempt < MAX_STROKE_ATTEMPTS) {
+          this.emitOperation(event, data, attempt + 1);
+        } else if (this.onStrokeRejected) {
+          this.onStrokeRejected(data.clientId, 'no response from server');
+        }
+        return;
+      }
+      
+      if (response.ok) {
+        if (this.onStrokeAcknowledged) {
+          this.onStrokeAcknowledged(data.clientId, response);
+        }
+      } else if (this.onStrokeRejected) {
+        this.onStrokeRejected(data.clientId, response.message || response.reason);
+      }
+    });
+  }
+
+  /**
+   * Upload an image to the current room over HTTP (authorized by our session)
+   * @returns {Promise<Object>} - {id, type, size}
+   */
+  async uploadImage(file) {
+    const response = await fetch(`/images/${encodeURIComponent(this.roomId)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-Session-Token': this.sessionToken
+      },
+      body: file
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error((result.error && result.error.message) || `Upload failed (${response.status})`);
+    }
+    return result;
+  }
+
+  /**
+   * Fetch an image referenced by an image operation in the current room
+   * @returns {Promise<Blob>} - Image data
+   */
+  async fetchImage(imageId) {
+    const response = await fetch(`/images/${encodeURIComponent(this.roomId)}/${imageId}`, {
+      headers: { 'X-Session-Token': this.sessionToken }
+    });
+    if (!response.ok) {
+      throw new Error(`Image request failed (${response.status})`);
+    }
+    return response.blob();
+  }
+
+  /**
+   * Place an uploaded image; the callback gets the server's acknowledgement
+   */
+  sendImageAdd(data, callback) {
+    if (!this.connected) {
+      callback({ ok: false, message: 'not connected' });
+      return;
+    }
+    
+    this.socket.timeout(ACK_TIMEOUT).emit('image-add', data, (err, response) => {
+      callback(err ? { ok: false, message: 'no response from server' } : response);
+    });
   }
 
   /**
@@ -190,24 +567,65 @@ class WebSocketManager {
    * Send undo command
    */
   sendUndo() {
-    if (!this.connected) return;
-    this.socket.emit('undo');
+    this.sendOrQueue('undo');
   }
 
   /**
    * Send redo command
    */
   sendRedo() {
-    if (!this.connected) return;
-    this.socket.emit('redo');
+    this.sendOrQueue('redo');
   }
 
   /**
    * Send clear canvas command
    */
   sendClear() {
+    this.sendOrQueue('clear-canvas');
+  }
+
+  /**
+   * Add a layer on top; the callback gets the server's acknowledgement
+   */
+  sendLayerAdd(name, callback) {
+    if (!this.connected) {
+      callback({ ok: false, message: 'not connected' });
+      return;
+    }
+
+    this.socket.timeout(ACK_TIMEOUT).emit('layer-add', { name }, (err, response) => {
+      callback(err ? { ok: false, message: 'no response from server' } : response);
+    });
+  }
+
+  /**
+   * Rename, hide/show or lock/unlock a layer
+   */
+  sendLayerUpdate(layerId, changes) {
+    this.sendOrQueue('layer-update', { layerId, ...changes });
+  }
+
+  /**
+   * Move a layer to a new position (0 is the bottom)
+   */
+  sendLayerMove(layerId, index) {
+    this.sendOrQueue('layer-move', { layerId, index });
+  }
+
+  /**
+   * Change another user's role (owner only)
+   */
+  sendSetRole(userId, role) {
+    if (!this.connected) return;
+    this.socket.emit('set-role', { userId, role });
+  }
+
+  /**
+   * Remove a user from the room; banned users can't rejoin (owner only)
+   */
+  sendKick(userId, ban = false) {
     if (!this.connected) return;
-    this.socket.emit('clear-canvas');
+    this.socket.emit(ban ? 'ban-user' : 'kick-user', { userId });
   }
 
   /**
@@ -0,0 +1,262 @@
+/**
+ * REST API
+ * JSON endpoints for tooling (dashboards, backups) to inspect and manage rooms
+ * without opening a socket
+ *
+ *   GET    /api/rooms                     - List rooms with user counts (?active=true for occupied only)
+ *   POST   /api/rooms                     - Create a room {roomId, password?}
+ *   GET    /api/rooms/:roomId             - Room metadata and users
+ *   DELETE /api/rooms/:roomId             - Remove connected users and delete the room
+ *   GET    /api/rooms/:roomId/users       - Connected users
+ *   GET    /api/rooms/:roomId/operations  - Visible operations (same as a joining client gets)
+ *   GET    /api/rooms/:roomId/history     - All operations since the last clear, paged with ?after=<id>&limit=<n>
+ *   GET    /api/rooms/:roomId/export.svg  - Standalone SVG (?crop=true&padding=<px>&background=<#hex|transparent>)
+ *   GET    /api/rooms/:roomId/export.json - Versioned JSON document (same options)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { exportSVG, exportJSON } = require('./exporter');
+const {
+  validateRoomId,
+  validateCreateRoom,
+  validateExportOptions,
+  ValidationError
+} = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Without an API token, only requests from this machine are accepted
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable description
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Parse an optional non-negative integer query parameter
+ */
+function parseInteger(value, field, defaultValue, min, max) {
+  if (value === undefined) return defaultValue;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${field} must be an integer between ${min} and ${max}`, field);
+  }
+  return number;
+}
+
+/**
+ * The fields of a user that are safe to expose (no socket IDs)
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    color: user.color,
+    role: user.role,
+    joinedAt: user.joinedAt
+  };
+}
+
+/**
+ * Summarize a room without loading it if it isn't already in memory
+ */
+function summarizeRoom(roomManager, roomId) {
+  const room = roomManager.rooms.get(roomId);
+  if (!room) {
+    return { id: roomId, loaded: false, userCount: 0 };
+  }
+
+  return {
+    id: roomId,
+    loaded: true,
+    userCount: room.users.size,
+    passwordProtected: !!(room.meta && room.meta.password),
+    seq: room.drawingState.seq,
+    operationCount: room.drawingState.getActiveOperations().length,
+    document: room.drawingState.document
+  };
+}
+
+/**
+ * Require the API token, or a loopback client when no token is configured
+ */
+function authorize(token) {
+  return (req, res, next) => {
+    if (token) {
+      const header = req.get('authorization') || '';
+      const given = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+      if (!safeEqual(given, token)) {
+        next(new ApiError(401, 'unauthorized', 'Missing or invalid API token'));
+        return;
+      }
+    } else if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+      next(new ApiError(403, 'forbidden', 'Set API_TOKEN to allow remote API access'));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Turn thrown errors into JSON responses
+ */
+function handleErrors(err, req, res, next) {
+  if (err instanceof ValidationError) {
+    res.status(400).json({ error: { code: err.code, field: err.field, message: err.message } });
+  } else if (err instanceof ApiError) {
+    res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  } else if (err.status && err.status < 500) {
+    // Body parser errors (malformed JSON, body too large)
+    res.status(err.status).json({ error: { code: 'invalid-body', message: err.message } });
+  } else {
+    console.error('API error:', err);
+    res.status(500).json({ error: { code: 'internal', message: 'Internal server error' } });
+  }
+}
+
+/**
+ * Create the API router
+ * @param {RoomManager} roomManager - Room manager shared with the socket server
+ * @param {Server} io - Socket.io server (to remove users from deleted rooms)
+ * @param {Object} options - {token}: bearer token required for all requests
+ * @returns {Router} - Express router to mount under /api
+ */
+function createApiRouter(roomManager, io, options = {}) {
+  const router = express.Router();
+
+  router.use(authorize(options.token));
+  router.use(express.json({ limit: '16kb' }));
+
+  /**
+   * Look up an existing room from the URL, loading it if needed
+   */
+  const findRoom = (req) => {
+    const roomId = validateRoomId(req.params.roomId);
+    if (!roomManager.hasRoom(roomId)) {
+      throw new ApiError(404, 'not-found', `Room ${roomId} does not exist`);
+    }
+    return roomManager.getRoom(roomId);
+  };
+
+  router.get('/rooms', (req, res) => {
+    let rooms = roomManager.listRoomIds().map(roomId => summarizeRoom(roomManager, roomId));
+    if (req.query.active === 'true') {
+      rooms = rooms.filter(room => room.userCount > 0);
+    }
+    rooms.sort((a, b) => b.userCount - a.userCount || a.id.localeCompare(b.id));
+
+    res.json({ rooms });
+  });
+
+  router.post('/rooms', (req, res) => {
+    const { roomId, password, document } = validateCreateRoom(req.body);
+    if (!roomManager.createRoom(roomId, password, document)) {
+      throw new ApiError(409, 'exists', `Room ${roomId} already exists`);
+    }
+
+    res.status(201).json(summarizeRoom(roomManager, roomId));
+  });
+
+  router.get('/rooms/:roomId', (req, res) => {
+    const room = findRoom(req);
+    const meta = room.meta || {};
+
+    res.json({
+      ...summarizeRoom(roomManager, room.id),
+      ownerId: meta.ownerId || null,
+      createdAt: meta.createdAt || null,
+      users: Array.from(room.users.values()).map(publicUser)
+    });
+  });
+
+  router.delete('/rooms/:roomId', (req, res) => {
+    const room = findRoom(req);
+
+    // Take everyone out first so nobody keeps drawing into a deleted room
+    Array.from(room.users.values()).forEach(user => {
+      const socket = io.sockets.sockets.get(user.socketId);
+      if (!socket) return;
+
+      socket.emit('kicked', { roomId: room.id, banned: false, deleted: true, by: 'The server' });
+      socket.data.leaveRoom();
+    });
+    roomManager.deleteRoom(room.id);
+
+    res.status(204).end();
+  });
+
+  router.get('/rooms/:roomId/users', (req, res) => {
+    const room = findRoom(req);
+    res.json({ users: Array.from(room.users.values()).map(publicUser) });
+  });
+
+  router.get('/rooms/:roomId/operations', (req, res) => {
+    const room = findRoom(req);
+    res.json(room.drawingState.getFullState());
+  });
+
+  router.get('/rooms/:roomId/history', (req, res) => {
+    const room = findRoom(req);
+    // Operation IDs start at 0, so the first page has no lower bound
+    const after = parseInteger(req.query.after, 'after', -1, 0, Number.MAX_SAFE_INTEGER);
+    const limit = parseInteger(req.query.limit, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+
+    const { operations, hasMore } = room.drawingState.getHistory(after, limit);
+    res.json({
+      seq: room.drawingState.seq,
+      operations,
+      hasMore,
+      // Pass as ?after= to fetch the next page
+      next: hasMore ? operations[operations.length - 1].id : null
+    });
+  });
+
+  router.get('/rooms/:roomId/export.:format(svg|json)', (req, res) => {
+    const room = findRoom(req);
+    const options = {
+      ...validateExportOptions(req.query),
+      loadImage: imageId => roomManager.getImage(room.id, imageId)
+    };
+    const state = room.drawingState.getFullState();
+
+    if (options.download) {
+      res.attachment(`${room.id}.${req.params.format}`);
+    }
+    if (req.params.format === 'svg') {
+      res.type('image/svg+xml').send(exportSVG(room.id, state, options));
+    } else {
+      res.json(exportJSON(room.id, state, options));
+    }
+  });
+
+  router.use((req, res, next) => {
+    next(new ApiError(404, 'not-found', `Unknown endpoint: ${req.method} ${req.path}`));
+  });
+  router.use(handleErrors);
+
+  return router;
+}
+
+module.exports = { createApiRouter, ApiError, handleErrors };
@@ -3,82 +3,359 @@
  * Manages canvas operations history and state synchronization across clients
  */
 
+// Compact the operation log into a snapshot after this many entries
+const DEFAULT_SNAPSHOT_INTERVAL = 200;
+
+// Recent changes kept in memory so reconnecting clients can catch up
+const JOURNAL_SIZE = 1000;
+
+// Every room starts with one layer; operations without a layerId belong to it
+const DEFAULT_LAYER_ID = 0;
+const MAX_LAYERS = 20;
+
+// Client IDs of cleared operations remembered so their retries are still recognized (the newest ones)
+const MAX_RETIRED_CLIENT_IDS = 5000;
+
+// Logical size every client fits to its window (rooms can be created with another size)
+const DEFAULT_DOCUMENT = { width: 1920, height: 1080 };
+
+/**
+ * The layer list of a new (or pre-layers) room
+ */
+function defaultLayers() {
+  return [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+}
+
+/**
+ * Dedupe key of a submission: client IDs are only unique per user
+ */
+function submissionKey(userId, clientId) {
+  return `${userId}:${clientId}`;
+}
+
 class DrawingState {
-  constructor(roomId) {
+  /**
+   * @param {string} roomId - Room identifier
+   * @param {Object|null} storage - Storage backend (see storage.js), null for memory only
+   * @param {Object} options - {snapshotInterval}
+   */
+  constructor(roomId, storage = null, options = {}) {
     this.roomId = roomId;
-    this.operations = []; // Ordered list of all drawing operations
-    this.currentIndex = -1; // Current position in operation history (for undo/redo)
+    this.storage = storage;
+    this.snapshotInterval = options.snapshotInterval || DEFAULT_SNAPSHOT_INTERVAL;
+
+    this.operations = []; // Ordered list of all drawing operations (including undone ones)
+    this.layers = defaultLayers(); // Bottom to top: [{id, name, visible, locked}]
+    this.document = { ...DEFAULT_DOCUMENT }; // {width, height}
+    this.redoStacks = new Map(); // userId -> stack of operation IDs the user has undone
+    this.clientIds = new Map(); // submission key (user and client-generated ID) -> operation (for dedupe)
+    this.retiredClientIds = new Map(); // submission key -> {id, seq} of operations a clear removed, oldest first
+    this.nextId = 0; // Operation IDs stay unique across clears
+    this.seq = 0; // Sequence number of the last recorded change
+    this.entriesSinceSnapshot = 0;
+    this.journal = []; // Most recent changes with their seq (oldest first)
+  }
+
+  /**
+   * Load a room's drawing state from storage
+   * @param {string} roomId - Room identifier
+   * @param {Object|null} storage - Storage backend
+   * @param {Object} options - Constructor options
+   * @returns {DrawingState} - Rehydrated (or empty) drawing state
+   */
+  static load(roomId, storage, options = {}) {
+    const state = new DrawingState(roomId, storage, options);
+    const stored = storage ? storage.load(roomId) : null;
+    if (!stored) {
+      return state;
+    }
+
+    if (stored.snapshot) {
+      state.operations = stored.snapshot.operations;
+      state.operations.forEach(op => {
+        if (op.clientId) state.clientIds.set(submissionKey(op.userId, op.clientId), op);
+      });
+      state.retiredClientIds = new Map(stored.snapshot.retiredClientIds || []);
+      state.redoStacks = new Map(Object.entries(stored.snapshot.redoStacks));
+      state.nextId = stored.snapshot.nextId;
+      state.seq = stored.snapshot.seq;
+      state.layers = stored.snapshot.layers || defaultLayers();
+      state.document = stored.snapshot.document || { ...DEFAULT_DOCUMENT };
+    }
+
+    // Replay changes recorded after the snapshot
+    stored.entries.forEach(entry => {
+      if (entry.seq <= state.seq) return;
+      state.apply(entry);
+      state.seq = entry.seq;
+      state.entriesSinceSnapshot++;
+      state.addToJournal(entry);
+    });
+
+    return state;
+  }
+
+  /**
+   * Apply a change to the in-memory state
+   * Used both for live changes and for replaying the operation log
+   * @param {Object} entry - Change entry {type, ...}
+   */
+  apply(entry) {
+    switch (entry.type) {
+      case 'add':
+        this.operations.push(entry.operation);
+        this.nextId = entry.operation.id + 1;
+        if (entry.operation.clientId) {
+          this.clientIds.set(submissionKey(entry.operation.userId, entry.operation.clientId), entry.operation);
+        }
+        // Drawing something new discards that user's redo history (and only theirs)
+        this.redoStacks.delete(entry.operation.userId);
+        break;
+
+      case 'undo': {
+        const operation = this.getOperation(entry.operationId);
+        operation.undone = true;
+        if (!this.redoStacks.has(entry.userId)) {
+          this.redoStacks.set(entry.userId, []);
+        }
+        this.redoStacks.get(entry.userId).push(entry.operationId);
+        break;
+      }
+
+      case 'redo': {
+        const operation = this.getOperation(entry.operationId);
+        operation.undone = false;
+        this.redoStacks.get(entry.userId).pop();
+        break;
+      }
+
+      case 'clear':
+        // Layers and the document size survive a clear
+        this.operations = [];
+        this.redoStacks.clear();
+        this.retireClientIds();
+        break;
+
+      case 'layers':
+        this.layers = entry.layers;
+        break;
+
+      case 'document':
+        this.document = { width: entry.width, height: entry.height };
+        break;
+    }
+  }
+
+  /**
+   * Forget the cleared operations but not their client IDs, so a retry of one
+   * isn't added again after the clear
+   */
+  retireClientIds() {
+    this.clientIds.forEach((operation, key) => {
+      this.retiredClientIds.set(key, { id: operation.id, seq: operation.seq });
+    });
+    this.clientIds.clear();
+
+    const excess = this.retiredClientIds.size - MAX_RETIRED_CLIENT_IDS;
+    if (excess > 0) {
+      Array.from(this.retiredClientIds.keys()).slice(0, excess).forEach(key => this.retiredClientIds.delete(key));
+    }
+  }
+
+  /**
+   * Apply a change and durably record it
+   * @param {Object} entry - Change entry {type, ...}
+   * @returns {number} - Sequence number assigned to the change
+   */
+  record(entry) {
+    this.apply(entry);
+    this.seq++;
+    this.addToJournal({ ...entry, seq: this.seq });
+
+    if (!this.storage) return this.seq;
+
+    this.storage.append(this.roomId, { ...entry, seq: this.seq });
+    this.entriesSinceSnapshot++;
+
+    if (this.entriesSinceSnapshot >= this.snapshotInterval) {
+      this.snapshot();
+    }
+
+    return this.seq;
+  }
+
+  /**
+   * Remember a recorded change for catch-up, dropping the oldest beyond JOURNAL_SIZE
+   * @param {Object} entry - Change entry including seq
+   */
+  addToJournal(entry) {
+    this.journal.push(entry);
+    if (this.journal.length > JOURNAL_SIZE) {
+      this.journal.shift();
+    }
+  }
+
+  /**
+   * Get the changes a client missed since a given sequence number
+   * @param {number} seq - Last sequence number the client applied
+   * @returns {Array|null} - Changes in order, or null if the journal no longer covers them
+   */
+  getChangesSince(seq) {
+    if (typeof seq !== 'number' || seq > this.seq) {
+      return null;
+    }
+    if (seq === this.seq) {
+      return [];
+    }
+    if (this.journal.length === 0 || this.journal[0].seq > seq + 1) {
+      return null;
+    }
+
+    return this.journal
+      .filter(entry => entry.seq > seq)
+      .map(entry => {
+        // A redo may restore an operation the client never received
+        if (entry.type === 'redo') {
+          return { ...entry, operation: this.getOperation(entry.operationId) };
+        }
+        return entry;
+      });
+  }
+
+  /**
+   * Write a snapshot of the current state and compact the log
+   */
+  snapshot() {
+    if (!this.storage) return;
+
+    this.storage.writeSnapshot(this.roomId, this.toJSON());
+    this.entriesSinceSnapshot = 0;
+  }
+
+  /**
+   * Serialize the complete state (including redo history)
+   * @returns {Object} - Serializable state
+   */
+  toJSON() {
+    return {
+      roomId: this.roomId,
+      seq: this.seq,
+      nextId: this.nextId,
+      operations: this.operations,
+      redoStacks: Object.fromEntries(this.redoStacks),
+      layers: this.layers,
+      document: this.document,
+      retiredClientIds: Array.from(this.retiredClientIds)
+    };
+  }
+
+  /**
+   * Find what an earlier submission of an operation was stored as
+   * @param {string} userId - User who submitted it
+   * @param {string} clientId - Client-generated operation ID
+   * @returns {Object|null} - The stored operation ({id, seq} only if a clear has
+   *   removed it since), or null if it is new
+   */
+  findSubmission(userId, clientId) {
+    if (!clientId) return null;
+
+    const key = submissionKey(userId, clientId);
+    return this.clientIds.get(key) || this.retiredClientIds.get(key) || null;
   }
 
   /**
    * Add a new drawing operation to the history
+   * A retried submission (same user and clientId, even across a clear) returns
+   * the operation stored the first time
    * @param {Object} operation - Drawing operation data
-   * @returns {number} - Operation ID
+   * @returns {Object} - {operation: stored operation with id, seq and timestamp, duplicate}
    */
   addOperation(operation) {
-    // If we're not at the end of history, remove operations after current index
-    // This happens when user draws after undoing some operations
-    if (this.currentIndex < this.operations.length - 1) {
-      this.operations.splice(this.currentIndex + 1);
+    const previous = this.findSubmission(operation.userId, operation.clientId);
+    if (previous) {
+      return { operation: previous, duplicate: true };
     }
 
-    // Add timestamp and unique ID
+    // Add timestamp, unique ID and the sequence number the server orders by
     const opWithMetadata = {
       ...operation,
-      id: this.operations.length,
-      timestamp: Date.now()
+      id: this.nextId,
+      seq: this.seq + 1,
+      timestamp: Date.now(),
+      undone: false
     };
 
-    this.operations.push(opWithMetadata);
-    this.currentIndex++;
+    this.record({ type: 'add', operation: opWithMetadata });
 
-    return opWithMetadata.id;
+    return { operation: opWithMetadata, duplicate: false };
   }
 
   /**
-   * Undo the last operation
-   * @returns {Object|null} - Undo result with operation to undo
+   * Find an operation by ID
+   * @param {number} operationId - Operation ID
+   * @returns {Object|null} - Operation or null
    */
-  undo() {
-    if (this.currentIndex < 0) {
+  getOperation(operationId) {
+    return this.operations.find(op => op.id === operationId) || null;
+  }
+
+  /**
+   * Undo a user's most recent visible operation
+   * Other users' operations (including later ones) are left untouched
+   * @param {string} userId - User requesting the undo
+   * @returns {Object|null} - Undo result with the operation that was hidden
+   */
+  undo(userId) {
+    let operation = null;
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      if (this.operations[i].userId === userId && !this.operations[i].undone) {
+        operation = this.operations[i];
+        break;
+      }
+    }
+
+    if (!operation) {
       return null;
     }
 
-    const operation = this.operations[this.currentIndex];
-    this.currentIndex--;
+    const seq = this.record({ type: 'undo', userId, operationId: operation.id });
 
     return {
       type: 'undo',
-      operation,
-      newIndex: this.currentIndex
+      seq,
+      operationId: operation.id,
+      operation
     };
   }
 
   /**
-   * Redo the next operation
-   * @returns {Object|null} - Redo result with operation to redo
+   * Redo the operation a user undid most recently
+   * @param {string} userId - User requesting the redo
+   * @returns {Object|null} - Redo result with the operation that was restored
    */
-  redo() {
-    if (this.currentIndex >= this.operations.length - 1) {
+  redo(userId) {
+    const stack = this.redoStacks.get(userId);
+    if (!stack || stack.length === 0) {
       return null;
     }
 
-    this.currentIndex++;
-    const operation = this.operations[this.currentIndex];
+    const operationId = stack[stack.length - 1];
+    const seq = this.record({ type: 'redo', userId, operationId });
 
     return {
       type: 'redo',
-      operation,
-      newIndex: this.currentIndex
+      seq,
+      operationId,
+      operation: this.getOperation(operationId)
     };
   }
 
   /**
-   * Get all active operations (up to current index)
+   * Get all active (not undone) operations in history order
    * @returns {Array} - Array of active operations
    */
   getActiveOperations() {
-    return this.operations.slice(0, this.currentIndex + 1);
+    return this.operations.filter(op => !op.undone);
   }
 
   /**
@@ -88,17 +365,129 @@ class DrawingState {
   getFullState() {
     return {
       operations: this.getActiveOperations(),
-      currentIndex: this.currentIndex
+      layers: this.layers,
+      document: this.document,
+      seq: this.seq
+    };
+  }
+
+  /**
+   * Find a layer by ID
+   * @param {number} layerId - Layer ID
+   * @returns {Object|null} - Layer or null
+   */
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || null;
+  }
+
+  /**
+   * Get the layer an operation belongs to
+   * @param {Object} operation - Drawing operation
+   * @returns {Object|null} - Layer or null
+   */
+  getOperationLayer(operation) {
+    return this.getLayer(operation.layerId !== undefined ? operation.layerId : DEFAULT_LAYER_ID);
+  }
+
+  /**
+   * Add a layer on top of the others
+   * @param {string} name - Layer name
+   * @returns {Object|null} - {layer, layers, seq}, or null if the room has MAX_LAYERS already
+   */
+  addLayer(name) {
+    if (this.layers.length >= MAX_LAYERS) {
+      return null;
+    }
+
+    const layer = {
+      id: Math.max(...this.layers.map(l => l.id)) + 1,
+      name,
+      visible: true,
+      locked: false
+    };
+    const seq = this.recordLayers([...this.layers, layer]);
+    return { layer, layers: this.layers, seq };
+  }
+
+  /**
+   * Rename, show/hide or lock/unlock a layer
+   * @param {number} layerId - Layer ID
+   * @param {Object} changes - Any of {name, visible, locked}
+   * @returns {Object|null} - {layers, seq}, or null if there is no such layer
+   */
+  updateLayer(layerId, changes) {
+    if (!this.getLayer(layerId)) {
+      return null;
+    }
+
+    const seq = this.recordLayers(this.layers.map(layer => (
+      layer.id === layerId ? { ...layer, ...changes } : layer
+    )));
+    return { layers: this.layers, seq };
+  }
+
+  /**
+   * Move a layer to a new position in the stack (0 is the bottom)
+   * @param {number} layerId - Layer ID
+   * @param {number} index - New position (clamped to the stack)
+   * @returns {Object|null} - {layers, seq}, or null if there is no such layer
+   */
+  moveLayer(layerId, index) {
+    const layer = this.getLayer(layerId);
+    if (!layer) {
+      return null;
+    }
+
+    const layers = this.layers.filter(l => l !== layer);
+    layers.splice(Math.min(index, layers.length), 0, layer);
+    const seq = this.recordLayers(layers);
+    return { layers: this.layers, seq };
+  }
+
+  /**
+   * Record a new layer list (the whole list, so replaying it is trivial)
+   * @param {Array} layers - Layers, bottom to top
+   * @returns {number} - Sequence number of the change
+   */
+  recordLayers(layers) {
+    return this.record({ type: 'layers', layers });
+  }
+
+  /**
+   * Change the room's logical document size
+   * @param {number} width - Width in canvas units
+   * @param {number} height - Height in canvas units
+   * @returns {number} - Sequence number of the change
+   */
+  setDocumentSize(width, height) {
+    return this.record({ type: 'document', width, height });
+  }
+
+  /**
+   * Page through every operation since the last clear, including undone ones
+   * @param {number} afterId - Return operations with a greater ID (IDs start at 0)
+   * @param {number} limit - Maximum number of operations to return
+   * @returns {Object} - {operations, hasMore}
+   */
+  getHistory(afterId = -1, limit = 100) {
+    const remaining = this.operations.filter(op => op.id > afterId);
+    return {
+      operations: remaining.slice(0, limit),
+      hasMore: remaining.length > limit
     };
   }
 
   /**
    * Clear all drawing operations
+   * @returns {number} - Sequence number of the clear
    */
   clear() {
-    this.operations = [];
-    this.currentIndex = -1;
+    return this.record({ type: 'clear' });
   }
 }
 
+DrawingState.DEFAULT_LAYER_ID = DEFAULT_LAYER_ID;
+DrawingState.MAX_LAYERS = MAX_LAYERS;
+DrawingState.DEFAULT_DOCUMENT = DEFAULT_DOCUMENT;
+
 module.exports = DrawingState;
@@ -0,0 +1,393 @@
+/**
+ * Room Exporter
+ * Renders a room's visible operations without a browser, as a standalone SVG
+ * or a versioned JSON document, optionally cropped to the drawn area
+ */
+
+const crypto = require('crypto');
+const Geometry = require('../client/geometry');
+const Operations = require('../client/operations');
+const Brushes = require('../client/brushes');
+
+const EXPORT_FORMAT = 'collaborative-canvas';
+// Bumped when the JSON document changes in a way readers must know about. Version 1 has
+// the `document` size, `layers`, and operations of every type (strokes, shapes, texts and
+// their versions, images embedded in `images`, fills with their `region`, transforms and deletes)
+const EXPORT_VERSION = 1;
+
+/**
+ * Round a coordinate to keep the output compact
+ */
+function formatNumber(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Work out the exported area
+ * @param {Array} operations - Visible operations in history order
+ * @param {Object} options - {crop, padding, document: {width, height}}
+ * @returns {Object} - {x, y, width, height} in canvas coordinates
+ */
+function getExportArea(operations, { crop = false, padding = 0, document = null } = {}) {
+  // Eraser strokes only remove ink, so they never grow the drawn area; fills
+  // are bounded by their whole area, which says little about what they cover
+  const drawn = operations
+    .filter(op => op.tool !== 'eraser' && op.type !== 'fill')
+    .reduce((bounds, op) => Geometry.unionBounds(bounds, Geometry.getOperationBounds(op)), null);
+
+  if (crop) {
+    if (!drawn) {
+      return { x: 0, y: 0, width: 1, height: 1 };
+    }
+    return {
+      x: drawn.x - padding,
+      y: drawn.y - padding,
+      width: drawn.width + padding * 2,
+      height: drawn.height + padding * 2
+    };
+  }
+
+  // Uncropped exports are the room's document, grown to include anything drawn outside it
+  const page = document ? { x: 0, y: 0, width: document.width, height: document.height } : null;
+  const area = Geometry.unionBounds(page, drawn) || { x: 0, y: 0, width: 1, height: 1 };
+  return {
+    x: Math.floor(area.x),
+    y: Math.floor(area.y),
+    width: Math.max(1, Math.ceil(area.width)),
+    height: Math.max(1, Math.ceil(area.height))
+  };
+}
+
+/**
+ * SVG path command drawing a stroke piece from wherever the path is (see Geometry.getStrokePiece)
+ */
+function pieceCommand({ control, to }) {
+  return control
+    ? `Q${formatNumber(control.x)} ${formatNumber(control.y)} ${formatNumber(to.x)} ${formatNumber(to.y)}`
+    : `L${formatNumber(to.x)} ${formatNumber(to.y)}`;
+}
+
+/**
+ * SVG path data for stroke pieces; a single point is a zero-length piece,
+ * which round caps render as a dot (matching CanvasDrawing.drawStroke)
+ */
+function strokePathData(pieces) {
+  const { from } = pieces[0];
+  return `M${formatNumber(from.x)} ${formatNumber(from.y)} ${pieces.map(pieceCommand).join(' ')}`;
+}
+
+/**
+ * SVG element for a stroke in the given color, drawn with its brush; a
+ * composited stroke is grouped so its opacity and blend mode apply to it as a
+ * whole (matching CanvasDrawing.drawStroke; pencil grain is left out)
+ */
+function strokeElement(stroke, color) {
+  const element = brushElement(stroke, color);
+  if (!Brushes.isComposited(stroke)) return element;
+
+  const alpha = Brushes.getAlpha(stroke);
+  const blend = Brushes.getBlendMode(stroke);
+  return `<g${alpha < 1 ? ` opacity="${formatNumber(alpha)}"` : ''}` +
+    `${blend !== Brushes.DEFAULT_BLEND_MODE ? ` style="mix-blend-mode:${blend}"` : ''}>${element}</g>`;
+}
+
+/**
+ * SVG element for the shape of a stroke's brush, opaque: spray dots, nib
+ * quadrilaterals or a path (with pressure, a path per piece as wide as the pen pressed there)
+ */
+function brushElement(stroke, color) {
+  const brush = Brushes.getBrush(stroke);
+  if (brush === 'spray') {
+    const dots = Geometry.getSprayDots(stroke).map(dot =>
+      `<circle cx="${formatNumber(dot.x)}" cy="${formatNumber(dot.y)}" r="${formatNumber(dot.radius)}"/>`
+    );
+    return `<g fill="${color}">${dots.join('')}</g>`;
+  }
+
+  const pieces = Geometry.getStrokePieces(stroke);
+  if (brush === 'calligraphy') {
+    const quads = Geometry.getNibQuads(stroke).map(quad => `<polygon points="${quad.map(formatPoint).join(' ')}"/>`);
+    return `<g fill="${color}">${quads.join('')}` +
+      `<path d="${strokePathData(pieces)}" fill="none" stroke="${color}" ` +
+      `stroke-width="${formatNumber(stroke.lineWidth * Geometry.NIB_THICKNESS)}" stroke-linecap="round" stroke-linejoin="round"/></g>`;
+  }
+
+  // A single point is a dot whatever the brush's caps
+  const { lineCap, lineJoin } = Brushes.getStyle(stroke);
+  const cap = stroke.points.length === 1 ? 'round' : lineCap;
+  if (Geometry.hasPressure(stroke)) {
+    const paths = pieces.map(piece =>
+      `<path d="${strokePathData([piece])}" ` +
+      `stroke-width="${formatNumber(Geometry.getSegmentWidth(stroke.lineWidth, piece.from, piece.to))}"/>`
+    );
+    return `<g fill="none" stroke="${color}" stroke-linecap="${cap}">${paths.join('')}</g>`;
+  }
+
+  return `<path d="${strokePathData(pieces)}" fill="none" stroke="${color}" ` +
+    `stroke-width="${stroke.lineWidth}" stroke-linecap="${cap}" stroke-linejoin="${lineJoin}"/>`;
+}
+
+/**
+ * Format a point as "x,y" for polygon points
+ */
+function formatPoint(point) {
+  return `${formatNumber(point.x)},${formatNumber(point.y)}`;
+}
+
+/**
+ * SVG element for a shape operation (matching CanvasDrawing.drawShape)
+ */
+function shapeElement(shape) {
+  const { start, end, color } = shape;
+  const strokeAttributes = `stroke="${color}" stroke-width="${shape.lineWidth}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"';
+  const fill = shape.fill ? color : 'none';
+
+  if (shape.shape === 'rect' || shape.shape === 'ellipse') {
+    const rect = Geometry.getShapeRect(shape);
+    if (shape.shape === 'rect') {
+      return `<rect x="${formatNumber(rect.x)}" y="${formatNumber(rect.y)}" ` +
+        `width="${formatNumber(rect.width)}" height="${formatNumber(rect.height)}" fill="${fill}" ${strokeAttributes}/>`;
+    }
+    return `<ellipse cx="${formatNumber(rect.x + rect.width / 2)}" cy="${formatNumber(rect.y + rect.height / 2)}" ` +
+      `rx="${formatNumber(rect.width / 2)}" ry="${formatNumber(rect.height / 2)}" fill="${fill}" ${strokeAttributes}/>`;
+  }
+
+  // Lines have nothing to fill; arrow heads are always solid
+  if (shape.shape === 'arrow') {
+    const head = Geometry.getArrowHead(shape);
+    return `<path d="M${formatPoint(start)} L${formatPoint(head.base)}" fill="none" ${strokeAttributes}/>` +
+      `<polygon points="${head.points.map(formatPoint).join(' ')}" fill="${color}" ${strokeAttributes}/>`;
+  }
+  return `<path d="M${formatPoint(start)} L${formatPoint(end)}" fill="none" ${strokeAttributes}/>`;
+}
+
+/**
+ * SVG element for a text operation (matching CanvasDrawing.drawText)
+ */
+function textElement(text) {
+  const lines = text.text.split('\n').map((line, i) => {
+    if (line === '') return '';
+    return `<text x="${formatNumber(text.x)}" y="${formatNumber(Geometry.getTextLineTop(text, i))}">${escapeXML(line)}</text>`;
+  });
+  return `<g font-family="${Geometry.TEXT_FONT_FAMILY}" font-size="${text.fontSize}" fill="${text.color}" ` +
+    `dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</g>`;
+}
+
+/**
+ * Encode an uploaded image as a data URL so exports are self-contained
+ */
+function imageDataURL(image) {
+  return `data:${image.type};base64,${image.data.toString('base64')}`;
+}
+
+/**
+ * SVG element for an image operation (stretched to its placed size, like drawImage)
+ */
+function imageElement(operation, image) {
+  return `<image href="${imageDataURL(image)}" x="${formatNumber(operation.x)}" y="${formatNumber(operation.y)}" ` +
+    `width="${formatNumber(operation.width)}" height="${formatNumber(operation.height)}" preserveAspectRatio="none"/>`;
+}
+
+/**
+ * Summarize what a fill is flooded over (its sources: the operations before it
+ * on its layer, as resolved) by which they are, where and in which color
+ * A fill's region is only drawn while this is what it was when the fill was made.
+ * @param {Array} sources - Resolved operations, in drawing order
+ * @returns {string} - Hash of the summary
+ */
+function getFillSourcesKey(sources) {
+  const summary = sources.map(op => {
+    const bounds = Geometry.getOperationBounds(op);
+    const place = bounds ? `${bounds.x},${bounds.y},${bounds.width},${bounds.height}` : '';
+    return `${op.id}:${place}:${op.color}`;
+  }).join(' ');
+  return crypto.createHash('sha1').update(summary).digest('hex');
+}
+
+/**
+ * SVG element for a fill's region (one path, so its rectangles join without seams)
+ */
+function fillElement(fill) {
+  const { region } = fill;
+  let data = '';
+  for (let i = 0; i < region.length; i += 4) {
+    const [x, y, width, height] = region.slice(i, i + 4).map(formatNumber);
+    data += `M${x} ${y}h${width}v${height}h${-width}z`;
+  }
+  return `<path d="${data}" fill="${fill.color}"/>`;
+}
+
+/**
+ * Resolve a room's operations and keep those on visible layers, grouped by
+ * layer from the bottom of the stack up
+ * @param {Object} state - {operations, layers} from DrawingState.getFullState()
+ * @returns {Array} - [{layer, operations}] for each visible layer
+ */
+function getVisibleLayers(state) {
+  const operations = Operations.resolve(state.operations);
+  return state.layers
+    .filter(layer => layer.visible)
+    .map(layer => ({
+      layer,
+      operations: operations.filter(op => Operations.getLayerId(op) === layer.id)
+    }));
+}
+
+/**
+ * Render a room as a standalone SVG document, one group per visible layer
+ *
+ * The canvas erases with destination-out, which only affects what was drawn
+ * before on the same layer. Each run of eraser strokes therefore becomes a
+ * mask applied to everything rendered so far in its layer; the background
+ * is never erased.
+ *
+ * What a fill covers is found by flooding the pixels beneath it, which takes
+ * a browser's canvas, so fills are drawn from the region their author's
+ * client recorded. One whose sources have changed since (or that has no
+ * region) is left out, and a <desc> says how many were.
+ *
+ * @param {string} roomId - Room identifier (used as the title)
+ * @param {Object} state - {operations, layers, document} from DrawingState.getFullState()
+ * @param {Object} options - {crop, padding, background, loadImage(imageId) -> {type, data} | null}
+ * @returns {string} - SVG markup
+ */
+function exportSVG(roomId, state, options = {}) {
+  const layers = getVisibleLayers(state);
+  const area = getExportArea(layers.flatMap(entry => entry.operations), { ...options, document: state.document });
+  const { background = '#FFFFFF' } = options;
+  const areaAttributes = `x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}"`;
+
+  const masks = [];
+  const omitted = { fills: 0 };
+  const groups = layers.map(({ layer, operations }) => {
+    const content = renderLayer(operations, areaAttributes, masks, omitted, options);
+    // Isolated, so blend modes only mix with the layer (as each layer is a canvas of its own)
+    return `<g id="layer-${layer.id}" style="isolation:isolate"><title>${escapeXML(layer.name)}</title>${content}</g>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${area.width}" height="${area.height}" ` +
+      `viewBox="${area.x} ${area.y} ${area.width} ${area.height}">`,
+    `<title>${escapeXML(roomId)}</title>`,
+    omitted.fills > 0
+      ? `<desc>Fills left out: ${omitted.fills} (what they cover was never recorded or has changed since, ` +
+        'and only a browser can flood them again)</desc>'
+      : '',
+    masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '',
+    background !== 'transparent' ? `<rect ${areaAttributes} fill="${background}"/>` : '',
+    groups.join('\n'),
+    '</svg>'
+  ].filter(line => line !== '').join('\n');
+}
+
+/**
+ * Render one layer's operations, adding the eraser masks it needs to `masks`
+ * and counting the fills it can't draw in `omitted`
+ * @returns {string} - SVG content
+ */
+function renderLayer(operations, areaAttributes, masks, omitted, options) {
+  let content = '';
+  let erasers = [];
+
+  const applyErasers = () => {
+    if (erasers.length === 0) return;
+
+    const id = `erase-${masks.length}`;
+    masks.push(
+      `<mask id="${id}" maskUnits="userSpaceOnUse" ${areaAttributes}>` +
+      `<rect ${areaAttributes} fill="white"/>` +
+      erasers.map(stroke => strokeElement(stroke, 'black')).join('') +
+      '</mask>'
+    );
+    content = `<g mask="url(#${id})">${content}</g>`;
+    erasers = [];
+  };
+
+  operations.forEach((op, index) => {
+    if (op.type === 'fill') {
+      if (op.region && op.regionSources === getFillSourcesKey(operations.slice(0, index))) {
+        applyErasers();
+        content += fillElement(op);
+      } else {
+        omitted.fills++;
+      }
+      return;
+    }
+    if (op.type === 'image') {
+      const image = options.loadImage && options.loadImage(op.imageId);
+      if (image) {
+        applyErasers();
+        content += imageElement(op, image);
+      }
+      return;
+    }
+    if (op.type === 'shape' || op.type === 'text') {
+      applyErasers();
+      content += op.type === 'shape' ? shapeElement(op) : textElement(op);
+      return;
+    }
+    if (op.type !== 'stroke' || !op.points || op.points.length === 0) return;
+
+    if (op.tool === 'eraser') {
+      erasers.push(op);
+    } else {
+      applyErasers();
+      content += strokeElement(op, op.color);
+    }
+  });
+  applyErasers();
+
+  return content;
+}
+
+/**
+ * Build a versioned JSON document of a room's visible operations
+ * Coordinates are left as drawn; `viewport` is the (optionally cropped) area and `document` the room's logical size.
+ * Every visible text version, transform and delete is included; consumers resolve them (see Operations).
+ * `layers` lists the room's layers from the bottom up (hidden ones too); the viewport only covers visible ones.
+ * Referenced images are embedded as data URLs keyed by image ID.
+ * @param {string} roomId - Room identifier
+ * @param {Object} state - {operations, layers, document, seq} from DrawingState.getFullState()
+ * @param {Object} options - {crop, padding, loadImage(imageId) -> {type, data} | null}
+ * @returns {Object} - Export document
+ */
+function exportJSON(roomId, state, options = {}) {
+  const images = {};
+  state.operations.forEach(op => {
+    if (op.type !== 'image' || images[op.imageId] || !options.loadImage) return;
+
+    const image = options.loadImage(op.imageId);
+    if (image) {
+      images[op.imageId] = imageDataURL(image);
+    }
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    roomId,
+    seq: state.seq,
+    exportedAt: new Date().toISOString(),
+    viewport: getExportArea(getVisibleLayers(state).flatMap(entry => entry.operations), { ...options, document: state.document }),
+    document: state.document,
+    layers: state.layers,
+    // Drop fields that only matter to live clients
+    operations: state.operations.map(({ clientId, undone, userColor, regionSources, ...operation }) => operation),
+    images
+  };
+}
+
+module.exports = { exportSVG, exportJSON, getExportArea, getFillSourcesKey, EXPORT_VERSION };
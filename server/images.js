@@ -0,0 +1,126 @@
+/**
+ * Image Uploads
+ * HTTP endpoints for the images that `image` operations reference
+ *
+ *   POST /images/:roomId           - Upload raw image bytes (editors), returns {id, type, size}
+ *   GET  /images/:roomId/:imageId  - Fetch an image (anyone with a role in the room)
+ *
+ * Both require the user's session token in the X-Session-Token header, the
+ * same token the socket connection uses, so room roles and bans apply.
+ */
+
+const express = require('express');
+const { ApiError, handleErrors } = require('./api');
+const { validateRoomId, requireId, ValidationError, LIMITS } = require('./validation');
+
+// Accepted formats, recognised by their leading bytes rather than the declared type
+const IMAGE_SIGNATURES = [
+  { type: 'image/png', matches: data => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/jpeg', matches: data => data.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/gif', matches: data => ['GIF87a', 'GIF89a'].includes(data.slice(0, 6).toString('latin1')) },
+  { type: 'image/webp', matches: data => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP' }
+];
+
+/**
+ * Detect the image type from its content
+ * @param {Buffer} data - Uploaded bytes
+ * @returns {string|null} - MIME type or null if unsupported
+ */
+function detectImageType(data) {
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(data));
+  return signature ? signature.type : null;
+}
+
+/**
+ * Create the image router
+ * @param {RoomManager} roomManager - Room manager shared with the socket server
+ * @param {RateLimiter} rateLimiter - Rate limiter shared with the socket server
+ * @returns {Router} - Express router to mount under /images
+ */
+function createImageRouter(roomManager, rateLimiter) {
+  const router = express.Router();
+
+  /**
+   * Resolve the requesting user and the room from the URL
+   */
+  const authenticate = (req) => {
+    const roomId = validateRoomId(req.params.roomId);
+    const session = roomManager.getSession(req.get('x-session-token'));
+    if (!session) {
+      throw new ApiError(401, 'unauthorized', 'Missing or unknown session token');
+    }
+    if (!roomManager.hasRoom(roomId)) {
+      throw new ApiError(404, 'not-found', `Room ${roomId} does not exist`);
+    }
+
+    // Roles live in the room's settings, so make sure it is loaded
+    roomManager.getRoom(roomId);
+    return { roomId, userId: session.userId };
+  };
+
+  /**
+   * Check an upload before its body is read, so a client that may not upload
+   * (or says it is sending too much) never gets the server to buffer it
+   */
+  const authorizeUpload = (req, res, next) => {
+    const { roomId, userId } = authenticate(req);
+    if (!roomManager.can(roomId, userId, 'image-add')) {
+      throw new ApiError(403, 'forbidden', `Your role (${roomManager.getRole(roomId, userId) || 'guest'}) can't add images`);
+    }
+
+    // Keyed by user rather than socket, since uploads don't come over the socket
+    const limit = rateLimiter.check(`upload:${userId}`, roomId, 'image-upload');
+    if (!limit.allowed) {
+      throw new ApiError(429, limit.reason, 'Too many image uploads');
+    }
+
+    // A body sent without a length is still cut off at the limit by express.raw()
+    if (Number(req.get('content-length')) > LIMITS.MAX_IMAGE_BYTES) {
+      throw new ApiError(413, 'too-large', `Images must be at most ${LIMITS.MAX_IMAGE_BYTES} bytes`);
+    }
+
+    req.upload = { roomId };
+    next();
+  };
+
+  router.post('/:roomId', authorizeUpload, express.raw({ type: () => true, limit: LIMITS.MAX_IMAGE_BYTES }), (req, res) => {
+    const { roomId } = req.upload;
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (data.length === 0) {
+      throw new ValidationError('body must contain the image bytes', 'body');
+    }
+    const type = detectImageType(data);
+    if (!type) {
+      throw new ApiError(415, 'unsupported-type', 'Only PNG, JPEG, GIF and WebP images are supported');
+    }
+
+    const id = roomManager.saveImage(roomId, { type, data });
+    res.status(201).json({ id, type, size: data.length });
+  });
+
+  router.get('/:roomId/:imageId', (req, res) => {
+    const { roomId, userId } = authenticate(req);
+    if (!roomManager.getRole(roomId, userId)) {
+      throw new ApiError(403, 'forbidden', 'Join the room to see its images');
+    }
+
+    const image = roomManager.getImage(roomId, requireId(req.params.imageId, 'imageId'));
+    if (!image) {
+      throw new ApiError(404, 'not-found', 'Image not found');
+    }
+
+    // Images never change once uploaded
+    res.set({
+      'Content-Type': image.type,
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(image.data);
+  });
+
+  router.use(handleErrors);
+
+  return router;
+}
+
+module.exports = { createImageRouter, detectImageType };
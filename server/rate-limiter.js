@@ -0,0 +1,265 @@
+/**
+ * Rate Limiter
+ * Token-bucket limits per client and per room for each event type,
+ * with temporary muting of offenders and disconnection for sustained abuse
+ *
+ * A client is whatever the caller keys it by: a socket before it has a
+ * session, then the session's user (so a reconnect starts from the same
+ * state), and the user again for image uploads.
+ */
+
+// Per-event limits: rate = tokens refilled per second, burst = bucket capacity
+const DEFAULT_OPTIONS = {
+  clientLimits: {
+    'join-room': { rate: 1, burst: 5 },
+    'draw': { rate: 120, burst: 240 },
+    'draw-batch': { rate: 120, burst: 240 }, // About one per animation frame
+    'stroke-complete': { rate: 10, burst: 20 },
+    'shape-preview': { rate: 60, burst: 120 },
+    'shape-complete': { rate: 10, burst: 20 },
+    'fill-complete': { rate: 2, burst: 10 }, // Every client floods the fill's area
+    'text-complete': { rate: 5, burst: 20 },
+    'image-add': { rate: 1, burst: 5 },
+    'image-upload': { rate: 0.2, burst: 5 }, // HTTP uploads, keyed by user ID
+    'transform': { rate: 10, burst: 20 },
+    'delete': { rate: 10, burst: 20 },
+    'layer-add': { rate: 0.5, burst: 5 },
+    'layer-update': { rate: 5, burst: 20 },
+    'layer-move': { rate: 5, burst: 20 },
+    'cursor-move': { rate: 30, burst: 60 },
+    'undo': { rate: 10, burst: 20 },
+    'redo': { rate: 10, burst: 20 },
+    'clear-canvas': { rate: 0.2, burst: 2 },
+    'set-role': { rate: 2, burst: 10 },
+    'kick-user': { rate: 1, burst: 5 },
+    'ban-user': { rate: 1, burst: 5 }
+  },
+  roomLimits: {
+    'draw': { rate: 1000, burst: 2000 },
+    'draw-batch': { rate: 1000, burst: 2000 },
+    'stroke-complete': { rate: 50, burst: 100 },
+    'shape-preview': { rate: 500, burst: 1000 },
+    'shape-complete': { rate: 50, burst: 100 },
+    'fill-complete': { rate: 10, burst: 30 },
+    'text-complete': { rate: 25, burst: 100 },
+    'image-add': { rate: 5, burst: 20 },
+    'image-upload': { rate: 1, burst: 10 },
+    'transform': { rate: 50, burst: 100 },
+    'delete': { rate: 50, burst: 100 },
+    'layer-add': { rate: 2, burst: 10 },
+    'layer-update': { rate: 20, burst: 50 },
+    'layer-move': { rate: 20, burst: 50 },
+    'cursor-move': { rate: 300, burst: 600 },
+    'undo': { rate: 50, burst: 100 },
+    'redo': { rate: 50, burst: 100 },
+    'clear-canvas': { rate: 0.5, burst: 3 }
+  },
+  violationWindow: 10 * 1000, // Rejections are counted over this window...
+  muteThreshold: 50, // ...and this many within it mutes the client
+  muteDuration: 10 * 1000,
+  abuseWindow: 5 * 60 * 1000, // Mutes are counted over this window...
+  disconnectThreshold: 3, // ...and this many within it disconnects the client
+  notifyInterval: 1000 // At most one rate-limit notification per event per interval
+};
+
+class TokenBucket {
+  /**
+   * @param {number} rate - Tokens added per second
+   * @param {number} burst - Maximum tokens held
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Take one token if available
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - True if the event is allowed
+   */
+  take(now = Date.now()) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the bucket has refilled completely (it is then no different from a new one)
+   * @param {number} now - Current time in ms
+   */
+  isFull(now = Date.now()) {
+    return this.tokens + (now - this.lastRefill) / 1000 * this.rate >= this.capacity;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS (limits are merged per event)
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      clientLimits: { ...DEFAULT_OPTIONS.clientLimits, ...options.clientLimits },
+      roomLimits: { ...DEFAULT_OPTIONS.roomLimits, ...options.roomLimits }
+    };
+    this.clients = new Map(); // client key -> {buckets, violations, mutes, mutedUntil, lastNotified}
+    this.rooms = new Map(); // roomId -> Map(event -> TokenBucket)
+  }
+
+  /**
+   * Get (or create) the limiter state for a client
+   * @param {string} clientId - Client key (socket ID, or user ID once it has a session)
+   * @returns {Object} - Client state
+   */
+  getClient(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, {
+        buckets: new Map(),
+        violations: [],
+        mutes: [],
+        mutedUntil: 0,
+        lastNotified: new Map()
+      });
+    }
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Get (or create) a bucket for an event in a bucket map
+   */
+  getBucket(buckets, limits, event) {
+    const limit = limits[event];
+    if (!limit) return null;
+
+    if (!buckets.has(event)) {
+      buckets.set(event, new TokenBucket(limit.rate, limit.burst));
+    }
+    return buckets.get(event);
+  }
+
+  /**
+   * Check whether a client may emit an event right now
+   * @param {string} clientId - Client key (socket ID, or user ID once it has a session)
+   * @param {string|null} roomId - Room the client is in (null before joining)
+   * @param {string} event - Event name
+   * @param {number} now - Current time in ms
+   * @returns {Object} - {allowed} or {allowed: false, reason, notify, mutedUntil?, disconnect?}
+   */
+  check(clientId, roomId, event, now = Date.now()) {
+    const client = this.getClient(clientId);
+
+    if (now < client.mutedUntil) {
+      return { allowed: false, reason: 'muted', notify: false, mutedUntil: client.mutedUntil };
+    }
+
+    // The client's own limit is checked first, so only it is blamed for exceeding it
+    const clientBucket = this.getBucket(client.buckets, this.options.clientLimits, event);
+    if (clientBucket && !clientBucket.take(now)) {
+      return this.recordViolation(client, event, now);
+    }
+
+    if (roomId) {
+      if (!this.rooms.has(roomId)) {
+        this.rooms.set(roomId, new Map());
+      }
+      const roomBucket = this.getBucket(this.rooms.get(roomId), this.options.roomLimits, event);
+      if (roomBucket && !roomBucket.take(now)) {
+        return { allowed: false, reason: 'room-busy', notify: this.shouldNotify(client, event, now) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a rejected event, muting or disconnecting repeat offenders
+   * @returns {Object} - Rejection verdict
+   */
+  recordViolation(client, event, now) {
+    const { violationWindow, muteThreshold, muteDuration, abuseWindow, disconnectThreshold } = this.options;
+
+    client.violations = client.violations.filter(time => now - time < violationWindow);
+    client.violations.push(now);
+
+    if (client.violations.length < muteThreshold) {
+      return { allowed: false, reason: 'rate-limited', notify: this.shouldNotify(client, event, now) };
+    }
+
+    client.violations = [];
+    client.mutedUntil = now + muteDuration;
+    client.mutes = client.mutes.filter(time => now - time < abuseWindow);
+    client.mutes.push(now);
+
+    return {
+      allowed: false,
+      reason: 'muted',
+      notify: true,
+      mutedUntil: client.mutedUntil,
+      disconnect: client.mutes.length >= disconnectThreshold
+    };
+  }
+
+  /**
+   * Throttle notifications so a flood of rejections isn't answered with a flood of errors
+   */
+  shouldNotify(client, event, now) {
+    const last = client.lastNotified.get(event) || 0;
+    if (now - last < this.options.notifyInterval) {
+      return false;
+    }
+    client.lastNotified.set(event, now);
+    return true;
+  }
+
+  /**
+   * Forget the clients and rooms whose state is as good as new: every bucket
+   * refilled, and no violations or mutes still counted against them
+   * Clients keyed by user (sessions and image uploads) are only ever forgotten
+   * this way, so disconnecting doesn't reset them.
+   * @param {number} now - Current time in ms
+   */
+  removeIdle(now = Date.now()) {
+    const { violationWindow, abuseWindow } = this.options;
+    const allFull = buckets => Array.from(buckets.values()).every(bucket => bucket.isFull(now));
+
+    this.clients.forEach((client, clientId) => {
+      if (now >= client.mutedUntil && allFull(client.buckets) &&
+          client.violations.every(time => now - time >= violationWindow) &&
+          client.mutes.every(time => now - time >= abuseWindow)) {
+        this.clients.delete(clientId);
+      }
+    });
+    this.rooms.forEach((buckets, roomId) => {
+      if (allFull(buckets)) {
+        this.rooms.delete(roomId);
+      }
+    });
+  }
+
+  /**
+   * Forget a disconnected socket's state from before it had a session
+   * @param {string} clientId - Socket ID
+   */
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  /**
+   * Forget an unloaded room
+   * @param {string} roomId - Room identifier
+   */
+  removeRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket, DEFAULT_OPTIONS };
@@ -3,11 +3,72 @@
  * Manages multiple drawing rooms and user sessions
  */
 
+const crypto = require('crypto');
 const DrawingState = require('./drawing-state');
 
+// How long an empty room stays in memory before it is unloaded
+const UNLOAD_DELAY = 5 * 60 * 1000;
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+const DEFAULT_ROLE = 'editor';
+
+// Minimum role needed for each socket event sent from inside a room
+const EVENT_ROLES = {
+  'draw': 'editor',
+  'draw-batch': 'editor',
+  'stroke-complete': 'editor',
+  'shape-preview': 'editor',
+  'shape-complete': 'editor',
+  'fill-complete': 'editor',
+  'text-complete': 'editor',
+  'image-add': 'editor',
+  'transform': 'editor',
+  'delete': 'editor',
+  'layer-add': 'editor',
+  'layer-update': 'editor',
+  'layer-move': 'editor',
+  'undo': 'editor',
+  'redo': 'editor',
+  'cursor-move': 'viewer',
+  'clear-canvas': 'owner',
+  'set-role': 'owner',
+  'kick-user': 'owner',
+  'ban-user': 'owner'
+};
+
+/**
+ * Hash a room password with a random (or given) salt
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Hex salt, generated if omitted
+ * @returns {Object} - {salt, hash}
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Check a password against a stored {salt, hash} in constant time
+ */
+function verifyPassword(password, stored) {
+  const { hash } = hashPassword(password, stored.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
 class RoomManager {
-  constructor() {
-    this.rooms = new Map(); // roomId -> Room object
+  /**
+   * @param {Object|null} storage - Storage backend for drawing state, room settings and sessions (see storage.js)
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+    this.rooms = new Map(); // roomId -> Room object (loaded rooms only)
+    this.sessions = new Map(); // session token -> {token, userId}
+    
+    // Sessions are persisted so owners keep their rooms across server restarts
+    if (storage) {
+      storage.loadSessions().forEach(session => this.sessions.set(session.token, session));
+    }
     this.userColors = [
       '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', 
       '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2',
@@ -16,7 +77,7 @@ class RoomManager {
   }
 
   /**
-   * Get or create a room
+   * Get or create a room, rehydrating it from storage if it is not loaded
    * @param {string} roomId - Room identifier
    * @returns {Object} - Room object
    */
@@ -25,29 +86,365 @@ class RoomManager {
       this.rooms.set(roomId, {
         id: roomId,
         users: new Map(), // socketId -> user object
-        drawingState: new DrawingState(roomId),
+        drawingState: DrawingState.load(roomId, this.storage),
+        meta: this.storage ? this.storage.loadMeta(roomId) : null, // null until someone creates it
+        images: new Map(), // imageId -> {type, data}, only used without storage
+        unloadTimer: null, // Pending scheduleUnload, if any
         createdAt: Date.now()
       });
+      
+      // Rooms loaded without anyone joining (API reads, refused joins) mustn't stay forever
+      this.scheduleUnload(roomId);
     }
     return this.rooms.get(roomId);
   }
 
+  /**
+   * Unload a room after UNLOAD_DELAY if it is still empty by then
+   * (replacing any unload already scheduled, so the delay counts from now)
+   * @param {string} roomId - Room identifier
+   */
+  scheduleUnload(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    this.cancelUnload(roomId);
+    room.unloadTimer = setTimeout(() => {
+      room.unloadTimer = null;
+      if (this.rooms.get(roomId) === room && room.users.size === 0) {
+        this.unloadRoom(roomId);
+        console.log(`Room ${roomId} unloaded (empty)`);
+      }
+    }, UNLOAD_DELAY);
+    // A pending unload mustn't keep the process alive
+    room.unloadTimer.unref();
+  }
+
+  /**
+   * Cancel a room's scheduled unload (someone joined)
+   * @param {string} roomId - Room identifier
+   */
+  cancelUnload(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.unloadTimer) {
+      clearTimeout(room.unloadTimer);
+      room.unloadTimer = null;
+    }
+  }
+
+  /**
+   * Check whether a room exists (loaded or in storage)
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} - True if the room exists
+   */
+  hasRoom(roomId) {
+    return this.rooms.has(roomId) || Boolean(this.storage && this.storage.exists(roomId));
+  }
+
+  /**
+   * List all known room IDs, loaded or stored
+   * @returns {Array} - Array of room IDs
+   */
+  listRoomIds() {
+    const ids = new Set(this.rooms.keys());
+    if (this.storage) {
+      this.storage.listRooms().forEach(id => ids.add(id));
+    }
+    return Array.from(ids);
+  }
+
+  /**
+   * Create an empty room ahead of time; its first joiner becomes the owner
+   * @param {string} roomId - Room identifier
+   * @param {string} password - Optional room password
+   * @param {Object} document - Optional {width, height} of the room's document
+   * @returns {Object|null} - Room object, or null if the room already exists
+   */
+  createRoom(roomId, password = null, document = null) {
+    if (this.hasRoom(roomId)) return null;
+    
+    const room = this.getRoom(roomId);
+    room.meta = {
+      ownerId: null,
+      password: password ? hashPassword(password) : null,
+      roles: {},
+      banned: [],
+      createdAt: Date.now()
+    };
+    this.saveMeta(room);
+    if (document) {
+      room.drawingState.setDocumentSize(document.width, document.height);
+    }
+    return room;
+  }
+
+  /**
+   * Permanently delete a room and its stored data
+   * Callers must remove connected users first
+   * @param {string} roomId - Room identifier
+   */
+  deleteRoom(roomId) {
+    this.cancelUnload(roomId);
+    this.rooms.delete(roomId);
+    if (this.storage) {
+      this.storage.remove(roomId);
+    }
+  }
+
+  /**
+   * Unload a room from memory (its drawing state stays in storage)
+   * @param {string} roomId - Room identifier
+   */
+  unloadRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    // Compact the log so the next load doesn't have to replay it
+    this.cancelUnload(roomId);
+    room.drawingState.snapshot();
+    this.rooms.delete(roomId);
+  }
+
+  /**
+   * Unload all rooms (used on shutdown)
+   */
+  unloadAll() {
+    Array.from(this.rooms.keys()).forEach(roomId => this.unloadRoom(roomId));
+  }
+
+  /**
+   * Look up a session from the secret token a client kept across reconnects
+   * @param {string} token - Session token
+   * @returns {Object|null} - Session {token, userId} or null if unknown
+   */
+  getSession(token) {
+    return (typeof token === 'string' && this.sessions.get(token)) || null;
+  }
+
+  /**
+   * Create a session: a stable user ID plus a secret token to resume it
+   * @returns {Object} - Session {token, userId}
+   */
+  createSession() {
+    const session = {
+      token: crypto.randomUUID(),
+      userId: crypto.randomUUID()
+    };
+    this.sessions.set(session.token, session);
+    if (this.storage) {
+      this.storage.saveSessions(Array.from(this.sessions.values()));
+    }
+    return session;
+  }
+
+  /**
+   * Persist a room's access control settings
+   * @param {Object} room - Room object
+   */
+  saveMeta(room) {
+    if (this.storage) {
+      this.storage.saveMeta(room.id, room.meta);
+    }
+  }
+
+  /**
+   * Decide whether a user may join a room, creating the room's settings
+   * (with the user as owner) if nobody has joined it before
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Stable user ID
+   * @param {string} password - Password supplied by the client (optional)
+   * @returns {Object} - {ok: true, role, created} or {ok: false, code, message}
+   */
+  authorizeJoin(roomId, userId, password) {
+    const room = this.getRoom(roomId);
+    
+    if (!room.meta) {
+      room.meta = {
+        ownerId: userId,
+        password: password ? hashPassword(password) : null,
+        roles: { [userId]: 'owner' },
+        banned: [],
+        createdAt: Date.now()
+      };
+      this.saveMeta(room);
+      return { ok: true, role: 'owner', created: true };
+    }
+    
+    const { meta } = room;
+    if (meta.banned.includes(userId)) {
+      return { ok: false, code: 'banned', message: 'You have been banned from this room' };
+    }
+    
+    // Users who already have a role proved they know the password before
+    if (meta.password && !meta.roles[userId]) {
+      if (!password) {
+        return { ok: false, code: 'password-required', message: 'This room requires a password' };
+      }
+      if (!verifyPassword(password, meta.password)) {
+        return { ok: false, code: 'wrong-password', message: 'Incorrect room password' };
+      }
+    }
+    
+    // Rooms created through the API are claimed by their first joiner
+    if (!meta.ownerId) {
+      meta.ownerId = userId;
+      meta.roles[userId] = 'owner';
+      this.saveMeta(room);
+      return { ok: true, role: 'owner', created: true };
+    }
+    
+    if (!meta.roles[userId]) {
+      meta.roles[userId] = DEFAULT_ROLE;
+      this.saveMeta(room);
+    }
+    return { ok: true, role: meta.roles[userId], created: false };
+  }
+
+  /**
+   * Get a user's role in a room
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Stable user ID
+   * @returns {string|null} - Role or null if the user has none
+   */
+  getRole(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    return (room && room.meta && room.meta.roles[userId]) || null;
+  }
+
+  /**
+   * Check whether a user's role allows an event
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Stable user ID
+   * @param {string} event - Socket event name
+   * @returns {boolean} - True if allowed
+   */
+  can(roomId, userId, event) {
+    const required = EVENT_ROLES[event];
+    if (!required) return true;
+    return ROLES.indexOf(this.getRole(roomId, userId)) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Change a user's role; making someone owner transfers ownership
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User whose role changes
+   * @param {string} role - New role
+   * @returns {Array} - Connected user objects whose role changed
+   */
+  setRole(roomId, userId, role) {
+    const room = this.getRoom(roomId);
+    const { meta } = room;
+    const changed = [userId];
+    
+    if (role === 'owner') {
+      meta.roles[meta.ownerId] = 'editor';
+      changed.push(meta.ownerId);
+      meta.ownerId = userId;
+    }
+    meta.roles[userId] = role;
+    this.saveMeta(room);
+    
+    const updated = [];
+    room.users.forEach(user => {
+      if (changed.includes(user.id)) {
+        user.role = meta.roles[user.id];
+        updated.push(user);
+      }
+    });
+    return updated;
+  }
+
+  /**
+   * Ban a user from a room (they keep no role and can't rejoin)
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User to ban
+   */
+  banUser(roomId, userId) {
+    const room = this.getRoom(roomId);
+    if (!room.meta.banned.includes(userId)) {
+      room.meta.banned.push(userId);
+    }
+    delete room.meta.roles[userId];
+    this.saveMeta(room);
+  }
+
+  /**
+   * Check whether a user is banned from a room
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Stable user ID
+   * @returns {boolean} - True if banned
+   */
+  isBanned(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    return Boolean(room && room.meta && room.meta.banned.includes(userId));
+  }
+
+  /**
+   * Find the connected user objects for a user ID
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Stable user ID
+   * @returns {Array} - User objects (one per socket)
+   */
+  findUsers(roomId, userId) {
+    return this.getRoomUsers(roomId).filter(user => user.id === userId);
+  }
+
+  /**
+   * Store an uploaded image for a room
+   * @param {string} roomId - Room identifier
+   * @param {Object} image - {type, data}
+   * @returns {string} - New image ID
+   */
+  saveImage(roomId, image) {
+    const imageId = crypto.randomUUID();
+    if (this.storage) {
+      this.storage.saveImage(roomId, imageId, image);
+    } else {
+      this.getRoom(roomId).images.set(imageId, image);
+    }
+    return imageId;
+  }
+
+  /**
+   * Load an uploaded image
+   * @param {string} roomId - Room identifier
+   * @param {string} imageId - Image identifier
+   * @returns {Object|null} - {type, data} or null if it doesn't exist
+   */
+  getImage(roomId, imageId) {
+    if (this.storage) {
+      return this.storage.loadImage(roomId, imageId);
+    }
+    return this.getRoom(roomId).images.get(imageId) || null;
+  }
+
   /**
    * Add user to a room
    * @param {string} roomId - Room identifier
    * @param {string} socketId - Socket ID
    * @param {string} username - User's display name
+   * @param {string} userId - Stable user ID (survives reconnects)
    * @returns {Object} - User object
    */
-  addUserToRoom(roomId, socketId, username) {
+  addUserToRoom(roomId, socketId, username, userId) {
     const room = this.getRoom(roomId);
+    this.cancelUnload(roomId);
+    
+    // A reconnecting user may still have a stale socket the server hasn't dropped yet
+    room.users.forEach((existing, existingSocketId) => {
+      if (existing.id === userId) {
+        room.users.delete(existingSocketId);
+      }
+    });
     
     // Assign a color to the user (cycle through available colors)
     const colorIndex = room.users.size % this.userColors.length;
     const user = {
-      id: socketId,
+      id: userId,
+      socketId,
       username: username || `User${room.users.size + 1}`,
       color: this.userColors[colorIndex],
+      role: this.getRole(roomId, userId) || DEFAULT_ROLE,
       cursor: { x: 0, y: 0 },
       joinedAt: Date.now()
     };
@@ -60,23 +457,20 @@ class RoomManager {
    * Remove user from a room
    * @param {string} roomId - Room identifier
    * @param {string} socketId - Socket ID
+   * @returns {boolean} - False if the socket was no longer in the room (replaced by a reconnect)
    */
   removeUserFromRoom(roomId, socketId) {
     const room = this.rooms.get(roomId);
-    if (!room) return;
+    if (!room) return false;
 
-    room.users.delete(socketId);
+    const removed = room.users.delete(socketId);
 
-    // Clean up empty rooms after 5 minutes
+    // Unload empty rooms after 5 minutes; they are rehydrated on next join
     if (room.users.size === 0) {
-      setTimeout(() => {
-        const currentRoom = this.rooms.get(roomId);
-        if (currentRoom && currentRoom.users.size === 0) {
-          this.rooms.delete(roomId);
-          console.log(`Room ${roomId} deleted (empty)`);
-        }
-      }, 5 * 60 * 1000);
+      this.scheduleUnload(roomId);
     }
+
+    return removed;
   }
 
   /**
@@ -125,3 +519,4 @@ class RoomManager {
 }
 
 module.exports = RoomManager;
+module.exports.ROLES = ROLES;
@@ -8,6 +8,15 @@ const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
 const RoomManager = require('./rooms');
+const DrawingState = require('./drawing-state');
+const { FileStorage } = require('./storage');
+const { validate, ValidationError } = require('./validation');
+const { RateLimiter } = require('./rate-limiter');
+const { createApiRouter } = require('./api');
+const { getFillSourcesKey } = require('./exporter');
+const { createImageRouter } = require('./images');
+const DrawCodec = require('../client/draw-codec');
+const Operations = require('../client/operations');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,7 +28,59 @@ const io = socketIO(server, {
 });
 
 const PORT = process.env.PORT || 3000;
-const roomManager = new RoomManager();
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const roomManager = new RoomManager(new FileStorage(DATA_DIR));
+
+// How a refused action is described to the user
+const ACTION_NAMES = {
+  'draw': 'draw',
+  'draw-batch': 'draw',
+  'stroke-complete': 'draw',
+  'shape-preview': 'draw',
+  'shape-complete': 'draw',
+  'fill-complete': 'fill areas',
+  'text-complete': 'add text',
+  'image-add': 'add images',
+  'transform': 'edit the drawing',
+  'delete': 'delete from the drawing',
+  'layer-add': 'add layers',
+  'layer-update': 'change layers',
+  'layer-move': 'reorder layers',
+  'undo': 'undo',
+  'redo': 'redo',
+  'clear-canvas': 'clear the canvas',
+  'set-role': 'change roles',
+  'kick-user': 'kick users',
+  'ban-user': 'ban users'
+};
+
+// Events that stream in while the user drags; only the commit that follows reports a refusal
+const STREAMED_EVENTS = ['draw', 'draw-batch', 'shape-preview'];
+
+// Layer of operations sent without a layerId
+const { DEFAULT_LAYER_ID } = DrawingState;
+
+// Operation types that transform and delete operations can refer to
+const EDITABLE_TYPES = ['stroke', 'shape', 'text', 'image'];
+
+// Thresholds can be overridden with a JSON object, e.g. RATE_LIMITS='{"muteDuration": 30000}'
+const rateLimiter = new RateLimiter(process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {});
+
+// Limiter state that is as good as new is dropped this often (per-user upload
+// limits have no socket whose disconnect would drop them)
+const RATE_LIMIT_SWEEP_INTERVAL = 60 * 1000;
+setInterval(() => rateLimiter.removeIdle(), RATE_LIMIT_SWEEP_INTERVAL).unref();
+
+/**
+ * Socket.io room holding a drawing room's clients that stream strokes with an
+ * older draw protocol (room IDs can't contain control characters, so it can't clash with one)
+ * @param {string} roomId - Drawing room
+ * @param {number} protocol - Draw protocol older than DrawCodec.PROTOCOL
+ * @returns {string} - Socket.io room name
+ */
+function legacyDrawRoom(roomId, protocol) {
+  return `${roomId}\u0000draw-v${protocol}`;
+}
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
@@ -28,36 +89,190 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/index.html'));
 });
 
+// REST API for tooling; remote access requires API_TOKEN (sent as a bearer token)
+app.use('/api', createApiRouter(roomManager, io, { token: process.env.API_TOKEN }));
+
+// Uploaded images referenced by `image` operations; authorized by session token and room role
+app.use('/images', createImageRouter(roomManager, rateLimiter));
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   
   let currentRoom = null;
   let currentUser = null;
+  // Rate limit state is the socket's until it has a session, then its user's,
+  // so reconnecting doesn't lift a mute or clear the mutes counted toward a disconnect
+  let limiterKey = socket.id;
+  let drawProtocol = DrawCodec.LEGACY_PROTOCOL; // Agreed on join: how this client streams strokes
 
   /**
-   * Handle room join
+   * Answer a rejected event with a structured `error` event (and a failed ack)
    */
-  socket.on('join-room', (data) => {
-    const { roomId, username } = data;
-    currentRoom = roomId || 'default';
+  const reject = (event, ack, error, notify = true) => {
+    if (notify) {
+      socket.emit('error', { event, ...error });
+    }
+    if (typeof ack === 'function') {
+      ack({ ok: false, reason: error.code, message: error.message });
+    }
+  };
+
+  /**
+   * Register an event handler that only runs for rate-limited, valid payloads
+   * the user's role permits
+   * Rejected events get a structured `error` event (and a failed ack) instead
+   */
+  const handle = (event, handler) => {
+    socket.on(event, (data, ack) => {
+      // Events sent without a payload may pass the ack callback first
+      if (typeof data === 'function') {
+        ack = data;
+        data = undefined;
+      }
+      
+      const limit = rateLimiter.check(limiterKey, currentRoom, event);
+      if (!limit.allowed) {
+        const error = { code: limit.reason, message: `Too many ${event} events` };
+        if (limit.mutedUntil) {
+          error.message = 'Muted for sending too many events';
+          error.retryAfter = limit.mutedUntil - Date.now();
+        }
+        reject(event, ack, error, limit.notify);
+        
+        if (limit.disconnect) {
+          console.warn(`Disconnecting ${socket.id} for sustained flooding`);
+          socket.emit('error', { event, code: 'disconnected', message: 'Disconnected for flooding' });
+          socket.disconnect(true);
+        }
+        return;
+      }
+      
+      let payload;
+      try {
+        payload = validate(event, data);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        
+        reject(event, ack, { code: error.code, field: error.field, message: error.message });
+        console.warn(`Rejected ${event} from ${socket.id}: ${error.message}`);
+        return;
+      }
+      
+      // Roles can change at any time, so check the room's current settings
+      if (currentRoom && !roomManager.can(currentRoom, currentUser.id, event)) {
+        const role = roomManager.getRole(currentRoom, currentUser.id) || 'guest';
+        const error = { code: 'forbidden', role, message: `Your role (${role}) can't ${ACTION_NAMES[event]}` };
+        // Draw and preview events stream in; the commit's ack reports the refusal once
+        reject(event, ack, error, !STREAMED_EVENTS.includes(event));
+        return;
+      }
+      
+      handler(payload, ack);
+    });
+  };
+
+  /**
+   * Leave the current room and notify the remaining users
+   */
+  const leaveCurrentRoom = () => {
+    if (!currentRoom || !currentUser) return;
+    
+    socket.leave(currentRoom);
+    socket.leave(legacyDrawRoom(currentRoom, drawProtocol));
+    
+    // Skip the notification if a reconnect already replaced this socket
+    if (roomManager.removeUserFromRoom(currentRoom, socket.id)) {
+      socket.to(currentRoom).emit('user-left', {
+        userId: currentUser.id,
+        username: currentUser.username,
+        users: roomManager.getRoomUsers(currentRoom)
+      });
+    }
+    if (roomManager.getRoomUsers(currentRoom).length === 0) {
+      rateLimiter.removeRoom(currentRoom);
+    }
+    
+    console.log(`${currentUser.username} left room: ${currentRoom}`);
+    currentRoom = null;
+    currentUser = null;
+  };
+  
+  // Lets the owner's connection remove this socket from its room
+  socket.data.leaveRoom = leaveCurrentRoom;
+
+  /**
+   * Remove every connection of a user from the current room
+   * @param {string} userId - User to remove
+   * @param {boolean} banned - Whether the user was also banned
+   */
+  const removeUser = (userId, banned) => {
+    roomManager.findUsers(currentRoom, userId).forEach(user => {
+      const target = io.sockets.sockets.get(user.socketId);
+      if (!target) return;
+      
+      target.emit('kicked', { roomId: currentRoom, banned, by: currentUser.username });
+      target.data.leaveRoom();
+    });
+  };
+
+  /**
+   * Handle room join (also used to rejoin after a reconnect)
+   */
+  handle('join-room', (data) => {
+    const { roomId, username, password, sessionToken, lastSeq } = data;
+    leaveCurrentRoom();
+    
+    // Resume the client's identity if it has one, so its undo history and role still apply
+    const session = roomManager.getSession(sessionToken) || roomManager.createSession();
+    limiterKey = session.userId;
+    
+    // The first user to join a room creates it and becomes its owner
+    const access = roomManager.authorizeJoin(roomId, session.userId, password);
+    if (!access.ok) {
+      socket.emit('join-refused', {
+        roomId,
+        code: access.code,
+        message: access.message,
+        sessionToken: session.token
+      });
+      console.log(`Refused ${session.userId} from room ${roomId}: ${access.code}`);
+      return;
+    }
+    
+    currentRoom = roomId;
     
     // Join socket.io room
     socket.join(currentRoom);
     
+    // The newest draw protocol both sides speak; clients that don't say speak the first
+    drawProtocol = Math.min(data.drawProtocol || DrawCodec.LEGACY_PROTOCOL, DrawCodec.PROTOCOL);
+    if (drawProtocol < DrawCodec.PROTOCOL) {
+      socket.join(legacyDrawRoom(currentRoom, drawProtocol));
+    }
+    
     // Add user to room manager
-    currentUser = roomManager.addUserToRoom(currentRoom, socket.id, username);
+    currentUser = roomManager.addUserToRoom(currentRoom, socket.id, username, session.userId);
     
     // Get current drawing state
     const drawingState = roomManager.getDrawingState(currentRoom);
     const roomUsers = roomManager.getRoomUsers(currentRoom);
     
-    // Send initial state to the joining user
-    socket.emit('room-joined', {
+    // Send only what a rejoining client missed, or the full state if we can't
+    const joined = {
       user: currentUser,
       users: roomUsers,
-      drawingState: drawingState.getFullState()
-    });
+      sessionToken: session.token,
+      created: access.created,
+      drawProtocol
+    };
+    const changes = lastSeq !== undefined ? drawingState.getChangesSince(lastSeq) : null;
+    if (changes) {
+      joined.changes = changes;
+    } else {
+      joined.drawingState = drawingState.getFullState();
+    }
+    socket.emit('room-joined', joined);
     
     // Notify other users in the room
     socket.to(currentRoom).emit('user-joined', {
@@ -65,21 +280,22 @@ io.on('connection', (socket) => {
       users: roomUsers
     });
     
-    console.log(`${currentUser.username} joined room: ${currentRoom}`);
+    console.log(`${currentUser.username} joined room: ${currentRoom}` +
+      (changes ? ` (caught up ${changes.length} changes)` : ''));
   });
 
   /**
    * Handle drawing events (real-time stroke data)
    */
-  socket.on('draw', (data) => {
+  handle('draw', (data) => {
     if (!currentRoom) return;
     
     // Add user info and broadcast to other users in real-time
     const drawData = {
       ...data,
-      userId: socket.id,
-      username: currentUser?.username,
-      userColor: currentUser?.color
+      userId: currentUser.id,
+      username: currentUser.username,
+      userColor: currentUser.color
     };
     
     // Broadcast to other users immediately (not saved to history yet)
@@ -87,88 +303,413 @@ io.on('connection', (socket) => {
   });
 
   /**
-   * Handle stroke completion (save to operation history)
+   * Handle batched drawing events (draw protocols 2 and 3): relayed unchanged
+   * to clients that speak the newest protocol, without brush styles to those
+   * that speak protocol 2 (they see round brushes until the stroke is
+   * committed), and as separate draw events to those that speak neither
    */
-  socket.on('stroke-complete', (data) => {
+  handle('draw-batch', ({ batch, events }) => {
     if (!currentRoom) return;
     
+    const jsonRoom = legacyDrawRoom(currentRoom, DrawCodec.LEGACY_PROTOCOL);
+    const unstyledRoom = legacyDrawRoom(currentRoom, DrawCodec.BATCH_PROTOCOL);
+    socket.to(currentRoom).except([jsonRoom, unstyledRoom]).emit('draw-batch', { userId: currentUser.id, batch });
+    socket.to(unstyledRoom).emit('draw-batch', {
+      userId: currentUser.id,
+      batch: drawProtocol > DrawCodec.BATCH_PROTOCOL ? DrawCodec.encode(events, DrawCodec.BATCH_PROTOCOL) : batch
+    });
+    events.forEach(event => {
+      socket.to(jsonRoom).emit('draw', {
+        ...event,
+        userId: currentUser.id,
+        username: currentUser.username,
+        userColor: currentUser.color
+      });
+    });
+  });
+
+  /**
+   * Register a handler of an event that commits an operation (see commitOperation)
+   * A retry of an operation the room already has is acknowledged as a duplicate
+   * before anything else is checked: its layer may have been locked, or what it
+   * refers to removed, since it was stored.
+   */
+  const handleCommit = (event, handler) => {
+    handle(event, (data, ack) => {
+      const stored = currentRoom
+        ? roomManager.getDrawingState(currentRoom).findSubmission(currentUser.id, data.clientId)
+        : null;
+      if (stored) {
+        if (typeof ack === 'function') {
+          ack({ ok: true, id: stored.id, seq: stored.seq, duplicate: true });
+        }
+        return;
+      }
+      
+      handler(data, ack);
+    });
+  };
+
+  /**
+   * Add an operation from the current user to the room's history and broadcast it
+   * Operations with a layerId must go on an existing layer that isn't locked
+   * (retries never get here, see handleCommit)
+   * Acknowledged with {ok, id, seq, duplicate} or {ok: false, reason}
+   */
+  const commitOperation = (event, fields, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!currentRoom) {
+      respond({ ok: false, reason: 'not-in-room' });
+      return;
+    }
+    
     const drawingState = roomManager.getDrawingState(currentRoom);
     
-    // Create operation object
-    const operation = {
+    if (fields.layerId !== undefined) {
+      const layer = drawingState.getLayer(fields.layerId);
+      if (!layer) {
+        reject(event, ack, { code: 'unknown-layer', message: 'That layer no longer exists' });
+        return;
+      }
+      if (layer.locked) {
+        reject(event, ack, { code: 'layer-locked', message: `Layer "${layer.name}" is locked` });
+        return;
+      }
+    }
+    
+    // Add to operation history (assigns id and sequence number)
+    const { operation: stored, duplicate } = drawingState.addOperation({
+      ...fields,
+      userId: currentUser.id,
+      username: currentUser.username,
+      userColor: currentUser.color
+    });
+    
+    // A retry of an operation we already have: everyone has seen it, just confirm
+    if (!duplicate) {
+      io.to(currentRoom).emit('operation-added', stored);
+    }
+    
+    respond({ ok: true, id: stored.id, seq: stored.seq, duplicate });
+  };
+
+  /**
+   * Handle stroke completion (save to operation history)
+   */
+  handleCommit('stroke-complete', (data, ack) => {
+    commitOperation('stroke-complete', {
       type: 'stroke',
-      userId: socket.id,
-      username: currentUser?.username,
-      userColor: currentUser?.color,
+      layerId: data.layerId !== undefined ? data.layerId : DEFAULT_LAYER_ID,
+      clientId: data.clientId,
       tool: data.tool,
       color: data.color,
       lineWidth: data.lineWidth,
+      smooth: data.smooth,
+      brush: data.brush,
+      opacity: data.opacity,
+      blend: data.blend,
       points: data.points
-    };
+    }, ack);
+  });
+
+  /**
+   * Handle shape previews (the shape being dragged out, not saved to history)
+   */
+  handle('shape-preview', (data) => {
+    if (!currentRoom) return;
+    
+    socket.to(currentRoom).emit('shape-preview', {
+      ...data,
+      userId: currentUser.id,
+      username: currentUser.username
+    });
+  });
+
+  /**
+   * Handle shape completion (stored as its parameters rather than points)
+   */
+  handleCommit('shape-complete', (data, ack) => {
+    commitOperation('shape-complete', {
+      type: 'shape',
+      clientId: data.clientId,
+      layerId: data.layerId !== undefined ? data.layerId : DEFAULT_LAYER_ID,
+      shape: data.shape,
+      color: data.color,
+      lineWidth: data.lineWidth,
+      fill: data.fill,
+      start: data.start,
+      end: data.end
+    }, ack);
+  });
+
+  /**
+   * Handle a fill (stored as its seed, color and tolerance; every client
+   * floods it over what is drawn before it on its layer)
+   * It is confined to the room's document as it is now, which it records as its area.
+   * Its region (what it covered for its author) is kept with a key of what it
+   * was flooded over, so exports can tell whether it still applies.
+   */
+  handleCommit('fill-complete', (data, ack) => {
+    const area = currentRoom ? { x: 0, y: 0, ...roomManager.getDrawingState(currentRoom).document } : null;
+    if (area && (data.seed.x < area.x || data.seed.y < area.y ||
+        data.seed.x >= area.x + area.width || data.seed.y >= area.y + area.height)) {
+      reject('fill-complete', ack, { code: 'outside-document', message: 'Fills must start inside the document' });
+      return;
+    }
     
-    // Add to operation history
-    const operationId = drawingState.addOperation(operation);
+    const layerId = data.layerId !== undefined ? data.layerId : DEFAULT_LAYER_ID;
+    let regionSources;
+    if (area && data.region) {
+      const operations = Operations.resolve(roomManager.getDrawingState(currentRoom).getActiveOperations());
+      regionSources = getFillSourcesKey(operations.filter(op => Operations.getLayerId(op) === layerId));
+    }
     
-    // Broadcast to all users (including sender for confirmation)
-    io.to(currentRoom).emit('operation-added', {
-      ...operation,
-      id: operationId
+    commitOperation('fill-complete', {
+      type: 'fill',
+      clientId: data.clientId,
+      layerId,
+      seed: data.seed,
+      color: data.color,
+      tolerance: data.tolerance,
+      area,
+      region: data.region,
+      regionSources
+    }, ack);
+  });
+
+  /**
+   * Handle adding text, or editing an existing text (recorded as a new version)
+   */
+  handleCommit('text-complete', (data, ack) => {
+    let editOf;
+    let layerId = data.layerId !== undefined ? data.layerId : DEFAULT_LAYER_ID;
+    if (currentRoom && data.editOf !== undefined) {
+      // Only the version that is drawn can be edited: not an older one (that would
+      // undo the newer edit), nor one deleted or undone since (that would bring it back)
+      const edited = Operations.resolve(roomManager.getDrawingState(currentRoom).getActiveOperations())
+        .find(op => op.id === data.editOf);
+      if (!edited || edited.type !== 'text') {
+        reject('text-complete', ack, { code: 'unknown-operation', message: 'That text has been changed or deleted since' });
+        return;
+      }
+      // Every version refers to the original
+      editOf = Operations.getTextId(edited);
+      // New versions stay on the text's layer
+      layerId = edited.layerId !== undefined ? edited.layerId : DEFAULT_LAYER_ID;
+    }
+    
+    commitOperation('text-complete', {
+      type: 'text',
+      clientId: data.clientId,
+      layerId,
+      text: data.text,
+      fontSize: data.fontSize,
+      color: data.color,
+      x: data.x,
+      y: data.y,
+      width: data.width,
+      editOf
+    }, ack);
+  });
+
+  /**
+   * Handle placing an uploaded image (see images.js)
+   */
+  handleCommit('image-add', (data, ack) => {
+    if (currentRoom && !roomManager.getImage(currentRoom, data.imageId)) {
+      reject('image-add', ack, { code: 'unknown-image', message: 'Upload the image to this room first' });
+      return;
+    }
+    
+    commitOperation('image-add', {
+      type: 'image',
+      clientId: data.clientId,
+      layerId: data.layerId !== undefined ? data.layerId : DEFAULT_LAYER_ID,
+      imageId: data.imageId,
+      x: data.x,
+      y: data.y,
+      width: data.width,
+      height: data.height
+    }, ack);
+  });
+
+  /**
+   * Check that every operation an edit refers to exists, can be edited and
+   * isn't on a locked layer (undone targets are allowed: redoing them brings them back edited)
+   * @returns {Object|null} - Error to reject the edit with, or null
+   */
+  const checkTargets = (targetIds) => {
+    if (!currentRoom) return null; // commitOperation reports not-in-room
+    const drawingState = roomManager.getDrawingState(currentRoom);
+    for (const id of targetIds) {
+      const target = drawingState.getOperation(id);
+      if (!target || !EDITABLE_TYPES.includes(target.type)) {
+        return { code: 'unknown-operation', message: 'Part of the selection no longer exists' };
+      }
+      const layer = drawingState.getOperationLayer(target);
+      if (layer && layer.locked) {
+        return { code: 'layer-locked', message: `Layer "${layer.name}" is locked` };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Handle moving, scaling or recoloring operations (see client/operations.js)
+   */
+  handleCommit('transform', (data, ack) => {
+    const error = checkTargets(data.targetIds);
+    if (error) {
+      reject('transform', ack, error);
+      return;
+    }
+    
+    commitOperation('transform', {
+      type: 'transform',
+      clientId: data.clientId,
+      targetIds: data.targetIds,
+      scaleX: data.scaleX,
+      scaleY: data.scaleY,
+      translateX: data.translateX,
+      translateY: data.translateY,
+      color: data.color
+    }, ack);
+  });
+
+  /**
+   * Handle deleting operations (undoing the delete brings them back)
+   */
+  handleCommit('delete', (data, ack) => {
+    const error = checkTargets(data.targetIds);
+    if (error) {
+      reject('delete', ack, error);
+      return;
+    }
+    
+    commitOperation('delete', {
+      type: 'delete',
+      clientId: data.clientId,
+      targetIds: data.targetIds
+    }, ack);
+  });
+
+  /**
+   * Send a room's new layer list to everyone in it
+   */
+  const broadcastLayers = (result) => {
+    io.to(currentRoom).emit('layers-changed', {
+      userId: currentUser.id,
+      username: currentUser.username,
+      seq: result.seq,
+      layers: result.layers
     });
+  };
+
+  /**
+   * Handle adding a layer (on top of the others)
+   * Acknowledged with {ok, layerId} or {ok: false, reason}
+   */
+  handle('layer-add', (data, ack) => {
+    if (!currentRoom) return;
+    
+    const result = roomManager.getDrawingState(currentRoom).addLayer(data.name);
+    if (!result) {
+      reject('layer-add', ack, { code: 'too-many-layers', message: 'This room has as many layers as it can' });
+      return;
+    }
+    
+    broadcastLayers(result);
+    if (typeof ack === 'function') {
+      ack({ ok: true, layerId: result.layer.id });
+    }
+  });
+
+  /**
+   * Handle renaming, hiding/showing or locking/unlocking a layer
+   */
+  handle('layer-update', (data, ack) => {
+    if (!currentRoom) return;
+    
+    const { layerId, ...changes } = data;
+    const result = roomManager.getDrawingState(currentRoom).updateLayer(layerId, changes);
+    if (!result) {
+      reject('layer-update', ack, { code: 'unknown-layer', message: 'That layer no longer exists' });
+      return;
+    }
+    
+    broadcastLayers(result);
+  });
+
+  /**
+   * Handle moving a layer up or down the stack
+   */
+  handle('layer-move', (data, ack) => {
+    if (!currentRoom) return;
+    
+    const result = roomManager.getDrawingState(currentRoom).moveLayer(data.layerId, data.index);
+    if (!result) {
+      reject('layer-move', ack, { code: 'unknown-layer', message: 'That layer no longer exists' });
+      return;
+    }
+    
+    broadcastLayers(result);
   });
 
   /**
    * Handle cursor movement
    */
-  socket.on('cursor-move', (data) => {
+  handle('cursor-move', (data) => {
     if (!currentRoom) return;
     
     roomManager.updateUserCursor(currentRoom, socket.id, data);
     
     // Broadcast cursor position to other users
     socket.to(currentRoom).emit('cursor-move', {
-      userId: socket.id,
-      username: currentUser?.username,
+      userId: currentUser.id,
+      username: currentUser.username,
       cursor: data,
-      color: currentUser?.color
+      color: currentUser.color
     });
   });
 
   /**
-   * Handle undo operation
+   * Handle undo operation (undoes the requesting user's latest operation)
    */
-  socket.on('undo', () => {
+  handle('undo', () => {
     if (!currentRoom) return;
     
     const drawingState = roomManager.getDrawingState(currentRoom);
-    const result = drawingState.undo();
+    const result = drawingState.undo(currentUser.id);
     
     if (result) {
-      // Broadcast undo to all users
+      // Broadcast which operation was hidden to all users
       io.to(currentRoom).emit('undo-operation', {
-        userId: socket.id,
-        username: currentUser?.username,
-        operation: result.operation,
-        newIndex: result.newIndex
+        userId: currentUser.id,
+        username: currentUser.username,
+        seq: result.seq,
+        operationId: result.operationId,
+        operation: result.operation
       });
     }
   });
 
   /**
-   * Handle redo operation
+   * Handle redo operation (restores the requesting user's latest undo)
    */
-  socket.on('redo', () => {
+  handle('redo', () => {
     if (!currentRoom) return;
     
     const drawingState = roomManager.getDrawingState(currentRoom);
-    const result = drawingState.redo();
+    const result = drawingState.redo(currentUser.id);
     
     if (result) {
-      // Broadcast redo to all users
+      // Broadcast which operation was restored to all users
       io.to(currentRoom).emit('redo-operation', {
-        userId: socket.id,
-        username: currentUser?.username,
-        operation: result.operation,
-        newIndex: result.newIndex
+        userId: currentUser.id,
+        username: currentUser.username,
+        seq: result.seq,
+        operationId: result.operationId,
+        operation: result.operation
       });
     }
   });
@@ -176,37 +717,108 @@ io.on('connection', (socket) => {
   /**
    * Handle clear canvas
    */
-  socket.on('clear-canvas', () => {
+  handle('clear-canvas', () => {
     if (!currentRoom) return;
     
     const drawingState = roomManager.getDrawingState(currentRoom);
-    drawingState.clear();
+    const seq = drawingState.clear();
     
     // Broadcast clear to all users
     io.to(currentRoom).emit('canvas-cleared', {
-      userId: socket.id,
-      username: currentUser?.username
+      seq,
+      userId: currentUser.id,
+      username: currentUser.username
     });
   });
 
   /**
-   * Handle disconnect
+   * Handle role changes (owner only); making someone owner transfers ownership
    */
-  socket.on('disconnect', () => {
-    if (currentRoom && currentUser) {
-      roomManager.removeUserFromRoom(currentRoom, socket.id);
-      const roomUsers = roomManager.getRoomUsers(currentRoom);
-      
-      // Notify other users
-      socket.to(currentRoom).emit('user-left', {
-        userId: socket.id,
-        username: currentUser.username,
-        users: roomUsers
-      });
-      
-      console.log(`${currentUser.username} left room: ${currentRoom}`);
+  handle('set-role', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!currentRoom) {
+      respond({ ok: false, reason: 'not-in-room' });
+      return;
+    }
+    
+    const { userId, role } = data;
+    if (userId === currentUser.id) {
+      reject('set-role', ack, { code: 'invalid-target', message: 'Transfer ownership to change your own role' });
+      return;
+    }
+    if (!roomManager.getRole(currentRoom, userId)) {
+      reject('set-role', ack, { code: 'unknown-user', message: 'That user has never joined this room' });
+      return;
+    }
+    
+    roomManager.setRole(currentRoom, userId, role);
+    
+    // Everyone updates their users list; the affected users also update their permissions
+    io.to(currentRoom).emit('role-changed', {
+      userId,
+      role,
+      by: currentUser.username,
+      users: roomManager.getRoomUsers(currentRoom)
+    });
+    respond({ ok: true });
+  });
+
+  /**
+   * Handle kicking (owner only); kicked users may rejoin
+   */
+  handle('kick-user', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!currentRoom) {
+      respond({ ok: false, reason: 'not-in-room' });
+      return;
+    }
+    
+    if (data.userId === currentUser.id) {
+      reject('kick-user', ack, { code: 'invalid-target', message: "You can't kick yourself" });
+      return;
+    }
+    if (roomManager.findUsers(currentRoom, data.userId).length === 0) {
+      reject('kick-user', ack, { code: 'unknown-user', message: "That user isn't in this room" });
+      return;
+    }
+    
+    removeUser(data.userId, false);
+    respond({ ok: true });
+  });
+
+  /**
+   * Handle banning (owner only); banned users are kicked and can't rejoin
+   */
+  handle('ban-user', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!currentRoom) {
+      respond({ ok: false, reason: 'not-in-room' });
+      return;
+    }
+    
+    if (data.userId === currentUser.id) {
+      reject('ban-user', ack, { code: 'invalid-target', message: "You can't ban yourself" });
+      return;
+    }
+    // Users who left can be banned too, and banning twice is harmless
+    if (!roomManager.getRole(currentRoom, data.userId) && !roomManager.isBanned(currentRoom, data.userId) &&
+        roomManager.findUsers(currentRoom, data.userId).length === 0) {
+      reject('ban-user', ack, { code: 'unknown-user', message: 'That user has never joined this room' });
+      return;
     }
     
+    roomManager.banUser(currentRoom, data.userId);
+    removeUser(data.userId, true);
+    respond({ ok: true });
+  });
+
+  /**
+   * Handle disconnect
+   */
+  socket.on('disconnect', () => {
+    leaveCurrentRoom();
+    // Only what was limited before the session; the user's state outlives the socket (see removeIdle)
+    rateLimiter.removeClient(socket.id);
     console.log(`Client disconnected: ${socket.id}`);
   });
 
@@ -227,6 +839,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing server...');
+  roomManager.unloadAll();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,305 @@
+/**
+ * Room Storage
+ * Pluggable persistence backends for room drawing state
+ *
+ * Every backend implements the same interface:
+ *   load(roomId)                  -> { snapshot, entries } | null
+ *   append(roomId, entry)         -> void   (append one entry to the operation log)
+ *   writeSnapshot(roomId, state)  -> void   (replace snapshot, compact the log)
+ *   loadMeta(roomId)              -> Object | null  (owner, password hash, roles, bans)
+ *   saveMeta(roomId, meta)        -> void
+ *   saveImage(roomId, imageId, image) -> void     (image: {type, data: Buffer})
+ *   loadImage(roomId, imageId)    -> {type, data} | null
+ *   loadSessions()                -> Array
+ *   saveSessions(sessions)        -> void
+ *   listRooms()                   -> string[]
+ *   exists(roomId)                -> boolean
+ *   remove(roomId)                -> void
+ *
+ * Entries and snapshots carry a sequence number (`seq`), so replay can skip
+ * log entries that are already contained in the snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'operations.log';
+const META_FILE = 'meta.json';
+const SESSIONS_FILE = 'sessions.json';
+const IMAGES_DIR = 'images';
+
+/**
+ * Filesystem backend (default)
+ * Stores each room in its own directory:
+ *   <baseDir>/<roomId>/snapshot.json   - last compacted state
+ *   <baseDir>/<roomId>/operations.log  - JSON lines appended after the snapshot
+ *   <baseDir>/<roomId>/meta.json       - access control settings
+ *   <baseDir>/<roomId>/images/<id>     - uploaded image data (+ <id>.json with its type)
+ *   <baseDir>/sessions.json            - user sessions (shared by all rooms)
+ */
+class FileStorage {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    fs.mkdirSync(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Map a room ID to a safe directory name
+   * @param {string} roomId - Room identifier
+   * @returns {string} - Absolute directory path
+   */
+  roomDir(roomId) {
+    // Encode everything that could escape the base directory ('/', '..')
+    const name = encodeURIComponent(roomId).replace(/\./g, '%2E');
+    return path.join(this.baseDir, name);
+  }
+
+  /**
+   * Load a room's snapshot and the log entries written after it
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} - {snapshot, entries} or null if the room was never stored
+   */
+  load(roomId) {
+    const dir = this.roomDir(roomId);
+    if (!fs.existsSync(dir)) {
+      return null;
+    }
+
+    const snapshot = this.readJSON(path.join(dir, SNAPSHOT_FILE));
+
+    const entries = [];
+    const logPath = path.join(dir, LOG_FILE);
+    if (fs.existsSync(logPath)) {
+      const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line; everything before it is intact
+          console.warn(`Skipping corrupt log entry in room ${roomId}`);
+        }
+      }
+    }
+
+    return { snapshot, entries };
+  }
+
+  /**
+   * Append an entry to a room's operation log
+   * @param {string} roomId - Room identifier
+   * @param {Object} entry - Log entry
+   */
+  append(roomId, entry) {
+    const dir = this.roomDir(roomId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(path.join(dir, LOG_FILE), JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Read a JSON file, or null if it doesn't exist
+   * @param {string} filePath - Absolute file path
+   * @returns {*} - Parsed content or null
+   */
+  readJSON(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Atomically replace a JSON file
+   * @param {string} filePath - Absolute file path
+   * @param {*} value - Value to serialize
+   */
+  writeJSON(filePath, value) {
+    // Write then rename so a crash never leaves a half-written file
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Write a new snapshot and truncate the log it supersedes
+   * @param {string} roomId - Room identifier
+   * @param {Object} state - Serialized drawing state (must include seq)
+   */
+  writeSnapshot(roomId, state) {
+    const dir = this.roomDir(roomId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    this.writeJSON(path.join(dir, SNAPSHOT_FILE), state);
+
+    // Entries up to state.seq are now in the snapshot
+    fs.writeFileSync(path.join(dir, LOG_FILE), '');
+  }
+
+  /**
+   * Load a room's access control settings
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} - Room metadata or null if never saved
+   */
+  loadMeta(roomId) {
+    return this.readJSON(path.join(this.roomDir(roomId), META_FILE));
+  }
+
+  /**
+   * Save a room's access control settings
+   * @param {string} roomId - Room identifier
+   * @param {Object} meta - Room metadata
+   */
+  saveMeta(roomId, meta) {
+    const dir = this.roomDir(roomId);
+    fs.mkdirSync(dir, { recursive: true });
+    this.writeJSON(path.join(dir, META_FILE), meta);
+  }
+
+  /**
+   * Store an uploaded image
+   * @param {string} roomId - Room identifier
+   * @param {string} imageId - Image identifier (safe for use as a file name)
+   * @param {Object} image - {type, data}
+   */
+  saveImage(roomId, imageId, image) {
+    const dir = path.join(this.roomDir(roomId), IMAGES_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, imageId), image.data);
+    this.writeJSON(path.join(dir, `${imageId}.json`), { type: image.type, size: image.data.length });
+  }
+
+  /**
+   * Load an uploaded image
+   * @param {string} roomId - Room identifier
+   * @param {string} imageId - Image identifier
+   * @returns {Object|null} - {type, data} or null if it doesn't exist
+   */
+  loadImage(roomId, imageId) {
+    const dir = path.join(this.roomDir(roomId), IMAGES_DIR);
+    const info = this.readJSON(path.join(dir, `${imageId}.json`));
+    if (!info) return null;
+
+    return { type: info.type, data: fs.readFileSync(path.join(dir, imageId)) };
+  }
+
+  /**
+   * Load all user sessions
+   * @returns {Array} - Array of sessions
+   */
+  loadSessions() {
+    return this.readJSON(path.join(this.baseDir, SESSIONS_FILE)) || [];
+  }
+
+  /**
+   * Replace the stored user sessions
+   * @param {Array} sessions - Array of sessions
+   */
+  saveSessions(sessions) {
+    this.writeJSON(path.join(this.baseDir, SESSIONS_FILE), sessions);
+  }
+
+  /**
+   * List all stored room IDs
+   * @returns {Array} - Array of room IDs
+   */
+  listRooms() {
+    return fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => decodeURIComponent(entry.name));
+  }
+
+  /**
+   * Check whether a room has stored data, without listing every room
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} - True if the room's directory exists
+   */
+  exists(roomId) {
+    return fs.existsSync(this.roomDir(roomId));
+  }
+
+  /**
+   * Permanently delete a room's stored data
+   * @param {string} roomId - Room identifier
+   */
+  remove(roomId) {
+    fs.rmSync(this.roomDir(roomId), { recursive: true, force: true });
+  }
+}
+
+/**
+ * In-memory backend
+ * Keeps the same log/snapshot structure without touching disk (useful for tests)
+ */
+class MemoryStorage {
+  constructor() {
+    this.rooms = new Map(); // roomId -> {snapshot, entries}
+    this.meta = new Map(); // roomId -> metadata
+    this.images = new Map(); // roomId -> Map(imageId -> {type, data})
+    this.sessions = [];
+  }
+
+  load(roomId) {
+    const stored = this.rooms.get(roomId);
+    if (!stored) return null;
+
+    return JSON.parse(JSON.stringify(stored));
+  }
+
+  append(roomId, entry) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, { snapshot: null, entries: [] });
+    }
+    // Copy so later in-memory mutations can't rewrite stored history
+    this.rooms.get(roomId).entries.push(JSON.parse(JSON.stringify(entry)));
+  }
+
+  writeSnapshot(roomId, state) {
+    this.rooms.set(roomId, { snapshot: JSON.parse(JSON.stringify(state)), entries: [] });
+  }
+
+  loadMeta(roomId) {
+    const meta = this.meta.get(roomId);
+    return meta ? JSON.parse(JSON.stringify(meta)) : null;
+  }
+
+  saveMeta(roomId, meta) {
+    this.meta.set(roomId, JSON.parse(JSON.stringify(meta)));
+  }
+
+  saveImage(roomId, imageId, image) {
+    if (!this.images.has(roomId)) {
+      this.images.set(roomId, new Map());
+    }
+    this.images.get(roomId).set(imageId, { type: image.type, data: Buffer.from(image.data) });
+  }
+
+  loadImage(roomId, imageId) {
+    const image = this.images.has(roomId) && this.images.get(roomId).get(imageId);
+    return image ? { type: image.type, data: Buffer.from(image.data) } : null;
+  }
+
+  loadSessions() {
+    return JSON.parse(JSON.stringify(this.sessions));
+  }
+
+  saveSessions(sessions) {
+    this.sessions = JSON.parse(JSON.stringify(sessions));
+  }
+
+  listRooms() {
+    return Array.from(new Set([...this.rooms.keys(), ...this.meta.keys()]));
+  }
+
+  exists(roomId) {
+    return this.rooms.has(roomId) || this.meta.has(roomId);
+  }
+
+  remove(roomId) {
+    this.rooms.delete(roomId);
+    this.meta.delete(roomId);
+    this.images.delete(roomId);
+  }
+}
+
+module.exports = { FileStorage, MemoryStorage };
@@ -0,0 +1,796 @@
+/**
+ * Payload Validation
+ * Strict schema checks for every inbound socket event
+ *
+ * Validators return a normalized copy of the payload containing only known
+ * fields, or throw a ValidationError describing the first problem found.
+ */
+
+const { ROLES } = require('./rooms');
+const DrawCodec = require('../client/draw-codec');
+const Brushes = require('../client/brushes');
+
+const LIMITS = {
+  MAX_PAYLOAD_BYTES: 512 * 1024,
+  MAX_POINTS: 10000,
+  MAX_DRAW_BATCH_BYTES: 64 * 1024,
+  MAX_DRAW_BATCH_EVENTS: 2000,
+  MAX_COORDINATE: 100000,
+  MIN_LINE_WIDTH: 1,
+  MAX_LINE_WIDTH: 50,
+  MIN_OPACITY: 0.05,
+  MAX_ROOM_ID_LENGTH: 50,
+  MAX_USERNAME_LENGTH: 20,
+  MAX_PASSWORD_LENGTH: 100,
+  MAX_EXPORT_PADDING: 1000,
+  MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+  MAX_IMAGE_SIZE: 10000,
+  MAX_TEXT_LENGTH: 2000,
+  MIN_FONT_SIZE: 8,
+  MAX_FONT_SIZE: 200,
+  MAX_TEXT_WIDTH: 10000,
+  MAX_FILL_TOLERANCE: 100,
+  MAX_FILL_REGION_RECTS: 10000,
+  MAX_TARGETS: 1000,
+  MAX_LAYER_NAME_LENGTH: 30,
+  MIN_DOCUMENT_SIZE: 100,
+  MAX_DOCUMENT_SIZE: 20000,
+  MIN_SCALE: 0.01,
+  MAX_SCALE: 100,
+  MAX_ID_LENGTH: 64
+};
+
+const TOOLS = ['brush', 'eraser'];
+const SHAPES = ['line', 'rect', 'ellipse', 'arrow'];
+const DRAW_TYPES = ['start', 'continue', 'cancel'];
+const SHAPE_PREVIEW_TYPES = ['update', 'end'];
+
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+const TEXT_CONTROL_CHARS = /[\u0000-\u0009\u000b-\u001f\u007f]/; // Newlines are allowed
+
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {string} field - Path of the offending field
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'invalid-payload';
+    this.field = field;
+  }
+}
+
+/**
+ * Assert that a value is a plain object
+ */
+function requireObject(value, field) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(`${field} must be an object`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a finite number within [min, max]
+ */
+function requireNumber(value, field, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new ValidationError(`${field} must be a finite number`, field);
+  }
+  if (value < min || value > max) {
+    throw new ValidationError(`${field} must be between ${min} and ${max}`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a document width or height (whole canvas units)
+ */
+function requireDocumentSize(value, field) {
+  requireNumber(value, field, LIMITS.MIN_DOCUMENT_SIZE, LIMITS.MAX_DOCUMENT_SIZE);
+  if (!Number.isInteger(value)) {
+    throw new ValidationError(`${field} must be a whole number`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a printable string of bounded length
+ */
+function requireString(value, field, maxLength) {
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`, field);
+  }
+  if (value.length > maxLength) {
+    throw new ValidationError(`${field} must be at most ${maxLength} characters`, field);
+  }
+  if (CONTROL_CHARS.test(value)) {
+    throw new ValidationError(`${field} contains control characters`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate an opaque identifier (UUIDs, session tokens)
+ */
+function requireId(value, field) {
+  requireString(value, field, LIMITS.MAX_ID_LENGTH);
+  if (!ID_PATTERN.test(value)) {
+    throw new ValidationError(`${field} has an invalid format`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a layer ID (layers are numbered from 0)
+ */
+function requireLayerId(value, field) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ValidationError(`${field} must be a layer ID`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a layer name (not blank, surrounding whitespace dropped)
+ */
+function requireLayerName(value, field) {
+  requireString(value, field, LIMITS.MAX_LAYER_NAME_LENGTH);
+  if (value.trim() === '') {
+    throw new ValidationError(`${field} must not be blank`, field);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a value against a whitelist
+ */
+function requireOneOf(value, field, allowed) {
+  if (!allowed.includes(value)) {
+    throw new ValidationError(`${field} must be one of: ${allowed.join(', ')}`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a hex color string
+ */
+function requireColor(value, field) {
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+    throw new ValidationError(`${field} must be a hex color like #RRGGBB`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a boolean flag
+ */
+function requireBoolean(value, field) {
+  if (typeof value !== 'boolean') {
+    throw new ValidationError(`${field} must be true or false`, field);
+  }
+  return value;
+}
+
+/**
+ * Validate a {x, y} point within the coordinate limits
+ */
+function requirePoint(value, field) {
+  requireObject(value, field);
+  return {
+    x: requireNumber(value.x, `${field}.x`, -LIMITS.MAX_COORDINATE, LIMITS.MAX_COORDINATE),
+    y: requireNumber(value.y, `${field}.y`, -LIMITS.MAX_COORDINATE, LIMITS.MAX_COORDINATE)
+  };
+}
+
+/**
+ * Validate a stroke point: {x, y} with the pen's pressure (0-1) and tilt
+ * (degrees) when it was drawn with one
+ */
+function requireStrokePoint(value, field) {
+  const point = requirePoint(value, field);
+  if (value.pressure !== undefined) {
+    point.pressure = requireNumber(value.pressure, `${field}.pressure`, 0, 1);
+  }
+  if (value.tiltX !== undefined || value.tiltY !== undefined) {
+    point.tiltX = requireNumber(value.tiltX, `${field}.tiltX`, -90, 90);
+    point.tiltY = requireNumber(value.tiltY, `${field}.tiltY`, -90, 90);
+  }
+  return point;
+}
+
+/**
+ * Validate a brush width
+ */
+function requireLineWidth(value, field) {
+  return requireNumber(value, field, LIMITS.MIN_LINE_WIDTH, LIMITS.MAX_LINE_WIDTH);
+}
+
+/**
+ * join-room: {roomId, username, password?, sessionToken?, lastSeq?, drawProtocol?}
+ */
+function validateJoinRoom(data) {
+  requireObject(data, 'payload');
+
+  const result = {
+    roomId: 'default',
+    username: undefined
+  };
+
+  if (data.roomId !== undefined && data.roomId !== '') {
+    result.roomId = requireString(data.roomId, 'roomId', LIMITS.MAX_ROOM_ID_LENGTH).trim() || 'default';
+  }
+  if (data.username !== undefined && data.username !== '') {
+    result.username = requireString(data.username, 'username', LIMITS.MAX_USERNAME_LENGTH).trim() || undefined;
+  }
+  if (data.password !== undefined && data.password !== '') {
+    result.password = requireString(data.password, 'password', LIMITS.MAX_PASSWORD_LENGTH);
+  }
+  if (data.sessionToken !== undefined && data.sessionToken !== null) {
+    result.sessionToken = requireId(data.sessionToken, 'sessionToken');
+  }
+  if (data.lastSeq !== undefined) {
+    if (!Number.isInteger(data.lastSeq) || data.lastSeq < 0) {
+      throw new ValidationError('lastSeq must be a non-negative integer', 'lastSeq');
+    }
+    result.lastSeq = data.lastSeq;
+  }
+  if (data.drawProtocol !== undefined) {
+    if (!Number.isInteger(data.drawProtocol) || data.drawProtocol < 1) {
+      throw new ValidationError('drawProtocol must be a positive integer', 'drawProtocol');
+    }
+    result.drawProtocol = data.drawProtocol;
+  }
+
+  return result;
+}
+
+/**
+ * draw: {type: 'start', tool, color, lineWidth, smooth?, layerId?, point} | {type: 'continue', point} | {type: 'cancel'}
+ */
+function validateDraw(data) {
+  requireObject(data, 'payload');
+
+  const type = requireOneOf(data.type, 'type', DRAW_TYPES);
+  if (type === 'cancel') {
+    return { type };
+  }
+
+  const result = {
+    type,
+    point: requireStrokePoint(data.point, 'point')
+  };
+
+  if (type === 'start') {
+    result.tool = requireOneOf(data.tool, 'tool', TOOLS);
+    result.color = requireColor(data.color, 'color');
+    result.lineWidth = requireLineWidth(data.lineWidth, 'lineWidth');
+    result.smooth = data.smooth === undefined ? false : requireBoolean(data.smooth, 'smooth');
+    if (data.layerId !== undefined) {
+      result.layerId = requireLayerId(data.layerId, 'layerId');
+    }
+    Object.assign(result, requireBrushStyle(data, result.tool));
+  }
+
+  return result;
+}
+
+/**
+ * Validate a brush stroke's style: {brush?, opacity?, blend?} (missing fields
+ * are the defaults; see Brushes). Eraser strokes have none.
+ */
+function requireBrushStyle(data, tool) {
+  const style = {};
+  if (tool === 'eraser') return style;
+
+  if (data.brush !== undefined) {
+    style.brush = requireOneOf(data.brush, 'brush', Brushes.BRUSHES);
+  }
+  if (data.opacity !== undefined) {
+    style.opacity = requireNumber(data.opacity, 'opacity', LIMITS.MIN_OPACITY, 1);
+  }
+  if (data.blend !== undefined) {
+    style.blend = requireOneOf(data.blend, 'blend', Brushes.BLEND_MODES);
+  }
+  return style;
+}
+
+/**
+ * draw-batch: binary draw events (see DrawCodec), each checked like a draw event
+ * @returns {Object} - {batch, events}: the batch as sent (for relaying) and its events
+ */
+function validateDrawBatch(data) {
+  if (!(data instanceof Uint8Array)) {
+    throw new ValidationError('payload must be binary', 'payload');
+  }
+  if (data.length === 0 || data.length > LIMITS.MAX_DRAW_BATCH_BYTES) {
+    throw new ValidationError(`payload must be 1 - ${LIMITS.MAX_DRAW_BATCH_BYTES} bytes`, 'payload');
+  }
+
+  let events;
+  try {
+    events = DrawCodec.decode(data);
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    throw new ValidationError(`payload is not a valid draw batch: ${error.message}`, 'payload');
+  }
+  if (events.length > LIMITS.MAX_DRAW_BATCH_EVENTS) {
+    throw new ValidationError(`payload must contain at most ${LIMITS.MAX_DRAW_BATCH_EVENTS} events`, 'payload');
+  }
+
+  events.forEach((event, i) => {
+    try {
+      validateDraw(event);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      throw new ValidationError(`events[${i}].${error.message}`, `events[${i}].${error.field}`);
+    }
+  });
+
+  return { batch: data, events };
+}
+
+/**
+ * stroke-complete: {clientId?, layerId?, tool, color, lineWidth, smooth?, points[]}
+ */
+function validateStrokeComplete(data) {
+  requireObject(data, 'payload');
+
+  if (!Array.isArray(data.points) || data.points.length === 0) {
+    throw new ValidationError('points must be a non-empty array', 'points');
+  }
+  if (data.points.length > LIMITS.MAX_POINTS) {
+    throw new ValidationError(`points must contain at most ${LIMITS.MAX_POINTS} points`, 'points');
+  }
+
+  const result = {
+    tool: requireOneOf(data.tool, 'tool', TOOLS),
+    color: requireColor(data.color, 'color'),
+    lineWidth: requireLineWidth(data.lineWidth, 'lineWidth'),
+    smooth: data.smooth === undefined ? false : requireBoolean(data.smooth, 'smooth'),
+    points: data.points.map((point, i) => requireStrokePoint(point, `points[${i}]`))
+  };
+  Object.assign(result, requireBrushStyle(data, result.tool));
+
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+  if (data.layerId !== undefined) {
+    result.layerId = requireLayerId(data.layerId, 'layerId');
+  }
+
+  return result;
+}
+
+/**
+ * Validate the parameters shared by shape previews and committed shapes
+ */
+function requireShape(data) {
+  return {
+    shape: requireOneOf(data.shape, 'shape', SHAPES),
+    color: requireColor(data.color, 'color'),
+    lineWidth: requireLineWidth(data.lineWidth, 'lineWidth'),
+    fill: data.fill === undefined ? false : requireBoolean(data.fill, 'fill'),
+    start: requirePoint(data.start, 'start'),
+    end: requirePoint(data.end, 'end')
+  };
+}
+
+/**
+ * shape-preview: {type: 'update', shape, color, lineWidth, fill?, start, end} | {type: 'end'}
+ */
+function validateShapePreview(data) {
+  requireObject(data, 'payload');
+
+  const type = requireOneOf(data.type, 'type', SHAPE_PREVIEW_TYPES);
+  return type === 'update' ? { type, ...requireShape(data) } : { type };
+}
+
+/**
+ * shape-complete: {clientId?, layerId?, shape, color, lineWidth, fill?, start, end}
+ */
+function validateShapeComplete(data) {
+  requireObject(data, 'payload');
+
+  const result = requireShape(data);
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+  if (data.layerId !== undefined) {
+    result.layerId = requireLayerId(data.layerId, 'layerId');
+  }
+
+  return result;
+}
+
+/**
+ * Validate a fill's region: rectangles flattened to [x, y, width, height, ...]
+ */
+function requireFillRegion(value, field) {
+  if (!Array.isArray(value) || value.length === 0 || value.length % 4 !== 0) {
+    throw new ValidationError(`${field} must be a list of rectangles [x, y, width, height, ...]`, field);
+  }
+  if (value.length > LIMITS.MAX_FILL_REGION_RECTS * 4) {
+    throw new ValidationError(`${field} must have at most ${LIMITS.MAX_FILL_REGION_RECTS} rectangles`, field);
+  }
+  value.forEach((number, i) => {
+    if (i % 4 < 2) {
+      requireNumber(number, `${field}[${i}]`, -LIMITS.MAX_COORDINATE, LIMITS.MAX_COORDINATE);
+    } else {
+      requireNumber(number, `${field}[${i}]`, 0, LIMITS.MAX_DOCUMENT_SIZE);
+    }
+  });
+  return value;
+}
+
+/**
+ * fill-complete: {clientId?, layerId?, seed, color, tolerance, region?}
+ * tolerance is how far (in % per channel) colors the fill spreads over may be from the seed's;
+ * region is what it covered for its author, which exports draw
+ */
+function validateFillComplete(data) {
+  requireObject(data, 'payload');
+
+  const result = {
+    seed: requirePoint(data.seed, 'seed'),
+    color: requireColor(data.color, 'color'),
+    tolerance: requireNumber(data.tolerance, 'tolerance', 0, LIMITS.MAX_FILL_TOLERANCE)
+  };
+  if (data.region !== undefined) {
+    result.region = requireFillRegion(data.region, 'region');
+  }
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+  if (data.layerId !== undefined) {
+    result.layerId = requireLayerId(data.layerId, 'layerId');
+  }
+
+  return result;
+}
+
+/**
+ * text-complete: {clientId?, layerId?, text, fontSize, color, x, y, width, editOf?}
+ * editOf is the ID of the text's version being edited (its newest, see server.js)
+ */
+function validateTextComplete(data) {
+  requireObject(data, 'payload');
+
+  if (typeof data.text !== 'string' || data.text.trim() === '') {
+    throw new ValidationError('text must be a non-empty string', 'text');
+  }
+  if (data.text.length > LIMITS.MAX_TEXT_LENGTH) {
+    throw new ValidationError(`text must be at most ${LIMITS.MAX_TEXT_LENGTH} characters`, 'text');
+  }
+  if (TEXT_CONTROL_CHARS.test(data.text)) {
+    throw new ValidationError('text contains control characters', 'text');
+  }
+
+  const result = {
+    text: data.text,
+    fontSize: requireNumber(data.fontSize, 'fontSize', LIMITS.MIN_FONT_SIZE, LIMITS.MAX_FONT_SIZE),
+    color: requireColor(data.color, 'color'),
+    ...requirePoint({ x: data.x, y: data.y }, 'position'),
+    width: requireNumber(data.width, 'width', 1, LIMITS.MAX_TEXT_WIDTH)
+  };
+
+  if (data.editOf !== undefined) {
+    if (!Number.isInteger(data.editOf) || data.editOf < 0) {
+      throw new ValidationError('editOf must be an operation ID', 'editOf');
+    }
+    result.editOf = data.editOf;
+  }
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+  if (data.layerId !== undefined) {
+    result.layerId = requireLayerId(data.layerId, 'layerId');
+  }
+
+  return result;
+}
+
+/**
+ * Validate a list of operation IDs (duplicates are dropped)
+ */
+function requireTargetIds(value, field) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ValidationError(`${field} must be a non-empty array`, field);
+  }
+  if (value.length > LIMITS.MAX_TARGETS) {
+    throw new ValidationError(`${field} must have at most ${LIMITS.MAX_TARGETS} entries`, field);
+  }
+  if (!value.every(id => Number.isInteger(id) && id >= 0)) {
+    throw new ValidationError(`${field} must contain operation IDs`, field);
+  }
+  return Array.from(new Set(value));
+}
+
+/**
+ * transform: {clientId?, targetIds[], scaleX?, scaleY?, translateX?, translateY?, color?}
+ * Points map to (x * scaleX + translateX, y * scaleY + translateY); the color
+ * replaces the targets' color. Omitted values leave the targets unchanged.
+ */
+function validateTransform(data) {
+  requireObject(data, 'payload');
+
+  const maxTranslate = LIMITS.MAX_COORDINATE * 2;
+  const optional = (field, min, max, fallback) =>
+    data[field] === undefined ? fallback : requireNumber(data[field], field, min, max);
+
+  const result = {
+    targetIds: requireTargetIds(data.targetIds, 'targetIds'),
+    scaleX: optional('scaleX', LIMITS.MIN_SCALE, LIMITS.MAX_SCALE, 1),
+    scaleY: optional('scaleY', LIMITS.MIN_SCALE, LIMITS.MAX_SCALE, 1),
+    translateX: optional('translateX', -maxTranslate, maxTranslate, 0),
+    translateY: optional('translateY', -maxTranslate, maxTranslate, 0)
+  };
+
+  if (data.color !== undefined) {
+    result.color = requireColor(data.color, 'color');
+  }
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+
+  return result;
+}
+
+/**
+ * delete: {clientId?, targetIds[]}
+ */
+function validateDelete(data) {
+  requireObject(data, 'payload');
+
+  const result = {
+    targetIds: requireTargetIds(data.targetIds, 'targetIds')
+  };
+
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+
+  return result;
+}
+
+/**
+ * image-add: {clientId?, layerId?, imageId, x, y, width, height}
+ */
+function validateImageAdd(data) {
+  requireObject(data, 'payload');
+
+  const result = {
+    imageId: requireId(data.imageId, 'imageId'),
+    ...requirePoint({ x: data.x, y: data.y }, 'position'),
+    width: requireNumber(data.width, 'width', 1, LIMITS.MAX_IMAGE_SIZE),
+    height: requireNumber(data.height, 'height', 1, LIMITS.MAX_IMAGE_SIZE)
+  };
+
+  if (data.clientId !== undefined) {
+    result.clientId = requireId(data.clientId, 'clientId');
+  }
+  if (data.layerId !== undefined) {
+    result.layerId = requireLayerId(data.layerId, 'layerId');
+  }
+
+  return result;
+}
+
+/**
+ * layer-add: {name}
+ */
+function validateLayerAdd(data) {
+  requireObject(data, 'payload');
+
+  return {
+    name: requireLayerName(data.name, 'name')
+  };
+}
+
+/**
+ * layer-update: {layerId, name?, visible?, locked?} (at least one change)
+ */
+function validateLayerUpdate(data) {
+  requireObject(data, 'payload');
+
+  const result = {
+    layerId: requireLayerId(data.layerId, 'layerId')
+  };
+  if (data.name !== undefined) {
+    result.name = requireLayerName(data.name, 'name');
+  }
+  if (data.visible !== undefined) {
+    result.visible = requireBoolean(data.visible, 'visible');
+  }
+  if (data.locked !== undefined) {
+    result.locked = requireBoolean(data.locked, 'locked');
+  }
+  if (Object.keys(result).length === 1) {
+    throw new ValidationError('payload must change name, visible or locked', 'payload');
+  }
+
+  return result;
+}
+
+/**
+ * layer-move: {layerId, index} (index 0 is the bottom of the stack)
+ */
+function validateLayerMove(data) {
+  requireObject(data, 'payload');
+
+  if (!Number.isInteger(data.index) || data.index < 0) {
+    throw new ValidationError('index must be a non-negative integer', 'index');
+  }
+
+  return {
+    layerId: requireLayerId(data.layerId, 'layerId'),
+    index: data.index
+  };
+}
+
+/**
+ * cursor-move: {x, y}
+ */
+function validateCursorMove(data) {
+  return requirePoint(data, 'payload');
+}
+
+/**
+ * kick-user, ban-user: {userId}
+ */
+function validateTargetUser(data) {
+  requireObject(data, 'payload');
+  return { userId: requireId(data.userId, 'userId') };
+}
+
+/**
+ * set-role: {userId, role}
+ */
+function validateSetRole(data) {
+  return {
+    ...validateTargetUser(data),
+    role: requireOneOf(data.role, 'role', ROLES)
+  };
+}
+
+/**
+ * undo, redo, clear-canvas: no payload
+ */
+function validateNoPayload(data) {
+  if (data !== undefined && data !== null) {
+    requireObject(data, 'payload');
+    if (Object.keys(data).length > 0) {
+      throw new ValidationError('payload must be empty', 'payload');
+    }
+  }
+  return {};
+}
+
+/**
+ * Validate a room ID from a URL or request body
+ */
+function validateRoomId(value, field = 'roomId') {
+  const roomId = requireString(value, field, LIMITS.MAX_ROOM_ID_LENGTH).trim();
+  if (!roomId) {
+    throw new ValidationError(`${field} must not be empty`, field);
+  }
+  return roomId;
+}
+
+/**
+ * REST room creation: {roomId, password?, width?, height?}
+ */
+function validateCreateRoom(data) {
+  requireObject(data, 'body');
+
+  const result = { roomId: validateRoomId(data.roomId) };
+  if (data.password !== undefined && data.password !== '') {
+    result.password = requireString(data.password, 'password', LIMITS.MAX_PASSWORD_LENGTH);
+  }
+
+  // The document size is optional, but comes as a pair
+  if (data.width !== undefined || data.height !== undefined) {
+    result.document = {
+      width: requireDocumentSize(data.width, 'width'),
+      height: requireDocumentSize(data.height, 'height')
+    };
+  }
+  return result;
+}
+
+/**
+ * Parse a query string flag ("true"/"false")
+ */
+function parseFlag(value, field) {
+  if (value === undefined) return false;
+  return requireOneOf(value, field, ['true', 'false']) === 'true';
+}
+
+/**
+ * REST export options (query string): {crop?, padding?, background?, download?}
+ */
+function validateExportOptions(query) {
+  const result = {
+    crop: parseFlag(query.crop, 'crop'),
+    download: parseFlag(query.download, 'download'),
+    padding: 0
+  };
+
+  if (query.padding !== undefined) {
+    result.padding = requireNumber(Number(query.padding), 'padding', 0, LIMITS.MAX_EXPORT_PADDING);
+  }
+  if (query.background !== undefined && query.background !== 'transparent') {
+    result.background = requireColor(query.background, 'background');
+  } else if (query.background === 'transparent') {
+    result.background = 'transparent';
+  }
+
+  return result;
+}
+
+const validators = {
+  'join-room': validateJoinRoom,
+  'draw': validateDraw,
+  'draw-batch': validateDrawBatch,
+  'stroke-complete': validateStrokeComplete,
+  'shape-preview': validateShapePreview,
+  'shape-complete': validateShapeComplete,
+  'fill-complete': validateFillComplete,
+  'text-complete': validateTextComplete,
+  'image-add': validateImageAdd,
+  'transform': validateTransform,
+  'delete': validateDelete,
+  'layer-add': validateLayerAdd,
+  'layer-update': validateLayerUpdate,
+  'layer-move': validateLayerMove,
+  'cursor-move': validateCursorMove,
+  'undo': validateNoPayload,
+  'redo': validateNoPayload,
+  'clear-canvas': validateNoPayload,
+  'set-role': validateSetRole,
+  'kick-user': validateTargetUser,
+  'ban-user': validateTargetUser
+};
+
+/**
+ * Validate an inbound event payload
+ * @param {string} event - Socket event name
+ * @param {*} data - Raw payload from the client
+ * @returns {Object} - Normalized payload
+ * @throws {ValidationError} - If the payload is invalid
+ */
+function validate(event, data) {
+  const validator = validators[event];
+  if (!validator) {
+    throw new ValidationError(`Unknown event: ${event}`, 'event');
+  }
+
+  if (data !== undefined) {
+    let size;
+    try {
+      size = data instanceof Uint8Array ? data.length : Buffer.byteLength(JSON.stringify(data));
+    } catch (error) {
+      throw new ValidationError('payload is not serializable', 'payload');
+    }
+    if (size > LIMITS.MAX_PAYLOAD_BYTES) {
+      throw new ValidationError(`payload exceeds ${LIMITS.MAX_PAYLOAD_BYTES} bytes`, 'payload');
+    }
+  }
+
+  return validator(data);
+}
+
+module.exports = {
+  validate,
+  validateRoomId,
+  validateCreateRoom,
+  validateExportOptions,
+  requireId,
+  ValidationError,
+  LIMITS,
+  TOOLS,
+  SHAPES
+};
@@ -0,0 +1,137 @@
+/**
+ * REST API tests
+ * The API router on a local server: bearer tokens, creating and deleting
+ * rooms, paging history, and JSON errors for everything it refuses
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const RoomManager = require('../server/rooms');
+const { createApiRouter } = require('../server/api');
+
+const TOKEN = 'test-token';
+
+// Enough of a Socket.io server for deleting rooms nobody is connected to
+const io = { sockets: { sockets: new Map() } };
+
+/**
+ * Serve the API on a free local port
+ * @returns {Promise<Object>} - {roomManager, request(path, options), close()}
+ */
+function startServer(options) {
+  const roomManager = new RoomManager();
+  const app = express();
+  app.use('/api', createApiRouter(roomManager, io, options));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}/api`;
+      resolve({
+        roomManager,
+        request: (path, init = {}) => fetch(base + path, init),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Request options that send the token and a JSON body
+ */
+function withToken(method = 'GET', body) {
+  const init = { method, headers: { authorization: `Bearer ${TOKEN}` } };
+  if (body !== undefined) {
+    init.headers['content-type'] = 'application/json';
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  return init;
+}
+
+/**
+ * Assert that a response is a JSON error with a status and code
+ */
+async function assertError(response, status, code) {
+  assert.equal(response.status, status);
+  const { error } = await response.json();
+  assert.equal(error.code, code);
+  return error;
+}
+
+describe('API with a token', () => {
+  let server;
+  before(async () => { server = await startServer({ token: TOKEN }); });
+  after(() => server.close());
+
+  it('refuses requests without the token, or with another one', async () => {
+    await assertError(await server.request('/rooms'), 401, 'unauthorized');
+    await assertError(await server.request('/rooms', { headers: { authorization: 'Bearer wrong' } }), 401, 'unauthorized');
+    await assertError(await server.request('/rooms', { headers: { authorization: TOKEN } }), 401, 'unauthorized');
+    assert.equal((await server.request('/rooms', withToken())).status, 200);
+  });
+
+  it('creates a room once, and describes it without its password', async () => {
+    const created = await server.request('/rooms', withToken('POST', { roomId: 'created', password: 'secret', width: 800, height: 600 }));
+    assert.equal(created.status, 201);
+    const summary = await created.json();
+    assert.equal(summary.id, 'created');
+    assert.equal(summary.passwordProtected, true);
+    assert.deepEqual(summary.document, { width: 800, height: 600 });
+
+    await assertError(await server.request('/rooms', withToken('POST', { roomId: 'created' })), 409, 'exists');
+
+    const room = await (await server.request('/rooms/created', withToken())).json();
+    assert.equal(room.ownerId, null, 'the first joiner claims it');
+    assert.deepEqual(room.users, []);
+    assert.equal(JSON.stringify(room).includes('secret'), false);
+  });
+
+  it('refuses invalid and malformed bodies', async () => {
+    const error = await assertError(await server.request('/rooms', withToken('POST', { roomId: '  ' })), 400, 'invalid-payload');
+    assert.equal(error.field, 'roomId');
+    await assertError(await server.request('/rooms', withToken('POST', { roomId: 'sized', width: 800 })), 400, 'invalid-payload');
+    await assertError(await server.request('/rooms', withToken('POST', '{"roomId":')), 400, 'invalid-body');
+  });
+
+  it('pages through a room\'s history', async () => {
+    server.roomManager.authorizeJoin('history', 'alice');
+    const state = server.roomManager.getDrawingState('history');
+    ['a1', 'a2', 'a3'].forEach(clientId => state.addOperation({
+      type: 'stroke', userId: 'alice', clientId, tool: 'brush', color: '#000000', lineWidth: 2,
+      points: [{ x: 0, y: 0 }, { x: 10, y: 10 }]
+    }));
+
+    const first = await (await server.request('/rooms/history/history?limit=2', withToken())).json();
+    assert.deepEqual(first.operations.map(op => op.clientId), ['a1', 'a2']);
+    assert.equal(first.hasMore, true);
+
+    const second = await (await server.request(`/rooms/history/history?limit=2&after=${first.next}`, withToken())).json();
+    assert.deepEqual(second.operations.map(op => op.clientId), ['a3']);
+    assert.equal(second.next, null);
+
+    const error = await assertError(await server.request('/rooms/history/history?limit=0', withToken()), 400, 'invalid-payload');
+    assert.equal(error.field, 'limit');
+  });
+
+  it('deletes a room and then no longer finds it', async () => {
+    server.roomManager.authorizeJoin('deleted', 'alice');
+    assert.equal((await server.request('/rooms/deleted', withToken('DELETE'))).status, 204);
+    assert.equal(server.roomManager.hasRoom('deleted'), false);
+    await assertError(await server.request('/rooms/deleted', withToken()), 404, 'not-found');
+    await assertError(await server.request('/rooms/deleted', withToken('DELETE')), 404, 'not-found');
+  });
+
+  it('answers unknown endpoints with a JSON 404', async () => {
+    await assertError(await server.request('/nothing', withToken()), 404, 'not-found');
+  });
+});
+
+describe('API without a token', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  it('accepts requests from this machine', async () => {
+    assert.equal((await server.request('/rooms')).status, 200);
+  });
+});
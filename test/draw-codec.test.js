@@ -0,0 +1,127 @@
+/**
+ * Draw Batch Codec tests
+ * decode(encode(events)) gives the events back (coordinates at the codec's
+ * precision), and malformed batches are refused
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawCodec = require('../client/draw-codec');
+
+const start = {
+  type: 'start',
+  tool: 'brush',
+  color: '#1971c2',
+  lineWidth: 4.5,
+  smooth: true,
+  point: { x: 10.5, y: -20.25 }
+};
+
+/**
+ * Encode and decode events
+ */
+function roundTrip(events, protocol) {
+  return DrawCodec.decode(DrawCodec.encode(events, protocol));
+}
+
+describe('DrawCodec round trip', () => {
+  it('keeps a stroke and the points that continue it', () => {
+    const events = [
+      { ...start, layerId: 3 },
+      { type: 'continue', point: { x: 11, y: -19.5 } },
+      { type: 'continue', point: { x: 15.0625, y: -30 } },
+      { type: 'cancel' }
+    ];
+    assert.deepEqual(roundTrip(events), events);
+  });
+
+  it('leaves out a layer ID the start had none of', () => {
+    const [decoded] = roundTrip([start]);
+    assert.equal('layerId' in decoded, false);
+    assert.deepEqual(decoded, start);
+  });
+
+  it('quantizes coordinates to 1/16 of a unit', () => {
+    const [decoded] = roundTrip([{ ...start, point: { x: 1.03, y: 99999.99 } }]);
+    assert.deepEqual(decoded.point, { x: 1, y: 100000 });
+  });
+
+  it('keeps pressure to a byte and tilt in whole degrees', () => {
+    const events = [
+      { ...start, point: { x: 0, y: 0, pressure: 0.5, tiltX: -30, tiltY: 45 } },
+      { type: 'continue', point: { x: 1, y: 1, pressure: 1, tiltX: 90, tiltY: -90 } }
+    ];
+    const decoded = roundTrip(events);
+    assert.equal(decoded[0].point.pressure, 0.502);
+    assert.deepEqual(decoded[1].point, { x: 1, y: 1, pressure: 1, tiltX: 90, tiltY: -90 });
+    assert.equal(decoded[0].point.tiltX, -30);
+  });
+
+  it('starts a new run where the points gain or lose fields', () => {
+    const events = [
+      start,
+      { type: 'continue', point: { x: 1, y: 1 } },
+      { type: 'continue', point: { x: 2, y: 2, pressure: 0 } },
+      { type: 'continue', point: { x: 3, y: 3 } }
+    ];
+    assert.deepEqual(roundTrip(events), events);
+  });
+
+  it('keeps brush styles in the current protocol', () => {
+    const styled = { ...start, brush: 'calligraphy', opacity: 0.35, blend: 'multiply' };
+    assert.deepEqual(roundTrip([styled]), [styled]);
+  });
+
+  it('fills in the defaults of a style that is only partly set', () => {
+    const [decoded] = roundTrip([{ ...start, opacity: 0.5 }]);
+    assert.equal(decoded.brush, 'round');
+    assert.equal(decoded.blend, 'normal');
+    assert.equal(decoded.opacity, 0.5);
+  });
+
+  it('leaves brush styles out for batch protocol 2 receivers', () => {
+    const styled = { ...start, brush: 'spray', opacity: 0.5, blend: 'screen' };
+    assert.deepEqual(roundTrip([styled], DrawCodec.BATCH_PROTOCOL), [start]);
+  });
+
+  it('sends brushes and blend modes as indexes into Brushes', () => {
+    const Brushes = require('../client/brushes');
+    assert.equal(DrawCodec.BRUSHES, Brushes.BRUSHES);
+    assert.equal(DrawCodec.BLEND_MODES, Brushes.BLEND_MODES);
+  });
+});
+
+describe('DrawCodec errors', () => {
+  it('refuses to encode an unknown tool, brush or blend mode', () => {
+    assert.throws(() => DrawCodec.encode([{ ...start, tool: 'laser' }]), RangeError);
+    assert.throws(() => DrawCodec.encode([{ ...start, brush: 'crayon' }]), RangeError);
+    assert.throws(() => DrawCodec.encode([{ ...start, blend: 'dissolve' }]), RangeError);
+  });
+
+  it('refuses a batch that ends early', () => {
+    const batch = DrawCodec.encode([start, { type: 'continue', point: { x: 1000, y: 1000 } }]);
+    assert.throws(() => DrawCodec.decode(batch.slice(0, batch.length - 1)), RangeError);
+  });
+
+  it('refuses unknown record types, tools and styles', () => {
+    assert.throws(() => DrawCodec.decode(Uint8Array.from([9])), /Unknown record type/);
+
+    const batch = DrawCodec.encode([start]);
+    batch[1] = 7;
+    assert.throws(() => DrawCodec.decode(batch), /Unknown tool/);
+
+    // The brush byte follows type, tool, flags, color[3] and the two bytes of lineWidth 4.5
+    const styled = DrawCodec.encode([{ ...start, brush: 'marker' }]);
+    styled[8] = 200;
+    assert.throws(() => DrawCodec.decode(styled), /Unknown brush style/);
+  });
+
+  it('refuses varints longer than five groups', () => {
+    const batch = Uint8Array.from([DrawCodec.CONTINUE, 0, 0x80, 0x80, 0x80, 0x80, 0x80, 0x01]);
+    assert.throws(() => DrawCodec.decode(batch), /Varint too long/);
+  });
+
+  it('decodes an empty batch to no events', () => {
+    assert.deepEqual(DrawCodec.decode(new Uint8Array(0)), []);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Drawing State tests
+ * DrawingState.load rebuilds from the snapshot and the log entries after it
+ * the same state that recorded them
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawingState = require('../server/drawing-state');
+const { MemoryStorage } = require('../server/storage');
+
+const ROOM = 'test-room';
+
+/**
+ * A stroke as the server stores it, before the state adds its metadata
+ */
+function stroke(userId, clientId, extra = {}) {
+  return {
+    type: 'stroke',
+    userId,
+    clientId,
+    tool: 'brush',
+    color: '#000000',
+    lineWidth: 2,
+    points: [{ x: 0, y: 0 }, { x: 10, y: 10 }],
+    ...extra
+  };
+}
+
+/**
+ * Record a history that uses every kind of change
+ */
+function recordHistory(state) {
+  state.addOperation(stroke('alice', 'a1'));
+  state.addOperation(stroke('bob', 'b1'));
+  state.undo('alice');
+  state.addLayer('Sketch');
+  state.addOperation(stroke('alice', 'a2', { layerId: 1 }));
+  state.undo('bob');
+  state.redo('bob');
+  state.undo('bob');
+  state.updateLayer(1, { locked: true });
+  state.setDocumentSize(800, 600);
+  state.moveLayer(1, 0);
+}
+
+describe('DrawingState.load', () => {
+  it('returns an empty state for a room that was never stored', () => {
+    const state = DrawingState.load(ROOM, new MemoryStorage());
+    assert.equal(state.seq, 0);
+    assert.deepEqual(state.operations, []);
+    assert.deepEqual(state.document, DrawingState.DEFAULT_DOCUMENT);
+  });
+
+  it('replays the log into the state that recorded it', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage);
+    recordHistory(state);
+
+    const loaded = DrawingState.load(ROOM, storage);
+    assert.deepEqual(loaded.toJSON(), state.toJSON());
+    assert.deepEqual(loaded.getFullState(), state.getFullState());
+    assert.deepEqual(loaded.redoStacks.get('bob'), [1]);
+  });
+
+  it('replays the entries after the snapshot on top of it', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage, { snapshotInterval: 4 });
+    recordHistory(state);
+
+    const stored = storage.load(ROOM);
+    assert.equal(stored.snapshot.seq, 8);
+    assert.equal(stored.entries.length, 3);
+
+    const loaded = DrawingState.load(ROOM, storage, { snapshotInterval: 4 });
+    assert.deepEqual(loaded.toJSON(), state.toJSON());
+    assert.equal(loaded.entriesSinceSnapshot, 3);
+  });
+
+  it('skips log entries the snapshot already has', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage);
+    state.addOperation(stroke('alice', 'a1'));
+    state.addOperation(stroke('alice', 'a2'));
+    state.snapshot();
+
+    // A crash between writing the snapshot and truncating the log leaves the old entries behind
+    const stored = storage.rooms.get(ROOM);
+    stored.entries.push(
+      { type: 'add', operation: { ...state.operations[0] }, seq: 1 },
+      { type: 'undo', userId: 'alice', operationId: 1, seq: 2 }
+    );
+
+    const loaded = DrawingState.load(ROOM, storage);
+    assert.deepEqual(loaded.toJSON(), state.toJSON());
+    assert.equal(loaded.getActiveOperations().length, 2);
+  });
+
+  it('replays a clear, keeping the layers and document size', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage);
+    recordHistory(state);
+    state.clear();
+    state.addOperation(stroke('carol', 'c1'));
+
+    const loaded = DrawingState.load(ROOM, storage);
+    assert.deepEqual(loaded.toJSON(), state.toJSON());
+    assert.deepEqual(loaded.operations.map(op => op.id), [3]);
+    assert.deepEqual(loaded.document, { width: 800, height: 600 });
+    assert.equal(loaded.layers.length, 2);
+  });
+
+  it('still recognizes retries after a reload, and after a clear', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage, { snapshotInterval: 3 });
+    const first = state.addOperation(stroke('alice', 'a1')).operation;
+    state.addOperation(stroke('bob', 'b1'));
+    state.clear();
+
+    const loaded = DrawingState.load(ROOM, storage, { snapshotInterval: 3 });
+    const retry = loaded.addOperation(stroke('alice', 'a1'));
+    assert.equal(retry.duplicate, true);
+    assert.equal(retry.operation.id, first.id);
+    assert.equal(retry.operation.seq, first.seq);
+    assert.deepEqual(loaded.operations, []);
+  });
+
+  it('dedupes client IDs per user', () => {
+    const state = new DrawingState(ROOM);
+    state.addOperation(stroke('alice', 'same'));
+    const other = state.addOperation(stroke('bob', 'same'));
+    assert.equal(other.duplicate, false);
+    assert.equal(state.operations.length, 2);
+    assert.equal(state.findSubmission('bob', 'same'), other.operation);
+  });
+
+  it('journals replayed entries for catch-up', () => {
+    const storage = new MemoryStorage();
+    const state = new DrawingState(ROOM, storage);
+    recordHistory(state);
+
+    const loaded = DrawingState.load(ROOM, storage);
+    assert.deepEqual(loaded.getChangesSince(state.seq), []);
+
+    const changes = loaded.getChangesSince(state.seq - 3);
+    assert.deepEqual(changes.map(entry => entry.type), ['layers', 'document', 'layers']);
+    assert.equal(loaded.getChangesSince(state.seq + 1), null);
+  });
+});
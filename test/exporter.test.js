@@ -0,0 +1,194 @@
+/**
+ * Exporter tests
+ * The exported area, SVG layers, erasers and fills, and the versioned JSON
+ * document, from rooms built the way the server records them
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawingState = require('../server/drawing-state');
+const Geometry = require('../client/geometry');
+const Operations = require('../client/operations');
+const { exportSVG, exportJSON, getExportArea, getFillSourcesKey, EXPORT_VERSION } = require('../server/exporter');
+
+const ROOM = 'test-room';
+
+/**
+ * A stroke from (x1, y1) to (x2, y2)
+ */
+function stroke(userId, x1, y1, x2, y2, extra = {}) {
+  return {
+    type: 'stroke',
+    userId,
+    tool: 'brush',
+    color: '#000000',
+    lineWidth: 2,
+    points: [{ x: x1, y: y1 }, { x: x2, y: y2 }],
+    ...extra
+  };
+}
+
+/**
+ * A rectangle outline
+ */
+function rect(userId, x1, y1, x2, y2) {
+  return {
+    type: 'shape',
+    userId,
+    shape: 'rect',
+    color: '#1971c2',
+    lineWidth: 2,
+    fill: false,
+    start: { x: x1, y: y1 },
+    end: { x: x2, y: y2 }
+  };
+}
+
+/**
+ * Add a fill the way the server does, keyed to what is beneath it on its layer
+ */
+function addFill(state, userId, region, layerId = DrawingState.DEFAULT_LAYER_ID) {
+  const beneath = Operations.resolve(state.getActiveOperations()).filter(op => Operations.getLayerId(op) === layerId);
+  return state.addOperation({
+    type: 'fill',
+    userId,
+    clientId: `fill-${state.seq}`,
+    layerId,
+    seed: { x: region[0] + 1, y: region[1] + 1 },
+    color: '#ff0000',
+    tolerance: 0,
+    area: { x: 0, y: 0, ...state.document },
+    region,
+    regionSources: getFillSourcesKey(beneath)
+  }).operation;
+}
+
+describe('getExportArea', () => {
+  const document = { width: 100, height: 50 };
+
+  it('covers the document, grown to include anything drawn outside it', () => {
+    assert.deepEqual(getExportArea([], { document }), { x: 0, y: 0, width: 100, height: 50 });
+    const outside = stroke('alice', 90, 10, 150.5, 20);
+    const bounds = Geometry.getOperationBounds(outside);
+    assert.deepEqual(getExportArea([outside], { document }), { x: 0, y: 0, width: Math.ceil(bounds.x + bounds.width), height: 50 });
+  });
+
+  it('crops to what is drawn, with padding', () => {
+    const shape = rect('alice', 10, 20, 30, 60);
+    const bounds = getExportArea([shape], { crop: true });
+    const padded = getExportArea([shape], { crop: true, padding: 5 });
+    assert.deepEqual(padded, {
+      x: bounds.x - 5,
+      y: bounds.y - 5,
+      width: bounds.width + 10,
+      height: bounds.height + 10
+    });
+  });
+
+  it('leaves erasers and fills out of the drawn area', () => {
+    const eraser = stroke('alice', 500, 500, 600, 600, { tool: 'eraser' });
+    const fill = { type: 'fill', seed: { x: 1, y: 1 }, area: { x: 0, y: 0, width: 1000, height: 1000 } };
+    assert.deepEqual(getExportArea([eraser, fill], { crop: true }), { x: 0, y: 0, width: 1, height: 1 });
+    assert.deepEqual(getExportArea([eraser, fill], { document }), { x: 0, y: 0, width: 100, height: 50 });
+  });
+});
+
+describe('exportSVG', () => {
+  it('draws one group per visible layer and escapes names and text', () => {
+    const state = new DrawingState(ROOM);
+    const hidden = state.addLayer('Hidden').layer;
+    state.updateLayer(hidden.id, { visible: false });
+    state.addOperation(stroke('alice', 0, 0, 10, 10));
+    state.addOperation(stroke('alice', 0, 0, 20, 20, { layerId: hidden.id, color: '#00ff00' }));
+    state.addOperation({ type: 'text', userId: 'alice', text: '<b>&</b>', fontSize: 16, color: '#000000', x: 5, y: 5, width: 100 });
+
+    const svg = exportSVG('<room>', state.getFullState());
+    assert.match(svg, /<title>&lt;room&gt;<\/title>/);
+    assert.match(svg, /&lt;b&gt;&amp;&lt;\/b&gt;/);
+    assert.match(svg, /id="layer-0"/);
+    assert.doesNotMatch(svg, new RegExp(`id="layer-${hidden.id}"`));
+    assert.doesNotMatch(svg, /#00ff00/);
+  });
+
+  it('masks what was drawn before an eraser, and leaves the background out when transparent', () => {
+    const state = new DrawingState(ROOM);
+    state.addOperation(stroke('alice', 0, 0, 10, 10));
+    state.addOperation(stroke('alice', 0, 10, 10, 0, { tool: 'eraser' }));
+
+    const svg = exportSVG(ROOM, state.getFullState(), { background: 'transparent' });
+    assert.match(svg, /<mask id="erase-0"/);
+    assert.match(svg, /<g mask="url\(#erase-0\)">/);
+    assert.doesNotMatch(svg, /fill="#FFFFFF"/);
+  });
+
+  it('draws a fill from its region while what it flooded over is unchanged', () => {
+    const state = new DrawingState(ROOM);
+    state.addOperation(rect('bob', 10, 10, 50, 50));
+    addFill(state, 'alice', [11, 11, 38, 38]);
+
+    const svg = exportSVG(ROOM, state.getFullState());
+    assert.match(svg, /<path d="M11 11h38v38h-38z" fill="#ff0000"\/>/);
+    assert.doesNotMatch(svg, /<desc>/);
+  });
+
+  it('leaves a fill out, saying so, once an operation beneath it changes', () => {
+    const state = new DrawingState(ROOM);
+    state.addOperation(rect('bob', 10, 10, 50, 50));
+    addFill(state, 'alice', [11, 11, 38, 38]);
+    state.undo('bob');
+
+    const svg = exportSVG(ROOM, state.getFullState());
+    assert.doesNotMatch(svg, /fill="#ff0000"/);
+    assert.match(svg, /<desc>Fills left out: 1 /);
+  });
+
+  it('ignores changes on other layers', () => {
+    const state = new DrawingState(ROOM);
+    const other = state.addLayer('Other').layer;
+    state.addOperation(rect('alice', 10, 10, 50, 50));
+    addFill(state, 'alice', [11, 11, 38, 38]);
+    state.addOperation(stroke('bob', 0, 0, 100, 100, { layerId: other.id }));
+    state.undo('bob');
+
+    assert.match(exportSVG(ROOM, state.getFullState()), /fill="#ff0000"/);
+  });
+});
+
+describe('exportJSON', () => {
+  it('is version 1 of the format, without fields only live clients use', () => {
+    const state = new DrawingState(ROOM);
+    state.addOperation(rect('bob', 10, 10, 50, 50));
+    addFill(state, 'alice', [11, 11, 38, 38]);
+
+    const exported = exportJSON(ROOM, state.getFullState());
+    assert.equal(EXPORT_VERSION, 1);
+    assert.equal(exported.format, 'collaborative-canvas');
+    assert.equal(exported.version, 1);
+    assert.equal(exported.seq, state.seq);
+    assert.deepEqual(exported.document, DrawingState.DEFAULT_DOCUMENT);
+    assert.deepEqual(exported.layers, state.layers);
+
+    const fill = exported.operations.find(op => op.type === 'fill');
+    assert.deepEqual(fill.region, [11, 11, 38, 38]);
+    assert.equal('regionSources' in fill, false);
+    assert.equal('clientId' in fill, false);
+  });
+
+  it('embeds each referenced image once', () => {
+    const state = new DrawingState(ROOM);
+    const image = { type: 'image', userId: 'alice', imageId: 'picture', x: 0, y: 0, width: 10, height: 10 };
+    state.addOperation(image);
+    state.addOperation({ ...image, x: 20 });
+    state.addOperation({ ...image, imageId: 'missing' });
+
+    const loads = [];
+    const exported = exportJSON(ROOM, state.getFullState(), {
+      loadImage: imageId => {
+        loads.push(imageId);
+        return imageId === 'picture' ? { type: 'image/png', data: Buffer.from('png') } : null;
+      }
+    });
+    assert.deepEqual(exported.images, { picture: `data:image/png;base64,${Buffer.from('png').toString('base64')}` });
+    assert.deepEqual(loads, ['picture', 'missing']);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Flood Fill tests
+ * Which pixels a fill covers, on rasters drawn as text ('#' opaque black,
+ * '.' clear), and the rectangles its region is recorded as
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FloodFill = require('../client/flood-fill');
+
+/**
+ * Build an RGBA raster from rows of '#' and '.'
+ * @returns {Object} - {pixels, width, height}
+ */
+function raster(rows) {
+  const width = rows[0].length;
+  const height = rows.length;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  rows.join('').split('').forEach((cell, i) => {
+    if (cell === '#') pixels[i * 4 + 3] = 255;
+  });
+  return { pixels, width, height };
+}
+
+/**
+ * Draw a mask back as rows of '#' (covered) and '.'
+ */
+function draw(mask, width) {
+  const rows = [];
+  for (let i = 0; i < mask.length; i += width) {
+    rows.push(Array.from(mask.slice(i, i + width), covered => (covered ? '#' : '.')).join(''));
+  }
+  return rows;
+}
+
+describe('FloodFill.getRaster', () => {
+  it('uses one pixel per canvas unit for areas up to MAX_PIXELS', () => {
+    assert.deepEqual(FloodFill.getRaster({ area: { x: 0, y: 0, width: 1920, height: 1080 } }), { scale: 1, width: 1920, height: 1080 });
+  });
+
+  it('scales bigger areas down to MAX_PIXELS', () => {
+    const { scale, width, height } = FloodFill.getRaster({ area: { x: 0, y: 0, width: 8000, height: 4000 } });
+    assert.ok(scale < 1);
+    assert.ok(width * height <= FloodFill.MAX_PIXELS);
+    assert.equal(width, Math.floor(8000 * scale));
+  });
+});
+
+describe('FloodFill.binarize', () => {
+  it('makes pixels fully opaque or fully clear on ALPHA_THRESHOLD', () => {
+    const pixels = Uint8ClampedArray.from([
+      10, 20, 30, FloodFill.ALPHA_THRESHOLD,
+      10, 20, 30, FloodFill.ALPHA_THRESHOLD - 1
+    ]);
+    FloodFill.binarize(pixels);
+    assert.deepEqual(Array.from(pixels), [10, 20, 30, 255, 0, 0, 0, 0]);
+  });
+});
+
+describe('FloodFill.getMask', () => {
+  const outline = [
+    '.......',
+    '.#####.',
+    '.#...#.',
+    '.#...#.',
+    '.#####.',
+    '.......'
+  ];
+
+  it('covers the inside of an outline and the pixel around it', () => {
+    const { pixels, width, height } = raster(outline);
+    const { mask, bounds } = FloodFill.getMask(pixels, width, height, { x: 3, y: 3 }, 0);
+    assert.deepEqual(draw(mask, width), [
+      '.......',
+      '..###..',
+      '.#####.',
+      '.#####.',
+      '..###..',
+      '.......'
+    ]);
+    assert.deepEqual(bounds, { x: 1, y: 1, width: 5, height: 4 });
+  });
+
+  it('floods around an outline from outside it, up to the raster\'s edges', () => {
+    const { pixels, width, height } = raster(outline);
+    const { mask, bounds } = FloodFill.getMask(pixels, width, height, { x: 0, y: 0 }, 0);
+    assert.equal(mask[2 * width + 3], 0, 'the inside stays clear');
+    assert.equal(mask[width + 1], 1, 'the outline is grown into');
+    assert.deepEqual(bounds, { x: 0, y: 0, width, height });
+  });
+
+  it('leaks through a gap in the outline', () => {
+    const { pixels, width, height } = raster(['.......', '.##.##.', '.#...#.', '.#####.']);
+    const { mask } = FloodFill.getMask(pixels, width, height, { x: 3, y: 2 }, 0);
+    assert.equal(mask[0], 1);
+  });
+
+  it('takes in colors within the tolerance of the seed\'s', () => {
+    const pixels = Uint8ClampedArray.from([
+      100, 100, 100, 255,
+      110, 100, 100, 255,
+      140, 100, 100, 255
+    ]);
+    const near = FloodFill.getMask(pixels, 3, 1, { x: 0, y: 0 }, 5).mask;
+    assert.deepEqual(Array.from(near), [1, 1, 1], 'the far pixel is only grown into');
+    const tight = FloodFill.getMask(pixels, 3, 1, { x: 0, y: 0 }, 0).mask;
+    assert.deepEqual(Array.from(tight), [1, 1, 0]);
+  });
+
+  it('returns null for seeds outside the raster', () => {
+    const { pixels, width, height } = raster(outline);
+    assert.equal(FloodFill.getMask(pixels, width, height, { x: width, y: 0 }, 0), null);
+    assert.equal(FloodFill.getMask(pixels, width, height, { x: 0, y: -1 }, 0), null);
+  });
+});
+
+describe('FloodFill.getRegion', () => {
+  it('grows runs that repeat on the next row into one rectangle', () => {
+    const mask = Uint8Array.from([
+      0, 1, 1, 0,
+      0, 1, 1, 0,
+      1, 1, 1, 1,
+      1, 0, 0, 1
+    ]);
+    const region = FloodFill.getRegion(mask, 4, { x: 0, y: 0, width: 4, height: 4 });
+    assert.deepEqual(region, [[1, 0, 2, 2], [0, 2, 4, 1], [0, 3, 1, 1], [3, 3, 1, 1]]);
+  });
+
+  it('gives up past MAX_REGION_RECTS', () => {
+    const width = 2 * (FloodFill.MAX_REGION_RECTS + 1);
+    const mask = Uint8Array.from({ length: width }, (_, x) => (x % 2 === 0 ? 1 : 0));
+    assert.equal(FloodFill.getRegion(mask, width, { x: 0, y: 0, width, height: 1 }), null);
+  });
+});
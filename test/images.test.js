@@ -0,0 +1,99 @@
+/**
+ * Image Upload tests
+ * Images are recognised by their leading bytes, and only users the room lets
+ * add images get to upload them
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const RoomManager = require('../server/rooms');
+const { RateLimiter } = require('../server/rate-limiter');
+const { createImageRouter, detectImageType } = require('../server/images');
+
+const ROOM = 'test-room';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+const GIF = Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1');
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WEBPVP8 ')]);
+
+describe('detectImageType', () => {
+  it('recognises each supported format by its signature', () => {
+    assert.equal(detectImageType(PNG), 'image/png');
+    assert.equal(detectImageType(JPEG), 'image/jpeg');
+    assert.equal(detectImageType(GIF), 'image/gif');
+    assert.equal(detectImageType(Buffer.from('GIF87a', 'latin1')), 'image/gif');
+    assert.equal(detectImageType(WEBP), 'image/webp');
+  });
+
+  it('refuses anything else, whatever it claims to be', () => {
+    assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+    assert.equal(detectImageType(Buffer.from('<html><script>alert(1)</script>')), null);
+    assert.equal(detectImageType(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')])), null);
+    assert.equal(detectImageType(PNG.slice(0, 7)), null);
+    assert.equal(detectImageType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('image router', () => {
+  let server;
+  let rooms;
+  let owner;
+  let viewer;
+
+  before(async () => {
+    rooms = new RoomManager();
+    owner = rooms.createSession();
+    viewer = rooms.createSession();
+    rooms.authorizeJoin(ROOM, owner.userId);
+    rooms.authorizeJoin(ROOM, viewer.userId);
+    rooms.setRole(ROOM, viewer.userId, 'viewer');
+
+    const app = express();
+    app.use('/images', createImageRouter(rooms, new RateLimiter()));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  });
+  after(() => new Promise(done => server.close(done)));
+
+  /**
+   * Request an image endpoint as a session (or none)
+   */
+  const request = (path, session, init = {}) => fetch(`http://127.0.0.1:${server.address().port}/images${path}`, {
+    ...init,
+    headers: session ? { 'x-session-token': session.token } : {}
+  });
+
+  it('stores an upload under the type it detected and serves it back', async () => {
+    const upload = await request(`/${ROOM}`, owner, { method: 'POST', body: PNG });
+    assert.equal(upload.status, 201);
+    const { id, type, size } = await upload.json();
+    assert.deepEqual([type, size], ['image/png', PNG.length]);
+
+    const image = await request(`/${ROOM}/${id}`, viewer);
+    assert.equal(image.status, 200);
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.equal(image.headers.get('x-content-type-options'), 'nosniff');
+    assert.deepEqual(Buffer.from(await image.arrayBuffer()), PNG);
+  });
+
+  it('refuses uploads that are not a supported image', async () => {
+    const upload = await request(`/${ROOM}`, owner, { method: 'POST', body: '<svg/>' });
+    assert.equal(upload.status, 415);
+    assert.equal((await upload.json()).error.code, 'unsupported-type');
+  });
+
+  it('refuses uploads from users without a session or who may not add images', async () => {
+    assert.equal((await request(`/${ROOM}`, null, { method: 'POST', body: PNG })).status, 401);
+    assert.equal((await request(`/${ROOM}`, viewer, { method: 'POST', body: PNG })).status, 403);
+    assert.equal((await request('/no-such-room', owner, { method: 'POST', body: PNG })).status, 404);
+  });
+
+  it('only serves images to users with a role in the room', async () => {
+    const { id } = await (await request(`/${ROOM}`, owner, { method: 'POST', body: GIF })).json();
+    assert.equal((await request(`/${ROOM}/${id}`, rooms.createSession())).status, 403);
+    assert.equal((await request(`/${ROOM}/00000000-0000-0000-0000-000000000000`, owner)).status, 404);
+  });
+});
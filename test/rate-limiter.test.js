@@ -0,0 +1,134 @@
+/**
+ * Rate Limiter tests
+ * Token buckets per client and per room, muting after repeated violations,
+ * disconnecting after repeated mutes, and forgetting idle state
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, TokenBucket } = require('../server/rate-limiter');
+
+const options = {
+  clientLimits: { undo: { rate: 1, burst: 2 } },
+  roomLimits: { undo: { rate: 1, burst: 3 } },
+  muteThreshold: 3,
+  muteDuration: 1000,
+  disconnectThreshold: 2
+};
+
+/**
+ * A time after every bucket made so far was created (they start full at
+ * Date.now(), and a check timed before that would drain them)
+ */
+function later() {
+  return Date.now() + 1000;
+}
+
+/**
+ * Check an event `count` times at one instant
+ */
+function checkTimes(limiter, clientId, count, now, roomId = null) {
+  return Array.from({ length: count }, () => limiter.check(clientId, roomId, 'undo', now));
+}
+
+describe('TokenBucket', () => {
+  it('allows a burst, then refills at its rate', () => {
+    const now = later();
+    const bucket = new TokenBucket(2, 3);
+    assert.deepEqual([1, 2, 3, 4].map(() => bucket.take(now)), [true, true, true, false]);
+    assert.equal(bucket.take(now + 500), true);
+    assert.equal(bucket.take(now + 500), false);
+  });
+
+  it('is full once it has refilled completely', () => {
+    const now = later();
+    const bucket = new TokenBucket(1, 2);
+    bucket.take(now);
+    assert.equal(bucket.isFull(now), false);
+    assert.equal(bucket.isFull(now + 1000), true);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('limits each client on its own', () => {
+    const limiter = new RateLimiter(options);
+    const now = later();
+    const verdicts = checkTimes(limiter, 'a', 3, now);
+    assert.deepEqual(verdicts.map(verdict => verdict.allowed), [true, true, false]);
+    assert.equal(verdicts[2].reason, 'rate-limited');
+    assert.equal(limiter.check('b', null, 'undo', now).allowed, true);
+  });
+
+  it('lets events without a limit through', () => {
+    const limiter = new RateLimiter(options);
+    assert.equal(limiter.check('a', 'room', 'no-such-event').allowed, true);
+  });
+
+  it('refuses events over the room limit without blaming the sender', () => {
+    const limiter = new RateLimiter(options);
+    const now = later();
+    checkTimes(limiter, 'a', 2, now, 'room');
+    const [allowed, busy] = checkTimes(limiter, 'b', 2, now, 'room');
+    assert.equal(allowed.allowed, true);
+    assert.equal(busy.reason, 'room-busy');
+    assert.equal(limiter.getClient('b').violations.length, 0);
+  });
+
+  it('mutes a client after repeated violations, then disconnects repeat offenders', () => {
+    const limiter = new RateLimiter(options);
+    const now = later();
+    const first = checkTimes(limiter, 'a', 5, now).pop();
+    assert.equal(first.reason, 'muted');
+    assert.equal(first.mutedUntil, now + 1000);
+    assert.equal(first.disconnect, false);
+
+    // Muted clients are refused quietly until the mute ends
+    assert.deepEqual(limiter.check('a', null, 'undo', now + 999),
+      { allowed: false, reason: 'muted', notify: false, mutedUntil: now + 1000 });
+
+    // A token has come back meanwhile; then three more violations
+    const second = checkTimes(limiter, 'a', 4, now + 1000).pop();
+    assert.equal(second.reason, 'muted');
+    assert.equal(second.disconnect, true);
+  });
+
+  it('notifies a rejected client at most once per interval', () => {
+    const limiter = new RateLimiter({ ...options, muteThreshold: 100 });
+    const now = later();
+    const notified = checkTimes(limiter, 'a', 4, now).slice(2).map(verdict => verdict.notify);
+    assert.deepEqual(notified, [true, false]);
+    assert.equal(checkTimes(limiter, 'a', 2, now + 1000)[1].notify, true);
+  });
+
+  it('keeps a client\'s mute until it is idle, whatever happens to its sockets', () => {
+    const limiter = new RateLimiter(options);
+    const now = later();
+    checkTimes(limiter, 'user', 5, now);
+
+    limiter.removeIdle(now + 2000);
+    assert.equal(limiter.clients.has('user'), true, 'mutes are still counted');
+
+    limiter.removeIdle(now + limiter.options.abuseWindow);
+    assert.equal(limiter.clients.has('user'), false);
+  });
+
+  it('forgets idle clients and rooms whose buckets have refilled', () => {
+    const limiter = new RateLimiter(options);
+    const now = later();
+    limiter.check('a', 'room', 'undo', now);
+
+    limiter.removeIdle(now + 100);
+    assert.equal(limiter.clients.has('a'), true);
+    assert.equal(limiter.rooms.has('room'), true);
+
+    limiter.removeIdle(now + 1000);
+    assert.equal(limiter.clients.has('a'), false);
+    assert.equal(limiter.rooms.has('room'), false);
+  });
+
+  it('merges limit overrides per event', () => {
+    const limiter = new RateLimiter({ clientLimits: { undo: { rate: 1, burst: 1 } } });
+    assert.deepEqual(limiter.options.clientLimits.undo, { rate: 1, burst: 1 });
+    assert.ok(limiter.options.clientLimits.draw);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Room Manager tests
+ * Who may join a room (owners, passwords, bans), what each role may do, and
+ * sessions and settings that outlive the server
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomManager = require('../server/rooms');
+const { MemoryStorage } = require('../server/storage');
+
+const ROOM = 'test-room';
+
+describe('RoomManager.authorizeJoin', () => {
+  it('makes the first user to join a room its owner, and later ones editors', () => {
+    const rooms = new RoomManager();
+    assert.deepEqual(rooms.authorizeJoin(ROOM, 'alice'), { ok: true, role: 'owner', created: true });
+    assert.deepEqual(rooms.authorizeJoin(ROOM, 'bob'), { ok: true, role: 'editor', created: false });
+    assert.equal(rooms.getRole(ROOM, 'bob'), 'editor');
+  });
+
+  it('asks for the password of a protected room, once per user', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'alice', 'secret');
+
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob').code, 'password-required');
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob', 'guess').code, 'wrong-password');
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob', 'secret').ok, true);
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob').ok, true, 'a user with a role proved it before');
+    assert.equal(rooms.authorizeJoin(ROOM, 'alice').ok, true);
+  });
+
+  it('never stores the password itself', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'alice', 'secret');
+    assert.equal(JSON.stringify(rooms.getRoom(ROOM).meta).includes('secret'), false);
+  });
+
+  it('gives a room created ahead of time to its first joiner', () => {
+    const rooms = new RoomManager();
+    assert.ok(rooms.createRoom(ROOM, 'secret', { width: 800, height: 600 }));
+    assert.equal(rooms.createRoom(ROOM), null);
+    assert.deepEqual(rooms.getDrawingState(ROOM).document, { width: 800, height: 600 });
+
+    assert.equal(rooms.authorizeJoin(ROOM, 'alice').code, 'password-required');
+    assert.deepEqual(rooms.authorizeJoin(ROOM, 'alice', 'secret'), { ok: true, role: 'owner', created: true });
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob', 'secret').role, 'editor');
+  });
+
+  it('keeps banned users out, with or without the password', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'alice', 'secret');
+    rooms.authorizeJoin(ROOM, 'bob', 'secret');
+    rooms.banUser(ROOM, 'bob');
+
+    assert.equal(rooms.isBanned(ROOM, 'bob'), true);
+    assert.equal(rooms.getRole(ROOM, 'bob'), null);
+    assert.equal(rooms.authorizeJoin(ROOM, 'bob', 'secret').code, 'banned');
+  });
+});
+
+describe('RoomManager roles', () => {
+  it('lets each role do what it needs and nothing more', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'owner');
+    rooms.authorizeJoin(ROOM, 'editor');
+    rooms.authorizeJoin(ROOM, 'viewer');
+    rooms.setRole(ROOM, 'viewer', 'viewer');
+
+    assert.equal(rooms.can(ROOM, 'viewer', 'cursor-move'), true);
+    assert.equal(rooms.can(ROOM, 'viewer', 'stroke-complete'), false);
+    assert.equal(rooms.can(ROOM, 'editor', 'stroke-complete'), true);
+    assert.equal(rooms.can(ROOM, 'editor', 'clear-canvas'), false);
+    assert.equal(rooms.can(ROOM, 'editor', 'kick-user'), false);
+    assert.equal(rooms.can(ROOM, 'owner', 'clear-canvas'), true);
+    assert.equal(rooms.can(ROOM, 'owner', 'ban-user'), true);
+  });
+
+  it('refuses users without a role anything role-bound', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'owner');
+    assert.equal(rooms.can(ROOM, 'stranger', 'cursor-move'), false);
+    assert.equal(rooms.can(ROOM, 'stranger', 'join-room'), true);
+  });
+
+  it('transfers ownership when someone else is made owner', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'alice');
+    rooms.authorizeJoin(ROOM, 'bob');
+    rooms.addUserToRoom(ROOM, 'socket-a', 'Alice', 'alice');
+    rooms.addUserToRoom(ROOM, 'socket-b', 'Bob', 'bob');
+
+    const changed = rooms.setRole(ROOM, 'bob', 'owner');
+    assert.deepEqual(changed.map(user => [user.id, user.role]).sort(), [['alice', 'editor'], ['bob', 'owner']]);
+    assert.equal(rooms.getRoom(ROOM).meta.ownerId, 'bob');
+  });
+});
+
+describe('RoomManager users', () => {
+  it('keeps one entry per user when they reconnect on a new socket', () => {
+    const rooms = new RoomManager();
+    rooms.authorizeJoin(ROOM, 'alice');
+    rooms.addUserToRoom(ROOM, 'socket-1', 'Alice', 'alice');
+    rooms.addUserToRoom(ROOM, 'socket-2', 'Alice', 'alice');
+
+    assert.deepEqual(rooms.findUsers(ROOM, 'alice').map(user => user.socketId), ['socket-2']);
+    assert.equal(rooms.removeUserFromRoom(ROOM, 'socket-1'), false, 'the stale socket was already replaced');
+    assert.equal(rooms.removeUserFromRoom(ROOM, 'socket-2'), true);
+    assert.deepEqual(rooms.getRoomUsers(ROOM), []);
+  });
+});
+
+describe('RoomManager with storage', () => {
+  it('keeps sessions, owners, passwords and bans across a restart', () => {
+    const storage = new MemoryStorage();
+    const before = new RoomManager(storage);
+    const session = before.createSession();
+    before.authorizeJoin(ROOM, session.userId, 'secret');
+    before.authorizeJoin(ROOM, 'bob', 'secret');
+    before.banUser(ROOM, 'bob');
+    before.unloadAll();
+
+    const after = new RoomManager(storage);
+    assert.deepEqual(after.getSession(session.token), session);
+    assert.equal(after.getSession('unknown'), null);
+    assert.equal(after.hasRoom(ROOM), true);
+    assert.equal(after.authorizeJoin(ROOM, session.userId).role, 'owner');
+    assert.equal(after.authorizeJoin(ROOM, 'bob', 'secret').code, 'banned');
+    assert.equal(after.authorizeJoin(ROOM, 'carol', 'guess').code, 'wrong-password');
+  });
+
+  it('deletes a room with everything stored for it', () => {
+    const storage = new MemoryStorage();
+    const rooms = new RoomManager(storage);
+    rooms.authorizeJoin(ROOM, 'alice');
+    rooms.getDrawingState(ROOM).clear();
+    rooms.deleteRoom(ROOM);
+
+    assert.equal(rooms.hasRoom(ROOM), false);
+    assert.equal(storage.load(ROOM), null);
+    assert.equal(storage.loadMeta(ROOM), null);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Validation tests
+ * Payloads outside the protocol are refused with a ValidationError that names
+ * the offending field; accepted ones come back normalized
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, ValidationError, LIMITS } = require('../server/validation');
+const DrawCodec = require('../client/draw-codec');
+
+const stroke = {
+  tool: 'brush',
+  color: '#1971c2',
+  lineWidth: 4,
+  points: [{ x: 0, y: 0 }, { x: 10, y: 10 }]
+};
+
+/**
+ * Assert that validating a payload fails on a field
+ */
+function assertRejects(event, data, field) {
+  assert.throws(() => validate(event, data), error => {
+    assert.ok(error instanceof ValidationError, `expected a ValidationError, got ${error}`);
+    assert.equal(error.code, 'invalid-payload');
+    assert.equal(error.field, field);
+    return true;
+  });
+}
+
+describe('validate', () => {
+  it('refuses unknown events', () => {
+    assertRejects('paint', {}, 'event');
+  });
+
+  it('refuses payloads over the size limit', () => {
+    const text = 'a'.repeat(LIMITS.MAX_PAYLOAD_BYTES);
+    assertRejects('text-complete', { text, fontSize: 16, color: '#000', x: 0, y: 0, width: 100 }, 'payload');
+  });
+
+  it('refuses payloads that are not objects', () => {
+    assertRejects('stroke-complete', null, 'payload');
+    assertRejects('stroke-complete', [stroke], 'payload');
+    assertRejects('undo', { all: true }, 'payload');
+  });
+});
+
+describe('stroke-complete', () => {
+  it('accepts a stroke and drops fields the protocol does not have', () => {
+    const result = validate('stroke-complete', { ...stroke, clientId: 'c-1', userId: 'someone-else' });
+    assert.deepEqual(result, { ...stroke, smooth: false, clientId: 'c-1' });
+  });
+
+  it('refuses missing, empty and oversized point lists', () => {
+    assertRejects('stroke-complete', { ...stroke, points: undefined }, 'points');
+    assertRejects('stroke-complete', { ...stroke, points: [] }, 'points');
+    const points = Array.from({ length: LIMITS.MAX_POINTS + 1 }, (_, i) => ({ x: i % 100, y: 0 }));
+    assertRejects('stroke-complete', { ...stroke, points }, 'points');
+  });
+
+  it('refuses points out of range or not numbers', () => {
+    assertRejects('stroke-complete', { ...stroke, points: [{ x: LIMITS.MAX_COORDINATE + 1, y: 0 }] }, 'points[0].x');
+    assertRejects('stroke-complete', { ...stroke, points: [{ x: 0, y: 0 }, { x: 0, y: '1' }] }, 'points[1].y');
+    assertRejects('stroke-complete', { ...stroke, points: [{ x: NaN, y: 0 }] }, 'points[0].x');
+    assertRejects('stroke-complete', { ...stroke, points: [{ x: 0, y: 0, pressure: 2 }] }, 'points[0].pressure');
+  });
+
+  it('refuses unknown tools, bad colors and widths out of range', () => {
+    assertRejects('stroke-complete', { ...stroke, tool: 'laser' }, 'tool');
+    assertRejects('stroke-complete', { ...stroke, color: 'red' }, 'color');
+    assertRejects('stroke-complete', { ...stroke, color: '#12345' }, 'color');
+    assertRejects('stroke-complete', { ...stroke, lineWidth: 0 }, 'lineWidth');
+    assertRejects('stroke-complete', { ...stroke, lineWidth: LIMITS.MAX_LINE_WIDTH + 1 }, 'lineWidth');
+  });
+
+  it('refuses unknown brush styles and opacities out of range', () => {
+    assertRejects('stroke-complete', { ...stroke, brush: 'crayon' }, 'brush');
+    assertRejects('stroke-complete', { ...stroke, blend: 'dissolve' }, 'blend');
+    assertRejects('stroke-complete', { ...stroke, opacity: 0 }, 'opacity');
+  });
+
+  it('refuses malformed client and layer IDs', () => {
+    assertRejects('stroke-complete', { ...stroke, clientId: 'has spaces' }, 'clientId');
+    assertRejects('stroke-complete', { ...stroke, layerId: -1 }, 'layerId');
+  });
+});
+
+describe('fill-complete', () => {
+  const fill = { seed: { x: 5, y: 5 }, color: '#ff0000', tolerance: 10 };
+
+  it('accepts a fill with the region it covered', () => {
+    const region = [0, 0, 10, 2, 0, 2, 4.5, 3];
+    assert.deepEqual(validate('fill-complete', { ...fill, region }), { ...fill, region });
+  });
+
+  it('refuses regions that are not whole rectangles or have negative sizes', () => {
+    assertRejects('fill-complete', { ...fill, region: [] }, 'region');
+    assertRejects('fill-complete', { ...fill, region: [0, 0, 10] }, 'region');
+    assertRejects('fill-complete', { ...fill, region: [0, 0, -1, 5] }, 'region[2]');
+    assertRejects('fill-complete', { ...fill, region: [0, 'a', 1, 5] }, 'region[1]');
+  });
+
+  it('refuses tolerances out of range', () => {
+    assertRejects('fill-complete', { ...fill, tolerance: LIMITS.MAX_FILL_TOLERANCE + 1 }, 'tolerance');
+  });
+});
+
+describe('draw-batch', () => {
+  const start = { type: 'start', tool: 'brush', color: '#000000', lineWidth: 2, smooth: false, point: { x: 0, y: 0 } };
+
+  it('accepts a batch and returns its events', () => {
+    const batch = DrawCodec.encode([start]);
+    assert.deepEqual(validate('draw-batch', batch), { batch, events: [start] });
+  });
+
+  it('refuses payloads that are not binary or not a batch', () => {
+    assertRejects('draw-batch', { events: [start] }, 'payload');
+    assertRejects('draw-batch', Uint8Array.from([9]), 'payload');
+  });
+
+  it('names the event that is out of range', () => {
+    const batch = DrawCodec.encode([start, { ...start, lineWidth: 60 }]);
+    assertRejects('draw-batch', batch, 'events[1].lineWidth');
+  });
+});